@@ -0,0 +1,191 @@
+// Times the dataset pipeline on a generated CSV, split by the thread each step runs on in the browser.
+//
+//   npm run bench -- [--rows 1000000]
+//
+// The CSV worker parses the file and keeps the rows; once the mapping is known it maps, validates,
+// normalizes, leaves out rows with errors, reconciles duplicates and indexes them (prepareDataset), and
+// posts the result back as transferable columns (transferDataset.js). The page's share is receiving that
+// message and rebuilding the rows, then the dashboard's own steps on first render: the same reuse checks
+// CsvCharts makes, the year-range filter, country groups and the sampled correlation matrix. Message
+// passing is simulated: structuredClone() with a transfer list for the columns, v8.serialize/deserialize
+// for the row chunks of the previous flow ("before"), in which every parsed chunk was posted to the page,
+// which then prepared, reconciled and indexed the rows itself, correlated every row and rebuilt the full
+// export table on every selection change.
+import { performance } from "node:perf_hooks";
+import { deserialize, serialize } from "node:v8";
+import { autoMatchColumns } from "../src/lib/columnMapping.js";
+import { CORRELATION_SAMPLE_SIZE, correlationMatrix } from "../src/lib/correlation.js";
+import { streamCsv } from "../src/lib/csvStream.js";
+import { sampleRows } from "../src/lib/downsample.js";
+import { reconcileDuplicates } from "../src/lib/duplicates.js";
+import { createTable, describeTable } from "../src/lib/exporters.js";
+import { applyDerivedColumns } from "../src/lib/formulas.js";
+import { aggregateGroupRows, resolveGroups } from "../src/lib/groups.js";
+import { prepareDataset } from "../src/lib/prepareDataset.js";
+import { buildRowIndex } from "../src/lib/rowIndex.js";
+import { packPrepared, unpackPrepared } from "../src/lib/transferDataset.js";
+import { DEFAULT_PREFERENCES, convertRows } from "../src/lib/units.js";
+
+const args = process.argv.slice(2);
+const rowsIndex = args.indexOf("--rows");
+const rowCount = rowsIndex >= 0 ? Number(args[rowsIndex + 1]) : 1_000_000;
+if (!Number.isInteger(rowCount) || rowCount < 1) {
+  console.error("--rows must be a positive whole number.");
+  process.exit(1);
+}
+
+const FIELDS = [
+  "Country",
+  "Year",
+  "Avg_Temperature_degC",
+  "CO2_Emissions_tons_per_capita",
+  "Sea_Level_Rise_mm",
+  "Rainfall_mm",
+  "Population",
+  "Renewable_Energy_pct",
+  "Extreme_Weather_Events",
+  "Forest_Area_pct",
+];
+const COUNTRIES = 200;
+const TARGET_MS = 2000;
+
+// One row in a thousand has a blank or out-of-range cell, so validation reports something.
+const generateCsv = () => {
+  const lines = [FIELDS.join(",")];
+  for (let idx = 0; idx < rowCount; idx += 1) {
+    const year = 1900 + Math.floor(idx / COUNTRIES);
+    const renewable = idx % 1000 === 7 ? 140 : (idx % 97) / 1.1;
+    const rainfall = idx % 1000 === 3 ? "" : 400 + (idx % 1300);
+    lines.push(
+      [
+        `Country ${idx % COUNTRIES}`,
+        year,
+        (12 + (idx % 17) / 3).toFixed(1),
+        ((idx % 23) / 2).toFixed(1),
+        (idx % 5000) / 10,
+        rainfall,
+        1_000_000 + idx,
+        renewable.toFixed(1),
+        idx % 12,
+        (idx % 80) + 5,
+      ].join(",")
+    );
+  }
+  return lines.join("\n");
+};
+
+const results = [];
+const time = (step, thread, run) => {
+  const start = performance.now();
+  const value = run();
+  results.push({ step, thread, ms: Math.round(performance.now() - start) });
+  return value;
+};
+
+const parse = (text) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    const chunks = [];
+    const start = performance.now();
+    streamCsv(text, {
+      onChunk: (chunk) => {
+        for (let idx = 0; idx < chunk.rows.length; idx += 1) rows.push(chunk.rows[idx]);
+        chunks.push(chunk.rows);
+      },
+      onComplete: ({ fields }) => {
+        results.push({ step: "parse CSV", thread: "worker", ms: Math.round(performance.now() - start) });
+        resolve({ rows, fields, chunks });
+      },
+      onError: reject,
+    });
+  });
+
+const text = time("generate CSV", "setup", generateCsv);
+console.log(`${rowCount} rows, ${(text.length / 1024 / 1024).toFixed(0)} MB of CSV`);
+
+const { rows, fields, chunks } = await parse(text);
+const { mapping } = autoMatchColumns(fields);
+
+const prepared = time("map, validate, exclude, reconcile, index", "worker", () =>
+  prepareDataset(rows, fields, mapping, { duplicateStrategy: "first" })
+);
+const packed = time("pack columns", "worker", () => packPrepared(prepared));
+const received = time("receive columns, rebuild rows and index", "main", () =>
+  unpackPrepared(structuredClone(packed.message, { transfer: packed.transfer }))
+);
+
+// One custom group of a tenth of the countries; the generated names match no built-in region.
+const groupFor = (countries) => [{ name: "Benchmark group", members: countries.slice(0, COUNTRIES / 10) }];
+const numericHeaders = received.headers.filter((header) => header !== "Country" && header !== "Year");
+
+// CsvCharts' first render of a newly loaded dataset, reusing what the worker did when it can. The loader
+// puts the worker's exclusions in state as they are, so the reuse checks pass.
+const excludedRows = received.excludedRows;
+const dashboardRows = time("reconcile duplicates", "main", () =>
+  received.excludedRows === excludedRows && received.duplicateStrategy === "first"
+    ? received.reconciled
+    : reconcileDuplicates(received.rows.filter((_, index) => !excludedRows.has(index)), "first")
+);
+const convertedRows = time("derived columns and units", "main", () =>
+  convertRows(applyDerivedColumns(dashboardRows.rows, received.headers, []).rows, DEFAULT_PREFERENCES)
+);
+const dashboardIndex = time("row index", "main", () =>
+  received.reconciled.rows === convertedRows ? received.rowIndex : buildRowIndex(convertedRows)
+);
+const [firstYear, lastYear] = [received.years[0], received.years[received.years.length - 1]];
+const rangeRows = time("year range", "main", () =>
+  convertedRows.filter((row) => row.Year >= firstYear && row.Year <= lastYear)
+);
+time("group rows and index", "main", () => {
+  const countries = Array.from(dashboardIndex.byCountry.keys()).sort((a, b) => a.localeCompare(b));
+  const groupRows = aggregateGroupRows(
+    dashboardIndex,
+    resolveGroups(countries, groupFor(countries)),
+    numericHeaders,
+    {},
+    DEFAULT_PREFERENCES
+  );
+  return buildRowIndex(groupRows);
+});
+time("correlation matrix (sampled)", "main", () =>
+  correlationMatrix(sampleRows(rangeRows, CORRELATION_SAMPLE_SIZE), numericHeaders)
+);
+
+const columns = prepared.headers.map((header) => ({ header, value: (row) => row[header] }));
+const spec = { id: "full-dataset", title: "Full dataset", columns, rows: prepared.rows };
+time("describe export tables", "main", () => describeTable(spec));
+time("build full export table", "on export click", () => createTable(spec));
+
+const sentChunks = chunks.splice(0).map((chunk) => serialize(chunk));
+time("receive parsed chunks", "main (before)", () => sentChunks.forEach((chunk) => deserialize(chunk)));
+sentChunks.length = 0;
+const preparedOnPage = time("prepare on the page", "main (before)", () =>
+  prepareDataset(rows, fields, mapping)
+);
+const reconciledOnPage = time("reconcile duplicates", "main (before)", () =>
+  reconcileDuplicates(
+    preparedOnPage.rows.filter((_, index) => !preparedOnPage.excludedRows.has(index)),
+    "first"
+  )
+);
+time("row index", "main (before)", () => buildRowIndex(reconciledOnPage.rows));
+time("correlation matrix (every row)", "main (before)", () =>
+  correlationMatrix(reconciledOnPage.rows, numericHeaders)
+);
+time("build full export table", "main (before)", () => createTable(spec));
+
+const format = (value) => value.toLocaleString("en-US");
+console.log(`${format(prepared.rows.length)} rows prepared, ${format(prepared.issues.length)} issues`);
+console.table(results);
+
+const total = (thread) =>
+  results.filter((result) => result.thread === thread).reduce((sum, result) => sum + result.ms, 0);
+const mainNow = total("main");
+console.log(
+  `Main thread per load: ${total("main (before)")} ms before, ${mainNow} ms now ` +
+    `(${total("worker")} ms in the worker).`
+);
+console.log(
+  `Main-thread work from worker result to first dashboard render: ${mainNow} ms ` +
+    `(target ${TARGET_MS} ms, ${mainNow < TARGET_MS ? "met" : "missed"}).`
+);
@@ -0,0 +1,100 @@
+// Local stand-in for a live data API, for trying "Load from URL" and polling.
+//
+//   npm run mock:data -- [--port 5174] [--drift 30]
+//
+// GET  /environment.csv, /environment.json  the bundled dataset, with ETag and Last-Modified; conditional
+//                                            requests that still match get 304 Not Modified
+// POST /bump                                 appends a year of rows, as if new readings had arrived
+// Any GET with ?status=503 answers with that status instead, to exercise the dashboard's error banner.
+// --drift <seconds> bumps the data on a timer.
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import Papa from "papaparse";
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] ? Number(args[index + 1]) : fallback;
+};
+const port = option("port", 5174);
+const drift = option("drift", 0);
+
+const csv = readFileSync(new URL("../src/data/environment.csv", import.meta.url), "utf8");
+const { data: rows, meta } = Papa.parse(csv, { header: true, dynamicTyping: true, skipEmptyLines: true });
+
+let version = 1;
+// HTTP dates have one-second resolution, so keep the timestamp whole to make If-Modified-Since exact.
+let lastModified = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const bump = () => {
+  const latestYear = Math.max(...rows.map((row) => row.Year));
+  rows
+    .filter((row) => row.Year === latestYear)
+    .forEach((row) => {
+      rows.push({
+        ...row,
+        Year: latestYear + 1,
+        Avg_Temperature_degC: round(row.Avg_Temperature_degC + 0.05 + Math.random() * 0.1, 1),
+        CO2_Emissions_tons_per_capita: round(row.CO2_Emissions_tons_per_capita * (0.97 + Math.random() / 25), 1),
+        Sea_Level_Rise_mm: round(row.Sea_Level_Rise_mm + 3 + Math.random(), 1),
+        Renewable_Energy_pct: round(Math.min(100, row.Renewable_Energy_pct + Math.random() * 1.5), 1),
+      });
+    });
+  version += 1;
+  lastModified = new Date(Math.max(lastModified.getTime() + 1000, Math.floor(Date.now() / 1000) * 1000));
+  console.log(`Data is now version ${version} (${latestYear + 1} added, ${rows.length} rows).`);
+};
+
+const BODIES = {
+  "/environment.csv": {
+    type: "text/csv; charset=utf-8",
+    render: () => Papa.unparse(rows, { columns: meta.fields }),
+  },
+  "/environment.json": { type: "application/json; charset=utf-8", render: () => JSON.stringify(rows) },
+};
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "If-None-Match, If-Modified-Since",
+  "Access-Control-Expose-Headers": "ETag, Last-Modified",
+};
+
+const isNotModified = (request, etag) => {
+  const ifNoneMatch = request.headers["if-none-match"];
+  if (ifNoneMatch) return ifNoneMatch.split(",").some((tag) => tag.trim() === etag);
+  const ifModifiedSince = Date.parse(request.headers["if-modified-since"] ?? "");
+  return !Number.isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+};
+
+const server = createServer((request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  const send = (status, headers = {}, body = "") => {
+    response.writeHead(status, { ...CORS_HEADERS, ...headers });
+    response.end(body);
+    console.log(`${request.method} ${url.pathname}${url.search} -> ${status}`);
+  };
+
+  if (request.method === "OPTIONS") return send(204);
+  if (request.method === "POST" && url.pathname === "/bump") {
+    bump();
+    return send(200, { "Content-Type": "application/json" }, JSON.stringify({ version, rows: rows.length }));
+  }
+  const body = BODIES[url.pathname];
+  if (request.method !== "GET" || !body) return send(404, { "Content-Type": "text/plain" }, "Not found");
+
+  const forced = Number(url.searchParams.get("status"));
+  if (forced >= 400) return send(forced, { "Content-Type": "text/plain" }, "Simulated failure");
+
+  const etag = `"${url.pathname.slice(1)}-v${version}"`;
+  const validators = { ETag: etag, "Last-Modified": lastModified.toUTCString(), "Cache-Control": "no-cache" };
+  if (isNotModified(request, etag)) return send(304, validators);
+  return send(200, { ...validators, "Content-Type": body.type }, body.render());
+});
+
+server.listen(port, () => {
+  console.log(`Mock data server on http://localhost:${port}/environment.csv and /environment.json`);
+  if (drift > 0) setInterval(bump, drift * 1000);
+});
@@ -1,5 +1,17 @@
 import CsvCharts from "./CsvCharts.jsx";
+import environmentCsv from "./data/environment.csv?raw";
+
+const FOOTER =
+  "References: Pierre Laborde et al. (2022); GeeksforGeeks blog (2025); MathWorks blog (2025). Dataset from Kaggle (https://www.kaggle.com/datasets/adilshamim8/temperature) for CPSC 3720 Assignment #3 - reusable visualization dashboard.";
 
 export default function App() {
-  return <CsvCharts />;
+  return (
+    <CsvCharts
+      data={environmentCsv}
+      datasetLabel="CPSC 3720 dataset"
+      eyebrow="CPSC 3720 · Assignment 3"
+      title="Environmental Insights Dashboard"
+      footer={FOOTER}
+    />
+  );
 }
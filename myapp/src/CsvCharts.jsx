@@ -1,813 +1,1385 @@
-import React, { useEffect, useMemo, useState } from "react";
-import Papa from "papaparse";
-import Plot from "react-plotly.js";
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import { Chart, registerables } from "chart.js";
-import { Bar, Doughnut, Line, Radar } from "react-chartjs-2";
-import environmentCsv from "./data/environment.csv?raw";
+import ColumnMappingDialog from "./components/ColumnMappingDialog.jsx";
+import CorrelationExplorer from "./components/CorrelationExplorer.jsx";
+import CountryPicker from "./components/CountryPicker.jsx";
+import CustomChartCard from "./components/CustomChartCard.jsx";
+import DashboardCard from "./components/DashboardCard.jsx";
+import DerivedColumnsPanel from "./components/DerivedColumnsPanel.jsx";
+import DatasetSwitcher from "./components/DatasetSwitcher.jsx";
+import ExportPanel from "./components/ExportPanel.jsx";
+import HighlightStats from "./components/HighlightStats.jsx";
+import ImportDialog from "./components/ImportDialog.jsx";
+import GroupsPanel from "./components/GroupsPanel.jsx";
+import LayoutControls from "./components/LayoutControls.jsx";
+import ParseProgress from "./components/ParseProgress.jsx";
+import PreferencesPanel from "./components/PreferencesPanel.jsx";
+import RemoteSourceForm from "./components/RemoteSourceForm.jsx";
+import ReportSummary from "./components/ReportSummary.jsx";
+import ResilienceLeaderboard from "./components/ResilienceLeaderboard.jsx";
+import ThemePanel from "./components/ThemePanel.jsx";
+import YearRangeSlider from "./components/YearRangeSlider.jsx";
+import ValidationPanel from "./components/ValidationPanel.jsx";
+import Co2RenewablesCard from "./components/cards/Co2RenewablesCard.jsx";
+import EnergyMixCard from "./components/cards/EnergyMixCard.jsx";
+import PopulationCard from "./components/cards/PopulationCard.jsx";
+import RainfallCard from "./components/cards/RainfallCard.jsx";
+import ResilienceCard from "./components/cards/ResilienceCard.jsx";
+import SeaLevelCard from "./components/cards/SeaLevelCard.jsx";
+import TemperatureCard from "./components/cards/TemperatureCard.jsx";
+import WorldMapCard from "./components/cards/WorldMapCard.jsx";
+import useDatasetLoader from "./hooks/useDatasetLoader.js";
+import { DisplaySettingsContext } from "./hooks/useDisplaySettings.js";
+import useUrlSync from "./hooks/useUrlSync.js";
+import { assignColorSlots, getSeriesColor } from "./lib/colors.js";
+import { isLibraryAvailable } from "./lib/datasetLibrary.js";
+import { chartClickCountry, filterToBrush, resolveBrush } from "./lib/crossFilter.js";
+import {
+  averageByYear,
+  energyMixChart,
+  getUniqueSorted,
+  rainfallTrendChart,
+  resilienceRadarChart,
+  temperatureTrendChart,
+} from "./lib/dashboardCharts.js";
+import { buildCardSummaries, buildCardTables, describeExportTables } from "./lib/dashboardTables.js";
+import { DUPLICATE_STRATEGIES, reconcileDuplicates } from "./lib/duplicates.js";
+import { resolveCountryCodes } from "./lib/countryCodes.js";
+import { columnHeader, slugify } from "./lib/exporters.js";
+import {
+  DASHBOARD_CARDS,
+  getCardTitle,
+  loadActiveLayout,
+  moveCard,
+  normalizeCustomCharts,
+  saveActiveLayout,
+  shiftCard,
+} from "./lib/layout.js";
+import { METRICS } from "./lib/metrics.js";
+import { applyDerivedColumns } from "./lib/formulas.js";
+import {
+  aggregateGroupRows,
+  loadGroupSettings,
+  resolveGroups,
+  saveGroupSettings,
+} from "./lib/groups.js";
+import { buildHighlightStats } from "./lib/highlights.js";
+import { ACCEPTED_FILE_TYPES } from "./lib/loaders.js";
+import { generateReport } from "./lib/report.js";
+import { buildRowIndex, rowsForCountry, rowsForYear } from "./lib/rowIndex.js";
+import {
+  computeResilienceIndex,
+  loadResilienceConfig,
+  saveResilienceConfig,
+} from "./lib/resilience.js";
+import {
+  applyTheme,
+  loadThemeSettings,
+  prefersDarkScheme,
+  resolveTheme,
+  saveThemeSettings,
+} from "./lib/theme.js";
+import {
+  FORECAST_YEARS,
+  TREND_METHODS,
+  buildTrendOverlay,
+  cagr,
+  ratePerDecade,
+  toPoints,
+} from "./lib/trends.js";
+import {
+  convertRows,
+  formatDateTime,
+  formatInteger,
+  formatNumber,
+  loadPreferences,
+  savePreferences,
+} from "./lib/units.js";
+import { COURSE_DATASET_PARAM, readUrlState } from "./lib/urlState.js";
+import { getErrorRowIndexes } from "./lib/validation.js";
 
+// Only the chart types are registered globally; theme, font, locale and tooltip settings go on each chart
+// through themedChartOptions() so they never leak into a host page's own charts.
 Chart.register(...registerables);
-Chart.defaults.color = "#0f172a";
-Chart.defaults.borderColor = "rgba(148, 163, 184, 0.3)";
-Chart.defaults.font.family =
-  '"Inter", system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
-Chart.defaults.font.size = 13;
 
 const chartCardClass =
   "rounded-3xl border border-slate-200/70 bg-white/90 p-6 shadow-lg shadow-slate-200/60 backdrop-blur transition duration-200 hover:shadow-xl hover:-translate-y-0.5 flex flex-col gap-4";
 
-const highlightCardClass =
-  "rounded-2xl border border-white/60 bg-white/80 p-4 shadow-sm";
+const MAX_COMPARED_COUNTRIES = 8;
 
-const decimalFormatter = new Intl.NumberFormat("en-US", {
-  maximumFractionDigits: 1,
-});
+const PLAYBACK_INTERVAL_MS = 1400;
 
-const compactFormatter = new Intl.NumberFormat("en-US", {
-  maximumFractionDigits: 1,
-  notation: "compact",
-});
+const DEFAULT_MAP_METRIC = "Avg_Temperature_degC";
 
-const integerFormatter = new Intl.NumberFormat("en-US");
-
-const formatNumber = (value, { compact = false, suffix = "" } = {}) => {
-  if (!Number.isFinite(value)) return "--";
-  const base = compact ? compactFormatter : decimalFormatter;
-  return `${base.format(value)}${suffix}`;
+const pickDefaultCountry = (countryList) => {
+  if (!countryList?.length) return "";
+  return countryList.includes("Canada") ? "Canada" : countryList[0];
 };
 
-const formatInteger = (value) => {
-  if (!Number.isFinite(value)) return "--";
-  return integerFormatter.format(value);
-};
+const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []).filter(Boolean);
+
+const resolveTrendMethod = (value) =>
+  TREND_METHODS.some((method) => method.value === value) ? value : "none";
 
-const getUniqueSorted = (arr) =>
-  Array.from(new Set(arr.filter((item) => Number.isFinite(item)))).sort(
-    (a, b) => (a ?? 0) - (b ?? 0)
+// The whole dashboard as one component. Everything specific to a deployment comes in as props:
+// - data / src: CSV text, or a URL to any supported format, loaded as the default dataset
+// - refreshInterval: seconds between conditional re-fetches of `src` (0 fetches once)
+// - cards: ids from DASHBOARD_CARDS to show, in order (the saved layout applies when omitted)
+// - country / year: initial selection; later changes move the selection
+// - controls: "full", "filters" (header and filters only) or "none" (cards only)
+// - syncUrl: mirror the selection in the page URL; turn off when embedded
+// - themeRoot: element that receives the theme's CSS variables (the whole page when omitted)
+// - storageKey: keeps this dashboard's saved theme, preferences and layout apart from other dashboards
+// - onSelectionChange: called with { countries, year, yearRange, brushedCountries }
+export default function CsvCharts({
+  data = "",
+  src = "",
+  refreshInterval = 0,
+  datasetLabel = "Default dataset",
+  title = "Environmental Insights Dashboard",
+  eyebrow = "",
+  footer = null,
+  cards = null,
+  country = null,
+  year = null,
+  controls = "full",
+  syncUrl = true,
+  themeRoot = document.documentElement,
+  storageKey = "",
+  onSelectionChange,
+}) {
+  const [initialUrlState] = useState(() => readUrlState(syncUrl ? window.location.search : ""));
+  const [showValidation, setShowValidation] = useState(false);
+  const [duplicateStrategy, setDuplicateStrategy] = useState(
+    initialUrlState.duplicates || "first"
+  );
+  const [selectedCountries, setSelectedCountries] = useState(() => {
+    const initial = initialUrlState.countries.length ? initialUrlState.countries : asList(country);
+    return initial.slice(0, MAX_COMPARED_COUNTRIES);
+  });
+  const [selectedYear, setSelectedYear] = useState(
+    initialUrlState.year ?? (Number.isFinite(Number(year)) && year !== null ? Number(year) : null)
   );
+  const [yearRange, setYearRange] = useState(initialUrlState.yearRange);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [mapMetric, setMapMetric] = useState(initialUrlState.metrics[0] || DEFAULT_MAP_METRIC);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [reportRequestedAt, setReportRequestedAt] = useState(null);
+  const [reportError, setReportError] = useState("");
+  // A shared link's custom charts replace the saved ones.
+  const [layout, setLayout] = useState(() => {
+    const saved = loadActiveLayout(storageKey);
+    const linked = initialUrlState.charts;
+    return linked ? { ...saved, customCharts: normalizeCustomCharts(linked) } : saved;
+  });
+  const [trendMethod, setTrendMethod] = useState(() => resolveTrendMethod(initialUrlState.trend));
+  const [forecastYear, setForecastYear] = useState(initialUrlState.forecast);
+  const [resilienceConfig, setResilienceConfig] = useState(() => loadResilienceConfig());
+  const [groupSettings, setGroupSettings] = useState(() => loadGroupSettings());
+  const [brushSelection, setBrushSelection] = useState(null);
+  const [preferences, setPreferences] = useState(() => loadPreferences(storageKey));
+  const [themeSettings, setThemeSettings] = useState(() => loadThemeSettings(storageKey));
+  const [systemDark, setSystemDark] = useState(() => prefersDarkScheme());
+  const theme = useMemo(() => resolveTheme(themeSettings, systemDark), [themeSettings, systemDark]);
+  const displaySettings = useMemo(() => ({ theme, preferences }), [theme, preferences]);
 
-const pickDefaultCountry = (countryList) => {
-  if (!countryList?.length) return "";
-  return countryList.includes("Canada") ? "Canada" : countryList[0];
-};
+  // Before paint, so the first frame already has the theme's colours.
+  useLayoutEffect(() => {
+    applyTheme(theme, themeRoot);
+  }, [theme, themeRoot]);
 
-const plotFont = {
-  family: '"Inter", system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
-  color: "#0f172a",
-};
+  const dashboardRef = useRef(null);
 
-const axisBase = {
-  tickfont: { color: "#475569" },
-  gridcolor: "rgba(148, 163, 184, 0.25)",
-  zerolinecolor: "rgba(148, 163, 184, 0.2)",
-  linecolor: "rgba(203, 213, 225, 0.45)",
-  ticks: "outside",
-  tickcolor: "rgba(148, 163, 184, 0.35)",
-  mirror: true,
-};
+  const {
+    datasetRows,
+    prepared,
+    validationIssues,
+    excludedRows,
+    setExcludedRows,
+    toggleExcludedRow,
+    baseHeaders,
+    derivedColumns,
+    changeDerivedColumns,
+    csvSource,
+    parseError,
+    parseProgress,
+    cancelParse,
+    pendingImport,
+    confirmImport,
+    cancelImport,
+    pendingMapping,
+    confirmMapping,
+    cancelMapping,
+    savedDatasets,
+    activeDataset,
+    activeDatasetId,
+    selectDataset,
+    renameDataset,
+    removeDataset,
+    uploadFile,
+    loadDefaultDataset,
+    openSharedDataset,
+    remoteSource,
+    remoteStatus,
+    remoteInterval,
+    loadRemote,
+    refreshRemote,
+    stopRemote,
+  } = useDatasetLoader({
+    data,
+    src,
+    refreshInterval,
+    datasetLabel,
+    initialDataset: initialUrlState.dataset,
+    duplicateStrategy,
+    onDatasetLoaded: keepSelection,
+  });
 
-const hoverLabelTheme = {
-  bgcolor: "#0f172a",
-  bordercolor: "#0f172a",
-  font: { family: plotFont.family, size: 11, color: "#f8fafc" },
-};
+  // A new dataset keeps the selected countries, groups and year where it still has them.
+  function keepSelection({ countries: loadedCountries, years: loadedYears }) {
+    const availableGroups = resolveGroups(loadedCountries, groupSettings.groups).map((group) => group.name);
+    setSelectedCountries((prev) => {
+      const kept = prev.filter(
+        (country) => loadedCountries.includes(country) || availableGroups.includes(country)
+      );
+      if (kept.length) return kept;
+      return [pickDefaultCountry(loadedCountries)];
+    });
 
-const plotConfig = {
-  displaylogo: false,
-  responsive: true,
-  modeBarButtonsToRemove: [
-    "lasso2d",
-    "select2d",
-    "zoomOut2d",
-    "autoScale2d",
-    "toggleSpikelines",
-  ],
-  toImageButtonOptions: {
-    format: "png",
-    filename: "environment-dashboard-chart",
-    scale: 2,
-  },
-};
+    setSelectedYear((prev) => {
+      if (prev !== null && loadedYears.includes(prev)) return prev;
+      return loadedYears[loadedYears.length - 1] ?? null;
+    });
+  }
 
-export default function CsvCharts() {
-  const [rows, setRows] = useState([]);
-  const [headers, setHeaders] = useState([]);
-  const [selectedCountry, setSelectedCountry] = useState("");
-  const [selectedYear, setSelectedYear] = useState(null);
-  const [csvSource, setCsvSource] = useState("CPSC 3720 dataset");
-  const [parseError, setParseError] = useState("");
+  // The worker has already left out rows with errors and reconciled duplicates; only a change to either
+  // is redone here.
+  const reconciled = useMemo(() => {
+    if (prepared?.excludedRows === excludedRows && prepared.duplicateStrategy === duplicateStrategy) {
+      return prepared.reconciled;
+    }
+    const includedRows = excludedRows.size
+      ? datasetRows.filter((_, index) => !excludedRows.has(index))
+      : datasetRows;
+    return reconcileDuplicates(includedRows, duplicateStrategy);
+  }, [prepared, datasetRows, excludedRows, duplicateStrategy]);
 
-  useEffect(() => {
-    parseCsvText(environmentCsv, "CPSC 3720 dataset");
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  const derived = useMemo(
+    () => applyDerivedColumns(reconciled.rows, baseHeaders, derivedColumns),
+    [reconciled.rows, baseHeaders, derivedColumns]
+  );
+
+  // Formulas run on the stored units; conversion for display happens afterwards.
+  const rows = useMemo(() => convertRows(derived.rows, preferences), [derived.rows, preferences]);
+  const headers = derived.headers;
+
+  const numericHeaders = useMemo(() => {
+    return headers.filter(
+      (header) =>
+        header !== "Year" && rows.some((row) => typeof row[header] === "number" && Number.isFinite(row[header]))
+    );
+  }, [headers, rows]);
+
+  const flaggedRowCount = useMemo(() => {
+    return new Set(
+      validationIssues.filter((issue) => issue.rowIndex !== null).map((issue) => issue.rowIndex)
+    ).size;
+  }, [validationIssues]);
+
+  // The prepare worker indexes the rows it reconciled; rebuild only once exclusions, duplicates, formulas
+  // or unit conversions have produced different rows.
+  const rowIndex = useMemo(
+    () => (prepared?.reconciled.rows === rows ? prepared.rowIndex : buildRowIndex(rows)),
+    [rows, prepared]
+  );
 
   const countries = useMemo(() => {
-    return Array.from(new Set(rows.map((row) => row.Country)))
+    return Array.from(rowIndex.byCountry.keys())
       .filter(Boolean)
       .sort((a, b) => a.localeCompare(b));
-  }, [rows]);
+  }, [rowIndex]);
 
   const years = useMemo(() => {
-    return getUniqueSorted(rows.map((row) => Number(row.Year)));
-  }, [rows]);
+    return getUniqueSorted(Array.from(rowIndex.byYear.keys()));
+  }, [rowIndex]);
+
+  const groups = useMemo(
+    () => resolveGroups(countries, groupSettings.groups),
+    [countries, groupSettings.groups]
+  );
+
+  const groupNames = useMemo(() => groups.map((group) => group.name), [groups]);
+
+  const groupRows = useMemo(
+    () => aggregateGroupRows(rowIndex, groups, numericHeaders, groupSettings.rules, preferences),
+    [rowIndex, groups, numericHeaders, groupSettings.rules, preferences]
+  );
+
+  const groupIndex = useMemo(() => buildRowIndex(groupRows), [groupRows]);
+
+  useEffect(() => {
+    saveGroupSettings(groupSettings);
+  }, [groupSettings]);
+
+  const handlePreferencesChange = (next) => {
+    savePreferences(next, storageKey);
+    setPreferences(next);
+  };
+
+  const handleThemeChange = (next) => {
+    saveThemeSettings(next, storageKey);
+    setThemeSettings(next);
+  };
+
+  useEffect(() => {
+    const query = window.matchMedia?.("(prefers-color-scheme: dark)");
+    if (!query) return undefined;
+    const handleSchemeChange = (event) => setSystemDark(event.matches);
+    query.addEventListener("change", handleSchemeChange);
+    return () => query.removeEventListener("change", handleSchemeChange);
+  }, []);
 
   useEffect(() => {
     if (!countries.length) return;
-    const preferredCountry = pickDefaultCountry(countries);
-    if (!selectedCountry) {
-      setSelectedCountry(preferredCountry);
-      return;
+    const kept = selectedCountries.filter(
+      (country) => countries.includes(country) || groupNames.includes(country)
+    );
+    if (!kept.length) {
+      setSelectedCountries([pickDefaultCountry(countries)]);
+    } else if (kept.length !== selectedCountries.length) {
+      setSelectedCountries(kept);
     }
-    if (!countries.includes(selectedCountry)) {
-      setSelectedCountry(preferredCountry);
+  }, [countries, groupNames, selectedCountries]);
+
+  function focusCountry(country) {
+    if (!country) return;
+    setSelectedCountries((prev) => {
+      if (prev.length <= 1) return [country];
+      return [country, ...prev.filter((item) => item !== country)].slice(0, MAX_COMPARED_COUNTRIES);
+    });
+  }
+
+  const handleChartClick = (event, elements, chart) => focusCountry(chartClickCountry(elements, chart));
+
+  const handleBrush = (picked) =>
+    setBrushSelection(picked.length ? { countries: picked, source: "CO₂ vs renewables" } : null);
+
+  const selectedCountry = selectedCountries[0] ?? "";
+
+  // Selected groups expanded to their member countries, for views that only show countries.
+  const selectedMemberCountries = useMemo(() => {
+    const names = selectedCountries.flatMap(
+      (name) => groups.find((group) => group.name === name)?.members ?? [name]
+    );
+    return Array.from(new Set(names));
+  }, [selectedCountries, groups]);
+  const isComparing = selectedCountries.length > 1;
+
+  // Countries keep their colour slot while they stay selected. The slots update during render when the
+  // selection changes, so the first render after a change already uses them.
+  const [colorSlots, setColorSlots] = useState(() => assignColorSlots(new Map(), selectedCountries));
+  const [slottedCountries, setSlottedCountries] = useState(selectedCountries);
+  if (slottedCountries !== selectedCountries) {
+    setSlottedCountries(selectedCountries);
+    setColorSlots(assignColorSlots(colorSlots, selectedCountries));
+  }
+
+  const countryColors = useMemo(
+    () =>
+      Object.fromEntries(
+        selectedCountries.map((country) => [
+          country,
+          getSeriesColor(colorSlots.get(country) ?? 0, preferences.palette),
+        ])
+      ),
+    [selectedCountries, colorSlots, preferences.palette]
+  );
+
+  useEffect(() => {
+    if (!yearRange || !years.length) return;
+    const clamped = [Math.max(yearRange[0], years[0]), Math.min(yearRange[1], years[years.length - 1])];
+    const isFullRange = clamped[0] === years[0] && clamped[1] === years[years.length - 1];
+    if (clamped[0] > clamped[1] || isFullRange) {
+      setYearRange(null);
+    } else if (clamped[0] !== yearRange[0] || clamped[1] !== yearRange[1]) {
+      setYearRange(clamped);
+    }
+  }, [years, yearRange]);
+
+  const rangeYears = useMemo(() => {
+    if (!yearRange) return years;
+    return years.filter((year) => year >= yearRange[0] && year <= yearRange[1]);
+  }, [years, yearRange]);
+
+  const rangeRows = useMemo(() => {
+    if (!yearRange) return rows;
+    return rows.filter((row) => row.Year >= yearRange[0] && row.Year <= yearRange[1]);
+  }, [rows, yearRange]);
+
+  // Countries lasso- or box-selected in the CO₂ scatter; other cards highlight or filter to them.
+  const brush = useMemo(() => resolveBrush(brushSelection, countries), [brushSelection, countries]);
+
+  const brushedRangeRows = useMemo(() => filterToBrush(rangeRows, brush), [rangeRows, brush]);
+
+  // Countries and groups side by side, so a selection resolves to either.
+  const selectionIndex = useMemo(
+    () => ({ byCountry: new Map([...groupIndex.byCountry, ...rowIndex.byCountry]), byYear: rowIndex.byYear }),
+    [rowIndex, groupIndex]
+  );
+
+  useEffect(() => {
+    if (!rangeYears.length) return;
+    if (selectedYear === null || !rangeYears.includes(selectedYear)) {
+      setSelectedYear(rangeYears[rangeYears.length - 1]);
     }
-  }, [countries, selectedCountry]);
+  }, [rangeYears, selectedYear]);
 
   useEffect(() => {
-    if (selectedYear === null && years.length) {
-      setSelectedYear(years[years.length - 1]);
-    } else if (selectedYear !== null && years.length && !years.includes(selectedYear)) {
-      setSelectedYear(years[years.length - 1]);
+    if (!isPlaying) return undefined;
+    if (rangeYears.length < 2) {
+      setIsPlaying(false);
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      setSelectedYear((prev) => {
+        const index = rangeYears.indexOf(prev);
+        return rangeYears[(index + 1) % rangeYears.length];
+      });
+    }, PLAYBACK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, rangeYears]);
+
+  const countryRows = useMemo(
+    () => rowsForCountry(selectionIndex, selectedCountry, yearRange),
+    [selectionIndex, selectedCountry, yearRange]
+  );
+
+  const comparedSeries = useMemo(() => {
+    return selectedCountries.map((country) => {
+      const seriesRows = rowsForCountry(selectionIndex, country, yearRange);
+      return {
+        country,
+        color: countryColors[country],
+        rows: seriesRows,
+        datum:
+          selectedYear === null
+            ? undefined
+            : seriesRows.find((row) => Number(row.Year) === Number(selectedYear)),
+      };
+    });
+  }, [selectionIndex, yearRange, selectedCountries, countryColors, selectedYear]);
+
+  const currentDatum = comparedSeries[0]?.datum;
+
+  // Library datasets are linked by their record id, which a rename does not change.
+  const datasetParam =
+    activeDatasetId ?? (csvSource === datasetLabel ? COURSE_DATASET_PARAM : csvSource);
+
+  useUrlSync({
+    enabled: syncUrl,
+    ready: rows.length > 0 && selectedCountries.length > 0 && selectedYear !== null,
+    state: {
+      dataset: datasetParam,
+      countries: selectedCountries,
+      year: selectedYear,
+      yearRange,
+      metrics: mapMetric === DEFAULT_MAP_METRIC ? [] : [mapMetric],
+      duplicates: duplicateStrategy === "first" ? null : duplicateStrategy,
+      trend: trendMethod === "none" ? null : trendMethod,
+      forecast: forecastYear,
+      charts: layout.customCharts,
+    },
+    isPlaying,
+    onRestore: restoreUrlState,
+  });
+
+  // Back/forward restores every synced setting, and the dataset when the URL names a different one.
+  function restoreUrlState(urlState) {
+    if (urlState.countries.length) {
+      setSelectedCountries(urlState.countries.slice(0, MAX_COMPARED_COUNTRIES));
     }
-  }, [years, selectedYear]);
-
-  const countryRows = useMemo(() => {
-    return rows
-      .filter((row) => row.Country === selectedCountry)
-      .sort((a, b) => Number(a.Year) - Number(b.Year));
-  }, [rows, selectedCountry]);
-
-  const currentDatum = useMemo(() => {
-    if (selectedYear === null) return undefined;
-    return rows.find(
-      (row) => row.Country === selectedCountry && Number(row.Year) === Number(selectedYear)
+    if (urlState.year !== null) setSelectedYear(urlState.year);
+    setYearRange(urlState.yearRange);
+    setMapMetric(urlState.metrics[0] || DEFAULT_MAP_METRIC);
+    setDuplicateStrategy(urlState.duplicates || "first");
+    setTrendMethod(resolveTrendMethod(urlState.trend));
+    setForecastYear(urlState.forecast);
+    setLayout((prev) => ({ ...prev, customCharts: normalizeCustomCharts(urlState.charts) }));
+    const dataset = urlState.dataset || COURSE_DATASET_PARAM;
+    if (dataset !== datasetParam) openSharedDataset(dataset);
+  }
+
+  // A host changing the country or year props moves the selection; the user can still change it after.
+  const countryProp = asList(country).join(",");
+  useEffect(() => {
+    if (countryProp) setSelectedCountries(countryProp.split(",").slice(0, MAX_COMPARED_COUNTRIES));
+  }, [countryProp]);
+
+  useEffect(() => {
+    if (year !== null && year !== "" && Number.isFinite(Number(year))) setSelectedYear(Number(year));
+  }, [year]);
+
+  useEffect(() => {
+    if (!onSelectionChange || !rows.length || !selectedCountries.length || selectedYear === null) return;
+    onSelectionChange({
+      countries: selectedCountries,
+      year: selectedYear,
+      yearRange,
+      brushedCountries: brush?.countries ?? [],
+    });
+  }, [onSelectionChange, rows.length, selectedCountries, selectedYear, yearRange, brush]);
+
+  const comparedYears = useMemo(() => {
+    return getUniqueSorted(
+      comparedSeries.flatMap((series) => series.rows.map((row) => Number(row.Year)))
     );
-  }, [rows, selectedCountry, selectedYear]);
+  }, [comparedSeries]);
 
-  const highlightStats = useMemo(() => {
-    return [
-      {
-        label: "Average temperature",
-        value: formatNumber(currentDatum?.Avg_Temperature_degC, { suffix: "°C" }),
-        caption: "Surface temperature for the selected country",
-      },
-      {
-        label: "CO₂ per capita",
-        value: formatNumber(currentDatum?.CO2_Emissions_tons_per_capita, { suffix: " t" }),
-        caption: "Annual emissions intensity",
-      },
-      {
-        label: "Renewable energy share",
-        value: formatNumber(currentDatum?.Renewable_Energy_pct, { suffix: "%" }),
-        caption: "Percent of energy from renewables",
-      },
-      {
-        label: "Population exposed",
-        value: formatNumber(currentDatum?.Population, { compact: true }),
-        caption: "Residents during the focus year",
-      },
-      {
-        label: "Extreme weather events",
-        value: formatInteger(currentDatum?.Extreme_Weather_Events),
-        caption: "Reported incidents impacting communities",
-      },
-    ];
-  }, [currentDatum]);
+  const trendInsights = useMemo(() => {
+    return comparedSeries.map((series) => {
+      const temperaturePoints = toPoints(series.rows, "Avg_Temperature_degC");
+      return {
+        country: series.country,
+        color: series.color,
+        temperaturePoints,
+        temperatureOverlay: buildTrendOverlay(temperaturePoints, trendMethod, forecastYear),
+        temperaturePerDecade: ratePerDecade(temperaturePoints),
+        co2Growth: cagr(toPoints(series.rows, "CO2_Emissions_tons_per_capita")),
+        populationGrowth: cagr(toPoints(series.rows, "Population")),
+      };
+    });
+  }, [comparedSeries, trendMethod, forecastYear]);
 
-  const temperatureTrendData = useMemo(() => {
-    return {
-      labels: countryRows.map((row) => row.Year),
-      datasets: [
-        {
-          label: `${selectedCountry || "Country"} avg temperature (°C)`,
-          data: countryRows.map((row) => row.Avg_Temperature_degC),
-          borderColor: "#2563eb",
-          backgroundColor: "rgba(37, 99, 235, 0.18)",
-          tension: 0.35,
-          fill: true,
-        },
-      ],
-    };
-  }, [countryRows, selectedCountry]);
+  const highlightStats = useMemo(
+    () => buildHighlightStats(comparedSeries, trendInsights, preferences),
+    [comparedSeries, trendInsights, preferences]
+  );
+
+  const temperatureTrendData = useMemo(
+    () =>
+      temperatureTrendChart({
+        countryRows,
+        selectedCountry,
+        isComparing,
+        comparedSeries,
+        comparedYears,
+        trendInsights,
+        theme,
+        preferences,
+      }),
+    [countryRows, selectedCountry, isComparing, comparedSeries, comparedYears, trendInsights, theme, preferences]
+  );
+
+  const rainfallTrendData = useMemo(
+    () =>
+      rainfallTrendChart({
+        countryRows,
+        selectedCountry,
+        isComparing,
+        comparedSeries,
+        comparedYears,
+        theme,
+        preferences,
+      }),
+    [countryRows, selectedCountry, isComparing, comparedSeries, comparedYears, theme, preferences]
+  );
+
+  const focusYearRows = useMemo(() => rowsForYear(rowIndex, selectedYear), [rowIndex, selectedYear]);
+
+  // "Separate series" repeats are extra lines on the country charts; the map and rankings keep one row
+  // per country.
+  const primaryYearRows = useMemo(() => focusYearRows.filter((row) => !row.variantOf), [focusYearRows]);
+
+  const focusYearGroupRows = useMemo(() => {
+    return rowsForYear(groupIndex, selectedYear).filter((row) => selectedCountries.includes(row.Country));
+  }, [groupIndex, selectedYear, selectedCountries]);
+
+  const resilienceIndex = useMemo(
+    () => computeResilienceIndex(primaryYearRows, resilienceConfig, numericHeaders, focusYearGroupRows),
+    [primaryYearRows, resilienceConfig, numericHeaders, focusYearGroupRows]
+  );
 
-  const rainfallTrendData = useMemo(() => {
+  useEffect(() => {
+    saveResilienceConfig(resilienceConfig);
+  }, [resilienceConfig]);
+
+  const resilienceRadar = useMemo(
+    () =>
+      resilienceRadarChart({
+        resilienceIndex,
+        currentDatum,
+        selectedCountry,
+        selectedYear,
+        isComparing,
+        comparedSeries,
+        theme,
+        preferences,
+      }),
+    [
+      resilienceIndex,
+      currentDatum,
+      selectedCountry,
+      selectedYear,
+      isComparing,
+      comparedSeries,
+      theme,
+      preferences,
+    ]
+  );
+
+  const renewableSplit = useMemo(() => energyMixChart(currentDatum, theme), [currentDatum, theme]);
+
+  const seaLevelSeries = useMemo(
+    () => averageByYear(brushedRangeRows, "Sea_Level_Rise_mm"),
+    [brushedRangeRows]
+  );
+
+  const seaLevelOverlay = useMemo(
+    () =>
+      buildTrendOverlay(
+        seaLevelSeries.map((point) => ({ x: point.year, y: point.value })),
+        trendMethod,
+        forecastYear
+      ),
+    [seaLevelSeries, trendMethod, forecastYear]
+  );
+
+  const seaLevelGroupSeries = useMemo(() => {
+    return comparedSeries
+      .filter((series) => groupNames.includes(series.country))
+      .map((series) => ({
+        name: series.country,
+        color: series.color,
+        points: series.rows.filter((row) => Number.isFinite(row.Sea_Level_Rise_mm)),
+      }));
+  }, [comparedSeries, groupNames]);
+
+  const playbackAxes = useMemo(() => {
+    if (!isPlaying) return null;
+    const maxOf = (key) =>
+      rangeRows.reduce((max, row) => (Number.isFinite(row[key]) ? Math.max(max, row[key]) : max), 0);
     return {
-      labels: countryRows.map((row) => row.Year),
-      datasets: [
-        {
-          label: `${selectedCountry || "Country"} rainfall (mm)`,
-          data: countryRows.map((row) => row.Rainfall_mm),
-          backgroundColor: "rgba(14, 165, 233, 0.65)",
-          borderColor: "rgba(14, 165, 233, 1)",
-          borderWidth: 1,
-          borderRadius: 12,
-        },
-      ],
+      co2: [0, maxOf("CO2_Emissions_tons_per_capita") * 1.1],
+      population: [0, maxOf("Population") * 1.1],
+      transition: { duration: PLAYBACK_INTERVAL_MS * 0.6, easing: "cubic-in-out" },
     };
-  }, [countryRows, selectedCountry]);
+  }, [isPlaying, rangeRows]);
 
-  const resilienceRadar = useMemo(() => {
-    const metrics = [
-      {
-        label: "Avg temp (°C)",
-        value: currentDatum?.Avg_Temperature_degC ?? 0,
-      },
-      {
-        label: "Renewables (%)",
-        value: currentDatum?.Renewable_Energy_pct ?? 0,
-      },
-      {
-        label: "Forest area (%)",
-        value: currentDatum?.Forest_Area_pct ?? 0,
-      },
+  const co2RenewableRows = useMemo(() => {
+    return focusYearRows.filter(
+      (row) =>
+        Number.isFinite(row.CO2_Emissions_tons_per_capita) &&
+        Number.isFinite(row.Renewable_Energy_pct)
+    );
+  }, [focusYearRows]);
+
+  useEffect(() => {
+    if (numericHeaders.length && !numericHeaders.includes(mapMetric)) {
+      setMapMetric(numericHeaders.includes(DEFAULT_MAP_METRIC) ? DEFAULT_MAP_METRIC : numericHeaders[0]);
+    }
+  }, [numericHeaders, mapMetric]);
+
+  const customChartRows = useMemo(
+    () => ({ range: brushedRangeRows, year: filterToBrush(focusYearRows, brush) }),
+    [brushedRangeRows, focusYearRows, brush]
+  );
+
+  // Custom charts are part of the layout, so they are saved with it and travel with presets.
+  const { customCharts } = layout;
+  const setCustomCharts = (update) =>
+    setLayout((prev) => ({ ...prev, customCharts: update(prev.customCharts) }));
+
+  const addCustomChart = () => {
+    setCustomCharts((prev) => [
+      ...prev,
       {
-        label: "Extreme weather events",
-        value: currentDatum?.Extreme_Weather_Events ?? 0,
+        id: `chart-${Date.now()}-${prev.length}`,
+        type: "scatter",
+        scope: "year",
+        encoding: { x: numericHeaders[0] || null, y: numericHeaders[1] || null },
       },
-    ];
+    ]);
+  };
 
-    return {
-      labels: metrics.map((metric) => metric.label),
-      datasets: [
-        {
-          label:
-            currentDatum && selectedCountry
-              ? `${selectedCountry} profile (${selectedYear})`
-              : "Metric profile",
-          data: metrics.map((metric) => metric.value),
-          backgroundColor: "rgba(249, 115, 22, 0.28)",
-          borderColor: "rgba(249, 115, 22, 0.9)",
-          borderWidth: 2,
-          pointBackgroundColor: "rgba(249, 115, 22, 1)",
-        },
-      ],
-    };
-  }, [currentDatum, selectedCountry, selectedYear]);
+  const updateCustomChart = (id, config) => {
+    setCustomCharts((prev) => prev.map((chart) => (chart.id === id ? config : chart)));
+  };
 
-  const renewableSplit = useMemo(() => {
-    const renewable = Number(currentDatum?.Renewable_Energy_pct ?? 0);
-    const normalized = Number.isFinite(renewable) ? Math.min(Math.max(renewable, 0), 100) : 0;
-    return {
-      labels: ["Renewable energy", "Other sources"],
-      datasets: [
-        {
-          data: [normalized, Math.max(0, 100 - normalized)],
-          backgroundColor: ["rgba(34, 197, 94, 0.85)", "rgba(203, 213, 225, 0.45)"],
-          borderColor: ["rgba(22, 163, 74, 0.95)", "rgba(148, 163, 184, 0.8)"],
-          borderWidth: 1,
-          spacing: 4,
-        },
-      ],
-    };
-  }, [currentDatum]);
-
-  const seaLevelSeries = useMemo(() => {
-    const accumulator = new Map();
-    rows.forEach((row) => {
-      const year = Number(row.Year);
-      const value = Number(row.Sea_Level_Rise_mm);
-      if (!Number.isFinite(year) || !Number.isFinite(value)) return;
-      const entry = accumulator.get(year) || { sum: 0, count: 0 };
-      entry.sum += value;
-      entry.count += 1;
-      accumulator.set(year, entry);
-    });
+  const removeCustomChart = (id) => {
+    setCustomCharts((prev) => prev.filter((chart) => chart.id !== id));
+  };
+
+  // A fixed `cards` list overrides the saved layout's order and hidden cards.
+  const fixedCardIds = useMemo(
+    () => (cards ? asList(cards).filter((id) => DASHBOARD_CARDS.some((card) => card.id === id)) : null),
+    [cards]
+  );
 
-    return Array.from(accumulator.entries())
-      .map(([year, { sum, count }]) => ({
-        year,
-        value: count ? Number((sum / count).toFixed(2)) : 0,
-      }))
-      .sort((a, b) => a.year - b.year);
-  }, [rows]);
+  const visibleCardIds = useMemo(
+    () => fixedCardIds ?? layout.order.filter((id) => !layout.hidden.includes(id)),
+    [fixedCardIds, layout]
+  );
 
-  const co2RenewableRows = useMemo(() => {
-    if (selectedYear === null) return [];
-    return rows
-      .filter((row) => Number(row.Year) === Number(selectedYear))
-      .filter(
-        (row) =>
-          Number.isFinite(row.CO2_Emissions_tons_per_capita) &&
-          Number.isFinite(row.Renewable_Energy_pct)
-      );
-  }, [rows, selectedYear]);
+  useEffect(() => {
+    saveActiveLayout(layout, storageKey);
+    // Plotly only re-measures on window resize, so nudge it after cards change size or position.
+    const frame = requestAnimationFrame(() => window.dispatchEvent(new Event("resize")));
+    return () => cancelAnimationFrame(frame);
+  }, [layout, storageKey]);
+
+  const choropleth = useMemo(() => {
+    if (selectedYear === null) return { rows: [], codes: new Map(), unmatched: [] };
+    const yearRows = primaryYearRows.filter((row) => Number.isFinite(row[mapMetric]));
+    const { codes, unmatched } = resolveCountryCodes(
+      Array.from(new Set(yearRows.map((row) => row.Country)))
+    );
+    return { rows: yearRows.filter((row) => codes.has(row.Country)), codes, unmatched };
+  }, [primaryYearRows, selectedYear, mapMetric]);
 
   const topPopulations = useMemo(() => {
-    return [...co2RenewableRows]
+    return [...filterToBrush(co2RenewableRows, brush)]
       .sort((a, b) => Number(b.Population) - Number(a.Population))
       .slice(0, 8);
-  }, [co2RenewableRows]);
+  }, [co2RenewableRows, brush]);
 
-  function parseCsvText(text, sourceLabel = "uploaded dataset") {
-    try {
-      const trimmed = text.trim();
-      if (!trimmed) {
-        setParseError("No CSV content found.");
-        return;
-      }
-
-      const parsed = Papa.parse(trimmed, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-      });
-
-      if (parsed.errors?.length) {
-        console.warn("CSV parse errors", parsed.errors);
-      }
-
-      const parsedRows = (parsed.data || []).filter((row) => Object.keys(row).length);
-      const cols = parsed.meta?.fields || [];
-
-      if (!parsedRows.length) {
-        setParseError("CSV parsed successfully but contained no rows.");
-        setRows([]);
-        setHeaders(cols);
-        return;
-      }
-
-      const normalizedRows = parsedRows.map((row) => ({
-        ...row,
-        Year: Number(row.Year),
-        Avg_Temperature_degC: Number(row.Avg_Temperature_degC),
-        CO2_Emissions_tons_per_capita: Number(row.CO2_Emissions_tons_per_capita),
-        Sea_Level_Rise_mm: Number(row.Sea_Level_Rise_mm),
-        Rainfall_mm: Number(row.Rainfall_mm),
-        Population: Number(row.Population),
-        Renewable_Energy_pct: Number(row.Renewable_Energy_pct),
-        Extreme_Weather_Events: Number(row.Extreme_Weather_Events),
-        Forest_Area_pct: Number(row.Forest_Area_pct),
-      }));
-
-      const availableYears = getUniqueSorted(normalizedRows.map((row) => Number(row.Year)));
-      const availableCountries = Array.from(
-        new Set(normalizedRows.map((row) => row.Country))
-      ).filter(Boolean);
-      const sortedCountries = [...availableCountries].sort((a, b) => a.localeCompare(b));
+  const exportTablesData = useMemo(
+    () =>
+      describeExportTables({
+        comparedSeries,
+        co2RenewableRows,
+        topPopulations,
+        seaLevelSeries,
+        headers,
+        rows,
+        selectedYear,
+        preferences,
+      }),
+    [comparedSeries, co2RenewableRows, topPopulations, seaLevelSeries, headers, rows, selectedYear, preferences]
+  );
 
-      setRows(normalizedRows);
-      setHeaders(cols);
-      setParseError("");
-      setCsvSource(sourceLabel);
+  const cardTables = useMemo(
+    () =>
+      buildCardTables({
+        exportTables: exportTablesData,
+        charts: {
+          temperature: temperatureTrendData,
+          rainfall: rainfallTrendData,
+          resilience: resilienceRadar,
+          energyMix: renewableSplit,
+        },
+        choropleth,
+        mapMetric,
+        selectedYear,
+        preferences,
+      }),
+    [
+      exportTablesData,
+      temperatureTrendData,
+      rainfallTrendData,
+      resilienceRadar,
+      renewableSplit,
+      choropleth,
+      mapMetric,
+      selectedYear,
+      preferences,
+    ]
+  );
 
-      setSelectedCountry((prev) => {
-        if (prev && sortedCountries.includes(prev)) return prev;
-        return pickDefaultCountry(sortedCountries);
-      });
+  const cardSummaries = useMemo(
+    () =>
+      buildCardSummaries({
+        comparedSeries,
+        resilienceRadar,
+        resilienceIndex,
+        currentDatum,
+        selectedCountry,
+        selectedYear,
+        seaLevelSeries,
+        co2RenewableRows,
+        topPopulations,
+        choropleth,
+        mapMetric,
+        preferences,
+      }),
+    [
+      comparedSeries,
+      resilienceRadar,
+      currentDatum,
+      selectedCountry,
+      selectedYear,
+      seaLevelSeries,
+      co2RenewableRows,
+      topPopulations,
+      choropleth,
+      mapMetric,
+      resilienceIndex,
+      preferences,
+    ]
+  );
 
-      setSelectedYear((prev) => {
-        if (prev !== null && availableYears.includes(prev)) return prev;
-        return availableYears[availableYears.length - 1] ?? null;
-      });
+  async function handleCopyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
     } catch (error) {
-      console.error("Failed to parse CSV", error);
-      setParseError("Failed to parse CSV file. Please check the format.");
+      console.error("Failed to copy link", error);
     }
   }
 
+  const reportSummaryRows = useMemo(() => {
+    return METRICS.map((metric) => ({
+      label: columnHeader(metric.key, preferences),
+      values: comparedSeries.map((series) =>
+        metric.key === "Population"
+          ? formatInteger(series.datum?.[metric.key], preferences)
+          : formatNumber(series.datum?.[metric.key], preferences)
+      ),
+    }));
+  }, [comparedSeries, preferences]);
+
+  useEffect(() => {
+    if (!reportRequestedAt || !dashboardRef.current) return;
+    const timestamp = formatDateTime(reportRequestedAt, preferences);
+    generateReport(dashboardRef.current, {
+      title: `${title} — ${selectedCountries.join(", ")} (${selectedYear ?? "--"})`,
+      subtitle: `Dataset: ${csvSource}${
+        activeDataset ? ` (uploaded ${formatDateTime(new Date(activeDataset.uploadedAt), preferences)})` : ""
+      } · generated ${timestamp}`,
+      filename: `${slugify(csvSource) || "dashboard"}-report`,
+      background: theme.palette.slate["50"],
+    })
+      .catch((error) => {
+        console.error("Report generation failed", error);
+        setReportError("Report generation failed. Please try again.");
+      })
+      .finally(() => setReportRequestedAt(null));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [reportRequestedAt]);
+
   function handleUpload(event) {
     const file = event.target.files?.[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (ev) => parseCsvText(String(ev.target?.result || ""), file.name);
-    reader.readAsText(file);
+    event.target.value = "";
+    uploadFile(file);
   }
 
-  const recordCount = rows.length;
+  const recordCount = datasetRows.length - excludedRows.size;
+
+  const showHeader = controls !== "none";
+  const showPanels = controls === "full";
 
-  const reuseCallouts = [
-    "Modular data loader handles any CSV with matching headers for quick reuse across projects.",
-    "Visualization cards are composable: swap Chart.js or Plotly components without rewriting controls.",
-    "Selectors decouple presentation logic, supporting plug-and-play analytics for new datasets.",
-  ];
+  const cardContent = {
+    temperature: <TemperatureCard data={temperatureTrendData} onChartClick={handleChartClick} />,
+    rainfall: <RainfallCard data={rainfallTrendData} onChartClick={handleChartClick} />,
+    resilience: (
+      <ResilienceCard
+        data={resilienceRadar}
+        config={resilienceConfig}
+        availableKeys={numericHeaders}
+        onConfigChange={setResilienceConfig}
+        onChartClick={handleChartClick}
+      />
+    ),
+    leaderboard: (
+      <ResilienceLeaderboard
+        index={resilienceIndex}
+        brushedCountries={brush?.countries ?? null}
+        method={resilienceConfig.method}
+        year={selectedYear}
+        colors={countryColors}
+        onSelectCountry={focusCountry}
+      />
+    ),
+    energyMix: <EnergyMixCard data={renewableSplit} />,
+    seaLevel: (
+      <SeaLevelCard
+        series={seaLevelSeries}
+        groupSeries={seaLevelGroupSeries}
+        overlay={seaLevelOverlay}
+      />
+    ),
+    co2Renewables: (
+      <Co2RenewablesCard
+        rows={co2RenewableRows}
+        brush={brush}
+        year={selectedYear}
+        playbackAxes={playbackAxes}
+        onSelectCountry={focusCountry}
+        onBrush={handleBrush}
+      />
+    ),
+    population: (
+      <PopulationCard
+        rows={topPopulations}
+        brushed={Boolean(brush)}
+        playbackAxes={playbackAxes}
+        onSelectCountry={focusCountry}
+      />
+    ),
+    worldMap: (
+      <WorldMapCard
+        choropleth={choropleth}
+        metric={mapMetric}
+        metrics={numericHeaders}
+        year={selectedYear}
+        brush={brush}
+        selectedCountries={selectedMemberCountries}
+        onMetricChange={setMapMetric}
+        onSelectCountry={focusCountry}
+      />
+    ),
+    correlation: (
+      <CorrelationExplorer
+        rows={brushedRangeRows}
+        metrics={numericHeaders}
+        selectedCountries={selectedMemberCountries}
+        onSelectCountry={focusCountry}
+      />
+    ),
+  };
 
   return (
-    <div className="min-h-screen w-full bg-transparent">
-      <div className="mx-auto flex max-w-7xl flex-col gap-8 px-4 pb-20 pt-10 sm:px-6 lg:px-8">
-        <header className="relative overflow-hidden rounded-3xl border border-slate-200/70 bg-gradient-to-r from-sky-50 via-white to-emerald-50 p-8 shadow-lg shadow-slate-200/60 sm:p-10">
-          <div className="absolute -right-20 -top-20 h-52 w-52 rounded-full bg-sky-200/40 blur-3xl" aria-hidden="true" />
-          <div className="absolute -bottom-24 -left-10 h-60 w-60 rounded-full bg-emerald-200/40 blur-3xl" aria-hidden="true" />
-          <div className="relative z-10 flex flex-col gap-6 lg:flex-row lg:items-start lg:justify-between">
-            <div className="max-w-3xl space-y-4">
-              <span className="inline-flex items-center gap-2 rounded-full bg-slate-900/80 px-3 py-1 text-xs font-medium uppercase tracking-widest text-slate-100 shadow-sm">
-                CPSC 3720 · Assignment 3
-              </span>
-              <h1 className="text-4xl font-semibold text-slate-900 sm:text-5xl">
-                Environmental Insights Dashboard
-              </h1>
-              
-              <div className="flex flex-wrap items-center gap-3 text-sm text-slate-500">
-                <span className="rounded-full border border-slate-200 bg-white/70 px-3 py-1 font-medium text-slate-700">
-                  Active dataset: {csvSource}
-                </span>
-                <span className="rounded-full border border-slate-200 bg-white/70 px-3 py-1">
-                  Rows loaded: {formatInteger(recordCount)}
-                </span>
-                {parseError && (
-                  <span className="rounded-full border border-red-200 bg-red-50 px-3 py-1 text-red-600">
-                    {parseError}
+    <DisplaySettingsContext.Provider value={displaySettings}>
+      <div className="w-full bg-transparent">
+        <div ref={dashboardRef} className="mx-auto flex max-w-7xl flex-col gap-8 px-4 pb-20 pt-10 sm:px-6 lg:px-8">
+          {showHeader && (
+            <header className="relative overflow-hidden rounded-3xl border border-slate-200/70 bg-gradient-to-r from-sky-50 via-white to-emerald-50 p-8 shadow-lg shadow-slate-200/60 sm:p-10">
+              <div className="absolute -right-20 -top-20 h-52 w-52 rounded-full bg-sky-200/40 blur-3xl" aria-hidden="true" />
+              <div className="absolute -bottom-24 -left-10 h-60 w-60 rounded-full bg-emerald-200/40 blur-3xl" aria-hidden="true" />
+              <div className="relative z-10 flex flex-col gap-6 lg:flex-row lg:items-start lg:justify-between">
+                <div className="max-w-3xl space-y-4">
+                  {eyebrow && (
+                    <span className="inline-flex items-center gap-2 rounded-full bg-slate-900/80 px-3 py-1 text-xs font-medium uppercase tracking-widest text-slate-100 shadow-sm">
+                      {eyebrow}
+                    </span>
+                  )}
+                  <h1 className="text-4xl font-semibold text-slate-900 sm:text-5xl">{title}</h1>
+
+                  <div className="flex flex-wrap items-center gap-3 text-sm text-slate-500">
+                    <span className="rounded-full border border-slate-200 bg-white/70 px-3 py-1 font-medium text-slate-700">
+                      Active dataset: {csvSource}
+                    </span>
+                    <span className="rounded-full border border-slate-200 bg-white/70 px-3 py-1">
+                      Rows loaded: {formatInteger(recordCount, preferences)}
+                      {excludedRows.size > 0 && ` of ${formatInteger(datasetRows.length, preferences)}`}
+                    </span>
+                    {validationIssues.length > 0 && (
+                      <button
+                        type="button"
+                        aria-expanded={showValidation}
+                        onClick={() => setShowValidation((prev) => !prev)}
+                        className="rounded-full border border-amber-200 bg-amber-50 px-3 py-1 text-amber-700 transition hover:bg-amber-100"
+                      >
+                        {formatInteger(validationIssues.length, preferences)} issues in {formatInteger(flaggedRowCount, preferences)} rows{" "}
+                        {showValidation ? "▴" : "▾"}
+                      </button>
+                    )}
+                    {reconciled.conflictCount > 0 && (
+                      <span className="inline-flex items-center gap-2 rounded-full border border-violet-200 bg-violet-50 px-3 py-1 text-violet-700">
+                        {duplicateStrategy === "separate"
+                          ? `${formatInteger(reconciled.conflictCount, preferences)} duplicate country-years split into separate series`
+                          : `${formatInteger(reconciled.conflictCount, preferences)} duplicate country-years resolved`}
+                        <select
+                          aria-label="Duplicate resolution strategy"
+                          value={duplicateStrategy}
+                          onChange={(event) => setDuplicateStrategy(event.target.value)}
+                          className="rounded-full border border-violet-200 bg-white px-2 py-0.5 text-xs font-medium text-violet-700 focus:outline-none"
+                        >
+                          {DUPLICATE_STRATEGIES.map((strategy) => (
+                            <option key={strategy.value} value={strategy.value}>
+                              {strategy.label}
+                            </option>
+                          ))}
+                        </select>
+                      </span>
+                    )}
+                    {parseError && (
+                      <span className="rounded-full border border-red-200 bg-red-50 px-3 py-1 text-red-600">
+                        {parseError}
+                      </span>
+                    )}
+                  </div>
+                  {showValidation && validationIssues.length > 0 && (
+                    <ValidationPanel
+                      rows={datasetRows}
+                      issues={validationIssues}
+                      excludedRows={excludedRows}
+                      onToggleRow={toggleExcludedRow}
+                      onExcludeAll={() => setExcludedRows(getErrorRowIndexes(validationIssues))}
+                      onKeepAll={() => setExcludedRows(new Set())}
+                    />
+                  )}
+                </div>
+                {showPanels && (
+                  <div className="flex flex-col items-start gap-3 lg:w-72" data-report-exclude>
+                    {isLibraryAvailable() && (
+                      <DatasetSwitcher
+                        courseLabel={datasetLabel}
+                        datasets={savedDatasets}
+                        activeId={activeDatasetId}
+                        remoteLabel={remoteSource && remoteSource.url !== src ? remoteSource.label : null}
+                        onSelect={selectDataset}
+                        onRename={renameDataset}
+                        onDelete={removeDataset}
+                      />
+                    )}
+                    <label className="inline-flex cursor-pointer items-center justify-center gap-2 rounded-xl border border-slate-300/80 bg-white/80 px-4 py-2 text-sm font-medium text-slate-700 shadow-sm transition hover:border-slate-400 hover:bg-white">
+                      <input
+                        type="file"
+                        accept={ACCEPTED_FILE_TYPES}
+                        className="hidden"
+                        onChange={handleUpload}
+                      />
+                      Upload data
+                    </label>
+                    <RemoteSourceForm
+                      source={remoteSource}
+                      status={remoteStatus}
+                      interval={remoteInterval}
+                      onLoad={loadRemote}
+                      onRefresh={refreshRemote}
+                      onStop={stopRemote}
+                    />
+                    {parseProgress && <ParseProgress progress={parseProgress} onCancel={cancelParse} />}
+                    {(data || src) && (
+                      <button
+                        type="button"
+                        onClick={() => loadDefaultDataset()}
+                        className="inline-flex items-center gap-2 rounded-xl border border-sky-200 bg-sky-50 px-4 py-2 text-sm font-medium text-sky-700 shadow-sm transition hover:bg-sky-100"
+                      >
+                        Reset to default dataset
+                      </button>
+                    )}
+                    {syncUrl && (
+                      <button
+                        type="button"
+                        onClick={handleCopyLink}
+                        className="inline-flex items-center gap-2 rounded-xl border border-slate-300/80 bg-white/80 px-4 py-2 text-sm font-medium text-slate-700 shadow-sm transition hover:border-slate-400 hover:bg-white"
+                      >
+                        {linkCopied ? "Link copied" : "Copy link"}
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      disabled={Boolean(reportRequestedAt) || !rows.length}
+                      onClick={() => {
+                        setReportError("");
+                        setReportRequestedAt(new Date());
+                      }}
+                      className="inline-flex items-center gap-2 rounded-xl border border-emerald-200 bg-emerald-50 px-4 py-2 text-sm font-medium text-emerald-700 shadow-sm transition hover:bg-emerald-100 disabled:cursor-wait disabled:opacity-60"
+                    >
+                      {reportRequestedAt ? "Generating report…" : "Generate report"}
+                    </button>
+                    {reportError && <p className="text-xs text-red-600">{reportError}</p>}
+                  </div>
+                )}
+              </div>
+
+              <HighlightStats stats={highlightStats} comparedSeries={comparedSeries} year={selectedYear} />
+            </header>
+          )}
+
+          {showHeader && (
+            <section className="grid gap-6 rounded-3xl border border-slate-200/70 bg-white/80 p-6 shadow-lg shadow-slate-200/60 backdrop-blur lg:grid-cols-4">
+              <div className="lg:col-span-2 space-y-3">
+                <label className="block text-xs font-semibold uppercase tracking-wide text-slate-500">
+                  Countries
+                </label>
+                <CountryPicker
+                  countries={countries}
+                  groups={groups}
+                  selected={selectedCountries}
+                  colors={countryColors}
+                  maxSelected={MAX_COMPARED_COUNTRIES}
+                  onChange={setSelectedCountries}
+                />
+                {brush && (
+                  <span
+                    role="status"
+                    title={brush.countries.join(", ")}
+                    className="inline-flex items-center gap-2 rounded-full border border-dashed border-violet-300 bg-violet-50 px-3 py-1 text-xs font-medium text-violet-800 shadow-sm"
+                  >
+                    Active selection: {brush.countries.length} {brush.countries.length === 1 ? "country" : "countries"}{" "}
+                    from {brush.source}
+                    <button
+                      type="button"
+                      onClick={() => setBrushSelection(null)}
+                      aria-label="Clear active selection"
+                      className="text-violet-400 transition hover:text-violet-700"
+                    >
+                      ×
+                    </button>
                   </span>
                 )}
               </div>
-            </div>
-            <div className="flex flex-col items-start gap-3">
-              <label className="inline-flex cursor-pointer items-center justify-center gap-2 rounded-xl border border-slate-300/80 bg-white/80 px-4 py-2 text-sm font-medium text-slate-700 shadow-sm transition hover:border-slate-400 hover:bg-white">
-                <input
-                  type="file"
-                  accept=".csv,text/csv"
-                  className="hidden"
-                  onChange={handleUpload}
+              <div className="space-y-3">
+                <label className="block text-xs font-semibold uppercase tracking-wide text-slate-500">
+                  Year focus
+                </label>
+                <div className="flex gap-2">
+                  <select
+                    value={selectedYear ?? ""}
+                    onChange={(event) => setSelectedYear(Number(event.target.value))}
+                    className="w-full rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm font-medium text-slate-700 shadow-inner focus:border-sky-400 focus:outline-none"
+                  >
+                    {rangeYears.map((year) => (
+                      <option key={year} value={year}>
+                        {year}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => setIsPlaying((prev) => !prev)}
+                    disabled={rangeYears.length < 2}
+                    aria-pressed={isPlaying}
+                    aria-label={isPlaying ? "Pause year playback" : "Play through years"}
+                    className="rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm font-medium text-slate-700 shadow-inner transition hover:border-sky-400 disabled:opacity-50"
+                  >
+                    {isPlaying ? "❚❚" : "▶"}
+                  </button>
+                </div>
+              </div>
+              <div className="space-y-3">
+                <label className="block text-xs font-semibold uppercase tracking-wide text-slate-500">
+                  Dashboard snapshot
+                </label>
+                <div className="grid gap-2 rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm text-slate-600 shadow-inner">
+                  <span>
+                    Countries tracked: <strong>{countries.length}</strong>
+                  </span>
+                  <span>
+                    Years analysed: <strong>{years.length}</strong>
+                  </span>
+                  <span>
+                    Metrics available: <strong>{headers.length}</strong>
+                  </span>
+                </div>
+              </div>
+              <div className="space-y-3 lg:col-span-4">
+                <div className="flex items-center justify-between">
+                  <label className="block text-xs font-semibold uppercase tracking-wide text-slate-500">
+                    Year range
+                  </label>
+                  {yearRange && (
+                    <button
+                      type="button"
+                      onClick={() => setYearRange(null)}
+                      className="text-xs font-medium text-sky-700 hover:text-sky-900"
+                    >
+                      Show all years
+                    </button>
+                  )}
+                </div>
+                <YearRangeSlider
+                  years={years}
+                  value={yearRange ?? [years[0], years[years.length - 1]]}
+                  onChange={(range) =>
+                    setYearRange(
+                      range[0] === years[0] && range[1] === years[years.length - 1] ? null : range
+                    )
+                  }
                 />
-                Upload CSV
-              </label>
-              <button
-                type="button"
-                onClick={() => parseCsvText(environmentCsv, "CPSC 3720 dataset")}
-                className="inline-flex items-center gap-2 rounded-xl border border-sky-200 bg-sky-50 px-4 py-2 text-sm font-medium text-sky-700 shadow-sm transition hover:bg-sky-100"
-              >
-                Reset to course dataset
-              </button>
-            </div>
-          </div>
-
-          <div className="relative z-10 mt-8 grid gap-4 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5">
-            {highlightStats.map((stat) => (
-              <div key={stat.label} className={`${highlightCardClass} h-full`}>
-                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">
-                  {stat.label}
-                </p>
-                <p className="mt-2 text-2xl font-semibold text-slate-900">{stat.value}</p>
-                <p className="mt-1 text-xs text-slate-500">{stat.caption}</p>
               </div>
-            ))}
-          </div>
-        </header>
-
-        <section className="grid gap-6 rounded-3xl border border-slate-200/70 bg-white/80 p-6 shadow-lg shadow-slate-200/60 backdrop-blur lg:grid-cols-4">
-          <div className="lg:col-span-2 space-y-3">
-            <label className="block text-xs font-semibold uppercase tracking-wide text-slate-500">
-              Country
-            </label>
-            <select
-              value={selectedCountry}
-              onChange={(event) => setSelectedCountry(event.target.value)}
-              className="w-full rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm font-medium text-slate-700 shadow-inner focus:border-sky-400 focus:outline-none"
-            >
-              {countries.map((country) => (
-                <option key={country} value={country}>
-                  {country}
-                </option>
-              ))}
-            </select>
-          </div>
-          <div className="space-y-3">
-            <label className="block text-xs font-semibold uppercase tracking-wide text-slate-500">
-              Year focus
-            </label>
-            <select
-              value={selectedYear ?? ""}
-              onChange={(event) => setSelectedYear(Number(event.target.value))}
-              className="w-full rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm font-medium text-slate-700 shadow-inner focus:border-sky-400 focus:outline-none"
-            >
-              {years.map((year) => (
-                <option key={year} value={year}>
-                  {year}
-                </option>
-              ))}
-            </select>
-          </div>
-          <div className="space-y-3">
-            <label className="block text-xs font-semibold uppercase tracking-wide text-slate-500">
-              Dashboard snapshot
-            </label>
-            <div className="grid gap-2 rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm text-slate-600 shadow-inner">
-              <span>
-                Countries tracked: <strong>{countries.length}</strong>
-              </span>
-              <span>
-                Years analysed: <strong>{years.length}</strong>
-              </span>
-              <span>
-                Metrics available: <strong>{headers.length}</strong>
-              </span>
-            </div>
-          </div>
-        </section>
-
-        <section className="grid gap-6 lg:grid-cols-2">
-          <article className={chartCardClass}>
-            <div className="space-y-2">
-              <h2 className="text-lg font-semibold text-slate-900">Temperature trend</h2>
-              <p className="text-xs text-slate-500">
-                Long-term change in average surface temperature for the selected country.
+              <div className="space-y-3">
+                <label
+                  htmlFor="trend-method"
+                  className="block text-xs font-semibold uppercase tracking-wide text-slate-500"
+                >
+                  Trend overlay
+                </label>
+                <select
+                  id="trend-method"
+                  value={trendMethod}
+                  onChange={(event) => setTrendMethod(event.target.value)}
+                  className="w-full rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm font-medium text-slate-700 shadow-inner focus:border-sky-400 focus:outline-none"
+                >
+                  {TREND_METHODS.map((method) => (
+                    <option key={method.value} value={method.value}>
+                      {method.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-3">
+                <label
+                  htmlFor="forecast-year"
+                  className="block text-xs font-semibold uppercase tracking-wide text-slate-500"
+                >
+                  Forecast
+                </label>
+                <select
+                  id="forecast-year"
+                  value={forecastYear ?? ""}
+                  onChange={(event) => setForecastYear(event.target.value ? Number(event.target.value) : null)}
+                  className="w-full rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm font-medium text-slate-700 shadow-inner focus:border-sky-400 focus:outline-none"
+                >
+                  <option value="">No forecast</option>
+                  {FORECAST_YEARS.map((year) => (
+                    <option key={year} value={year}>
+                      Holt forecast to {year}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <p className="self-end text-xs text-slate-500 lg:col-span-2">
+                Trends and forecasts use the years in range. Shaded bands show the 95% forecast interval; rates of
+                change appear under the highlight figures.
               </p>
-            </div>
-            <div className="flex-1 min-h-[300px]">
-              <Line
-                data={temperatureTrendData}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  plugins: {
-                    legend: {
-                      display: true,
-                      position: "top",
-                      labels: { color: "#475569", usePointStyle: true },
-                    },
-                  },
-                  scales: {
-                    x: {
-                      title: { display: true, text: "Year", color: "#0f172a" },
-                      ticks: { color: "#475569" },
-                      grid: { color: "rgba(148, 163, 184, 0.2)" },
-                    },
-                    y: {
-                      title: { display: true, text: "°C", color: "#0f172a" },
-                      ticks: { color: "#475569" },
-                      grid: { color: "rgba(148, 163, 184, 0.2)" },
-                    },
-                  },
-                }}
-              />
-            </div>
-          </article>
+            </section>
+          )}
 
-          <article className={chartCardClass}>
-            <div className="space-y-2">
-              <h2 className="text-lg font-semibold text-slate-900">Annual rainfall</h2>
-              <p className="text-xs text-slate-500">
-                Precipitation levels (mm) help contextualize drought and flood risks.
-              </p>
-            </div>
-            <div className="flex-1 min-h-[300px]">
-              <Bar
-                data={rainfallTrendData}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  plugins: {
-                    legend: {
-                      display: true,
-                      position: "top",
-                      labels: { color: "#475569", usePointStyle: true },
-                    },
-                  },
-                  scales: {
-                    x: {
-                      title: { display: true, text: "Year", color: "#0f172a" },
-                      ticks: { color: "#475569" },
-                      grid: { color: "rgba(148, 163, 184, 0.15)" },
-                    },
-                    y: {
-                      title: { display: true, text: "mm", color: "#0f172a" },
-                      beginAtZero: true,
-                      ticks: { color: "#475569" },
-                      grid: { color: "rgba(148, 163, 184, 0.15)" },
-                    },
-                  },
-                }}
+          {showPanels && (
+            <>
+              <DerivedColumnsPanel
+                definitions={derivedColumns}
+                errors={derived.errors}
+                baseHeaders={baseHeaders}
+                rows={derived.rows}
+                onChange={changeDerivedColumns}
+                className={chartCardClass}
               />
-            </div>
-          </article>
 
-          <article className={chartCardClass}>
-            <div className="space-y-2">
-              <h2 className="text-lg font-semibold text-slate-900">Resilience profile</h2>
-              <p className="text-xs text-slate-500">
-                Snapshot of climate resilience indicators for the selected year.
-              </p>
-            </div>
-            <div className="flex-1 min-h-[300px]">
-              <Radar
-                data={resilienceRadar}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  scales: {
-                    r: {
-                      beginAtZero: true,
-                      ticks: { display: true, maxTicksLimit: 6 },
-                      grid: { color: "rgba(148, 163, 184, 0.3)" },
-                    },
-                  },
-                  plugins: {
-                    legend: {
-                      display: true,
-                      position: "top",
-                      labels: { color: "#475569", usePointStyle: true },
-                    },
-                  },
-                }}
+              <GroupsPanel
+                groups={groups}
+                settings={groupSettings}
+                countries={countries}
+                metrics={numericHeaders}
+                onChange={setGroupSettings}
+                className={chartCardClass}
               />
-            </div>
-          </article>
 
-          <article className={chartCardClass}>
-            <div className="space-y-2">
-              <h2 className="text-lg font-semibold text-slate-900">Energy mix</h2>
-              <p className="text-xs text-slate-500">
-                Renewable share of total energy production for the focus year.
-              </p>
-            </div>
-            <div className="flex-1 min-h-[300px]">
-              <Doughnut
-                data={renewableSplit}
-                options={{
-                  responsive: true,
-                  maintainAspectRatio: false,
-                  plugins: {
-                    legend: {
-                      position: "bottom",
-                      labels: { color: "#475569", usePointStyle: true, padding: 18 },
-                    },
-                  },
-                }}
-              />
-            </div>
-          </article>
-        </section>
-
-        <section className="grid gap-6 lg:grid-cols-2">
-          <article className={chartCardClass}>
-            <div className="space-y-2">
-              <h2 className="text-lg font-semibold text-slate-900">Global sea-level rise</h2>
-              <p className="text-xs text-slate-500">
-                Averaged from all countries to highlight the global sea-level trajectory.
-              </p>
-            </div>
-            <div className="flex-1 min-h-[340px]">
-              <Plot
-                data={[
-                  {
-                    type: "scatter",
-                    mode: "lines+markers",
-                    x: seaLevelSeries.map((point) => point.year),
-                    y: seaLevelSeries.map((point) => point.value),
-                    fill: "tozeroy",
-                    fillcolor: "rgba(14, 165, 233, 0.25)",
-                    line: { color: "#0ea5e9", width: 3 },
-                    marker: { color: "#0369a1", size: 8 },
-                    hovertemplate: "Year %{x}: %{y} mm<extra></extra>",
-                    name: "Sea level",
-                  },
-                ]}
-                layout={{
-                  font: plotFont,
-                  hoverlabel: hoverLabelTheme,
-                  autosize: true,
-                  margin: { l: 60, r: 20, t: 30, b: 60 },
-                  xaxis: {
-                    ...axisBase,
-                    title: { text: "Year", font: { color: "#0f172a", size: 13 } },
-                  },
-                  yaxis: {
-                    ...axisBase,
-                    title: { text: "Sea-level rise (mm)", font: { color: "#0f172a", size: 13 } },
-                  },
-                  paper_bgcolor: "rgba(0,0,0,0)",
-                  plot_bgcolor: "rgba(0,0,0,0)",
-                  hovermode: "x unified",
-                }}
-                style={{ width: "100%", height: "100%" }}
-                useResizeHandler
-                config={plotConfig}
+              <PreferencesPanel
+                preferences={preferences}
+                onChange={handlePreferencesChange}
+                className={chartCardClass}
               />
-            </div>
-          </article>
 
-          <article className={chartCardClass}>
-            <div className="space-y-2">
-              <h2 className="text-lg font-semibold text-slate-900">CO₂ vs renewables</h2>
-              <p className="text-xs text-slate-500">
-                Bubble size scales with population to reveal mitigation challenges.
-              </p>
-            </div>
-            <div className="flex-1 min-h-[340px]">
-              <Plot
-                data={[
-                  {
-                    type: "scatter",
-                    mode: "markers",
-                    x: co2RenewableRows.map((row) => row.CO2_Emissions_tons_per_capita),
-                    y: co2RenewableRows.map((row) => row.Renewable_Energy_pct),
-                    text: co2RenewableRows.map((row) => row.Country),
-                    customdata: co2RenewableRows.map((row) => row.Population),
-                    hovertemplate:
-                      "<b>%{text}</b><br>CO₂ per capita: %{x:.2f} t<br>Renewables: %{y:.1f}%<br>Population: %{customdata:,}<extra></extra>",
-                    marker: {
-                      size: co2RenewableRows.map((row) =>
-                        Math.max(10, Math.sqrt(Math.max(row.Population, 0)) / 520)
-                      ),
-                      sizemode: "area",
-                      color: co2RenewableRows.map((row) => row.Renewable_Energy_pct),
-                      colorscale: [
-                        [0, "#e0f2fe"],
-                        [0.5, "#38bdf8"],
-                        [1, "#0284c7"],
-                      ],
-                      opacity: 0.8,
-                      line: { width: 1, color: "#0f172a" },
-                      showscale: true,
-                      colorbar: {
-                        title: { text: "Renewables %", font: { color: "#0f172a", size: 12 } },
-                        tickfont: { color: "#475569" },
-                        outlinecolor: "rgba(148, 163, 184, 0.4)",
-                        len: 0.8,
-                        thickness: 14,
-                      },
-                    },
-                    name: `${selectedYear ?? ""} snapshot`,
-                  },
-                ]}
-                layout={{
-                  font: plotFont,
-                  hoverlabel: hoverLabelTheme,
-                  autosize: true,
-                  margin: { l: 70, r: 80, t: 30, b: 70 },
-                  xaxis: {
-                    ...axisBase,
-                    title: {
-                      text: "CO₂ emissions (tons per capita)",
-                      font: { color: "#0f172a", size: 13 },
-                    },
-                  },
-                  yaxis: {
-                    ...axisBase,
-                    title: { text: "Renewable energy (%)", font: { color: "#0f172a", size: 13 } },
-                    range: [0, 100],
-                  },
-                  paper_bgcolor: "rgba(0,0,0,0)",
-                  plot_bgcolor: "rgba(0,0,0,0)",
-                  hovermode: "closest",
-                }}
-                style={{ width: "100%", height: "100%" }}
-                useResizeHandler
-                config={plotConfig}
-              />
-            </div>
-          </article>
-
-          <article className={chartCardClass}>
-            <div className="space-y-2">
-              <h2 className="text-lg font-semibold text-slate-900">
-                Population exposed to climate risk
-              </h2>
-              <p className="text-xs text-slate-500">
-                Top countries by population in the selected year (hover for exact values).
-              </p>
-            </div>
-            <div className="flex-1 min-h-[340px]">
-              <Plot
-                data={[
-                  {
-                    type: "bar",
-                    x: topPopulations.map((row) => row.Country),
-                    y: topPopulations.map((row) => row.Population),
-                    marker: {
-                      color: topPopulations.map((row, idx) =>
-                        idx === 0 ? "#f97316" : "#fb923c"
-                      ),
-                      line: { width: 1, color: "#c2410c" },
-                    },
-                    hovertemplate: "<b>%{x}</b><br>Population: %{y:,}<extra></extra>",
-                    name: "Population",
-                  },
-                ]}
-                layout={{
-                  font: plotFont,
-                  hoverlabel: hoverLabelTheme,
-                  autosize: true,
-                  margin: { l: 70, r: 20, t: 30, b: 70 },
-                  xaxis: {
-                    ...axisBase,
-                    title: { text: "Country", font: { color: "#0f172a", size: 13 } },
-                    tickangle: -20,
-                  },
-                  yaxis: {
-                    ...axisBase,
-                    title: { text: "Population", font: { color: "#0f172a", size: 13 } },
-                    tickformat: ",",
-                    rangemode: "tozero",
-                  },
-                  paper_bgcolor: "rgba(0,0,0,0)",
-                  plot_bgcolor: "rgba(0,0,0,0)",
-                  bargap: 0.35,
-                  hovermode: "x",
-                }}
-                style={{ width: "100%", height: "100%" }}
-                useResizeHandler
-                config={plotConfig}
+              <ThemePanel
+                settings={themeSettings}
+                theme={theme}
+                systemDark={systemDark}
+                onChange={handleThemeChange}
+                className={chartCardClass}
               />
+
+              {!fixedCardIds && (
+                <LayoutControls layout={layout} onChange={setLayout} className={chartCardClass} />
+              )}
+            </>
+          )}
+
+          <section className="grid gap-6 lg:grid-cols-2">
+            {visibleCardIds.map((id) => (
+              <DashboardCard
+                key={id}
+                id={id}
+                title={getCardTitle(id)}
+                size={layout.sizes[id] || "regular"}
+                table={cardTables[id]}
+                summary={cardSummaries[id]}
+                className={chartCardClass}
+                editable={!fixedCardIds}
+                onMove={(draggedId, targetId) => setLayout((prev) => moveCard(prev, draggedId, targetId))}
+                onShift={(cardId, offset) => setLayout((prev) => shiftCard(prev, cardId, offset))}
+                onResize={(cardId, size) =>
+                  setLayout((prev) => ({ ...prev, sizes: { ...prev.sizes, [cardId]: size } }))
+                }
+                onHide={(cardId) => setLayout((prev) => ({ ...prev, hidden: [...prev.hidden, cardId] }))}
+              >
+                {cardContent[id]}
+              </DashboardCard>
+            ))}
+          </section>
+
+          {showPanels && (
+            <section className="space-y-4">
+              <div
+                className="flex flex-wrap items-center justify-between gap-3 rounded-3xl border border-slate-200/70 bg-white/80 px-6 py-4 shadow-lg shadow-slate-200/60 backdrop-blur"
+                data-report-exclude
+              >
+                <div>
+                  <h2 className="text-lg font-semibold text-slate-900">Custom charts</h2>
+                  <p className="text-sm text-slate-500">
+                    Pick any columns and a chart type to explore relationships the fixed cards don&apos;t cover.
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={addCustomChart}
+                  disabled={!headers.length}
+                  className="inline-flex items-center gap-2 rounded-xl border border-sky-200 bg-sky-50 px-4 py-2 text-sm font-medium text-sky-700 shadow-sm transition hover:bg-sky-100 disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                  Add custom chart
+                </button>
+              </div>
+              {customCharts.length > 0 && (
+                <div className="grid gap-6 lg:grid-cols-2">
+                  {customCharts.map((chart) => (
+                    <CustomChartCard
+                      key={chart.id}
+                      config={chart}
+                      headers={headers}
+                      numericHeaders={numericHeaders}
+                      rowsByScope={customChartRows}
+                      onSelectCountry={focusCountry}
+                      onChange={(config) => updateCustomChart(chart.id, config)}
+                      onRemove={() => removeCustomChart(chart.id)}
+                      className={chartCardClass}
+                    />
+                  ))}
+                </div>
+              )}
+            </section>
+          )}
+
+          {reportRequestedAt && (
+            <ReportSummary
+              datasetName={csvSource}
+              uploadedAt={activeDataset?.uploadedAt}
+              generatedAt={reportRequestedAt}
+              year={selectedYear}
+              countries={selectedCountries}
+              rows={reportSummaryRows}
+              className={chartCardClass}
+            />
+          )}
+
+          {showPanels && (
+            <div data-report-exclude>
+              <ExportPanel tables={exportTablesData} datasetName={csvSource} className={chartCardClass} />
             </div>
-          </article>
-        </section>
-
-        <footer className="rounded-3xl border border-slate-200/70 bg-gradient-to-r from-slate-900 via-slate-800 to-slate-900 p-6 text-xs text-slate-200 shadow-lg shadow-slate-200/60">
-          <p>
-            References: Pierre Laborde et al. (2022); GeeksforGeeks blog (2025); MathWorks blog (2025). Dataset from Kaggle (https://www.kaggle.com/datasets/adilshamim8/temperature) for CPSC 3720 Assignment #3 - reusable visualization dashboard.
-          </p>
-        </footer>
+          )}
+
+          {footer && showHeader && (
+            <footer className="rounded-3xl border border-slate-200/70 bg-gradient-to-r from-slate-900 via-slate-800 to-slate-900 p-6 text-xs text-slate-200 shadow-lg shadow-slate-200/60">
+              <p>{footer}</p>
+            </footer>
+          )}
+        </div>
+
+        {pendingImport && (
+          <ImportDialog
+            sourceLabel={pendingImport.sourceLabel}
+            tables={pendingImport.tables}
+            onConfirm={confirmImport}
+            onCancel={cancelImport}
+          />
+        )}
+        {pendingMapping && (
+          <ColumnMappingDialog
+            key={pendingMapping.signature}
+            sourceLabel={pendingMapping.sourceLabel}
+            headers={pendingMapping.headers}
+            mapping={pendingMapping.mapping}
+            unmatched={pendingMapping.unmatched}
+            uncertain={pendingMapping.uncertain}
+            onConfirm={confirmMapping}
+            onCancel={cancelMapping}
+          />
+        )}
       </div>
-    </div>
+    </DisplaySettingsContext.Provider>
   );
 }
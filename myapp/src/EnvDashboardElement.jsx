@@ -0,0 +1,124 @@
+import React from "react";
+import { createRoot } from "react-dom/client";
+import CsvCharts from "./CsvCharts.jsx";
+import elementStyles from "./element.css?inline";
+
+const STYLE_ELEMENT_ID = "env-dashboard-styles";
+
+const splitList = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Attributes and the CsvCharts props they set. Each is also a property; properties accept richer values
+// (arrays, a `data` string, a footer node) and win over attributes.
+const ATTRIBUTES = {
+  src: { prop: "src", property: "src" },
+  "dataset-label": { prop: "datasetLabel", property: "datasetLabel" },
+  "dashboard-title": { prop: "title", property: "dashboardTitle" },
+  eyebrow: { prop: "eyebrow", property: "eyebrow" },
+  footer: { prop: "footer", property: "footer" },
+  cards: { prop: "cards", property: "cards", parse: splitList },
+  country: { prop: "country", property: "country", parse: splitList },
+  year: { prop: "year", property: "year", parse: Number },
+  controls: { prop: "controls", property: "controls" },
+  "refresh-interval": { prop: "refreshInterval", property: "refreshInterval", parse: Number },
+  "storage-key": { prop: "storageKey", property: "storageKey" },
+};
+
+const PROPERTIES = [...Object.values(ATTRIBUTES), { prop: "data", property: "data" }];
+
+// The element's stylesheet (src/element.css) has no global reset and scopes every rule to
+// [data-env-dashboard], so it goes into the document once rather than into a shadow root; Plotly also
+// injects its own styles into the document and does not render correctly in shadow DOM.
+const injectStyles = () => {
+  if (document.getElementById(STYLE_ELEMENT_ID)) return;
+  const style = document.createElement("style");
+  style.id = STYLE_ELEMENT_ID;
+  style.textContent = elementStyles;
+  document.head.appendChild(style);
+};
+
+// <env-dashboard src="/data/environment.csv" cards="temperature,worldMap" country="Canada,Japan">
+// With refresh-interval="60" the `src` URL is re-checked every minute using ETag/Last-Modified.
+// Saved theme, preferences and layout are kept per element under its storage-key, or else its id;
+// elements with neither share one copy.
+// Selection changes are dispatched as a bubbling "selection-change" CustomEvent whose detail is
+// { countries, year, yearRange, brushedCountries }.
+export class EnvDashboardElement extends HTMLElement {
+  static observedAttributes = Object.keys(ATTRIBUTES);
+
+  static {
+    PROPERTIES.forEach(({ property }) => {
+      Object.defineProperty(this.prototype, property, {
+        get() {
+          return this.#properties[property];
+        },
+        set(value) {
+          this.#properties[property] = value;
+          this.#render();
+        },
+        configurable: true,
+      });
+    });
+  }
+
+  #root = null;
+  #properties = {};
+
+  #handleSelectionChange = (detail) => {
+    this.dispatchEvent(new CustomEvent("selection-change", { detail, bubbles: true }));
+  };
+
+  connectedCallback() {
+    // Properties set before the element was defined shadow the accessors; move them across.
+    PROPERTIES.forEach(({ property }) => {
+      if (!Object.prototype.hasOwnProperty.call(this, property)) return;
+      const value = this[property];
+      delete this[property];
+      this[property] = value;
+    });
+    injectStyles();
+    this.toggleAttribute("data-env-dashboard", true);
+    this.#root ??= createRoot(this);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    this.#root?.unmount();
+    this.#root = null;
+  }
+
+  attributeChangedCallback() {
+    this.#render();
+  }
+
+  #props() {
+    const props = { storageKey: this.id || "env-dashboard-element" };
+    Object.entries(ATTRIBUTES).forEach(([attribute, { prop, parse }]) => {
+      const value = this.getAttribute(attribute);
+      if (value !== null) props[prop] = parse ? parse(value) : value;
+    });
+    PROPERTIES.forEach(({ prop, property }) => {
+      if (this.#properties[property] !== undefined) props[prop] = this.#properties[property];
+    });
+    return props;
+  }
+
+  #render() {
+    this.#root?.render(
+      <CsvCharts
+        {...this.#props()}
+        syncUrl={false}
+        themeRoot={this}
+        onSelectionChange={this.#handleSelectionChange}
+      />
+    );
+  }
+}
+
+export const defineEnvDashboard = (tagName = "env-dashboard") => {
+  if (!customElements.get(tagName)) customElements.define(tagName, class extends EnvDashboardElement {});
+  return customElements.get(tagName);
+};
@@ -0,0 +1,119 @@
+import React, { useState } from "react";
+import { CANONICAL_COLUMNS } from "../lib/metrics.js";
+
+export default function ColumnMappingDialog({
+  sourceLabel,
+  headers,
+  mapping,
+  unmatched,
+  uncertain = [],
+  onConfirm,
+  onCancel,
+}) {
+  const [draft, setDraft] = useState(mapping);
+  const [remember, setRemember] = useState(true);
+
+  const missingRequired = CANONICAL_COLUMNS.filter((column) => column.required && !draft[column.key]);
+  const usedHeaders = new Set(Object.values(draft).filter(Boolean));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 p-4 backdrop-blur-sm">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="column-mapping-title"
+        className="flex max-h-[90vh] w-full max-w-2xl flex-col gap-5 overflow-hidden rounded-3xl border border-slate-200/70 bg-white p-6 shadow-xl"
+      >
+        <div className="space-y-2">
+          <h2 id="column-mapping-title" className="text-lg font-semibold text-slate-900">
+            Map columns for {sourceLabel}
+          </h2>
+          <p className="text-xs text-slate-500">
+            {unmatched.length} of {CANONICAL_COLUMNS.length} dashboard fields could not be matched
+            automatically
+            {uncertain.length > 0 && `, and ${uncertain.length} only partly match a column name`}. Pick the
+            matching column from your file, or leave a metric unmapped.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto rounded-2xl border border-slate-200">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-50 text-xs uppercase tracking-wide text-slate-500">
+              <tr>
+                <th className="px-4 py-2 font-semibold">Dashboard field</th>
+                <th className="px-4 py-2 font-semibold">Column in file</th>
+              </tr>
+            </thead>
+            <tbody>
+              {CANONICAL_COLUMNS.map((column) => (
+                <tr
+                  key={column.key}
+                  className={`border-t border-slate-100 ${
+                    unmatched.includes(column.key) || uncertain.includes(column.key) ? "bg-amber-50/70" : ""
+                  }`}
+                >
+                  <td className="px-4 py-2">
+                    <span className="font-medium text-slate-700">{column.label}</span>
+                    {column.unit && <span className="ml-1 text-xs text-slate-400">({column.unit})</span>}
+                    {column.required && <span className="ml-1 text-xs text-red-500">required</span>}
+                    {uncertain.includes(column.key) && (
+                      <span className="ml-1 text-xs text-amber-700">check suggestion</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={draft[column.key] || ""}
+                      onChange={(event) =>
+                        setDraft((prev) => ({ ...prev, [column.key]: event.target.value }))
+                      }
+                      className="w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-sky-400 focus:outline-none"
+                    >
+                      <option value="">— not in this file —</option>
+                      {headers.map((header) => (
+                        <option
+                          key={header}
+                          value={header}
+                          disabled={usedHeaders.has(header) && draft[column.key] !== header}
+                        >
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <label className="inline-flex items-center gap-2 text-xs text-slate-600">
+            <input
+              type="checkbox"
+              checked={remember}
+              onChange={(event) => setRemember(event.target.checked)}
+            />
+            Remember this mapping for files with the same columns
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="rounded-xl border border-slate-300/80 bg-white px-4 py-2 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              disabled={missingRequired.length > 0}
+              onClick={() => onConfirm(draft, remember)}
+              className="rounded-xl border border-sky-200 bg-sky-50 px-4 py-2 text-sm font-medium text-sky-700 shadow-sm transition hover:bg-sky-100 disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              Apply mapping
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
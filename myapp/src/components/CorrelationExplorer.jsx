@@ -0,0 +1,281 @@
+import React, { useMemo, useState } from "react";
+import Plot from "react-plotly.js";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import {
+  CORRELATION_METHODS,
+  CORRELATION_SAMPLE_SIZE,
+  correlate,
+  correlationMatrix,
+} from "../lib/correlation.js";
+import { pointCountry } from "../lib/crossFilter.js";
+import { sampleRows } from "../lib/downsample.js";
+import { columnHeader, createTable } from "../lib/exporters.js";
+import { axisBase, colorScale, hoverLabelTheme, plotConfig, plotFont, titleFont } from "../lib/plotTheme.js";
+import { linearRegression } from "../lib/trends.js";
+import {
+  formatInteger,
+  formatNumber,
+  getDisplayShortLabel,
+  plotSeparators,
+  plotValueFormat,
+} from "../lib/units.js";
+import DataTable from "./DataTable.jsx";
+
+const selectClass =
+  "rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-700 focus:border-sky-400 focus:outline-none";
+
+const formatP = (p, preferences) => {
+  if (!Number.isFinite(p)) return "--";
+  const format = (value) => formatNumber(value, preferences, { digits: 3 });
+  return p < 0.001 ? `< ${format(0.001)}` : format(p);
+};
+
+export default function CorrelationExplorer({ rows, metrics, selectedCountries, onSelectCountry }) {
+  const [method, setMethod] = useState("pearson");
+  const [scope, setScope] = useState("all");
+  const [pair, setPair] = useState(null);
+  const [showTable, setShowTable] = useState(false);
+  const { theme, preferences } = useDisplaySettings();
+
+  const valueFormat = plotValueFormat(preferences);
+  const symbol = CORRELATION_METHODS.find((item) => item.value === method)?.symbol ?? "r";
+
+  const scopedRows = useMemo(() => {
+    if (scope === "all") return rows;
+    const selected = new Set(selectedCountries);
+    return rows.filter((row) => selected.has(row.Country));
+  }, [rows, scope, selectedCountries]);
+
+  const sample = useMemo(() => sampleRows(scopedRows, CORRELATION_SAMPLE_SIZE), [scopedRows]);
+
+  const matrix = useMemo(() => correlationMatrix(sample, metrics, method), [sample, metrics, method]);
+
+  const activePair = pair && metrics.includes(pair[0]) && metrics.includes(pair[1]) ? pair : null;
+
+  const pairDetails = useMemo(() => {
+    if (!activePair) return null;
+    const [xKey, yKey] = activePair;
+    const points = sample.filter((row) => Number.isFinite(row[xKey]) && Number.isFinite(row[yKey]));
+    const model = linearRegression(points.map((row) => ({ x: row[xKey], y: row[yKey] })));
+    const lineX = points.length
+      ? points.reduce(
+          ([min, max], row) => [Math.min(min, row[xKey]), Math.max(max, row[xKey])],
+          [Infinity, -Infinity]
+        )
+      : [];
+    return {
+      xKey,
+      yKey,
+      points: sampleRows(points),
+      stats: correlate(sample, xKey, yKey, method),
+      fit: model ? { x: lineX, y: lineX.map(model.predict) } : null,
+    };
+  }, [activePair, sample, method]);
+
+  const labels = metrics.map((key) => getDisplayShortLabel(key, preferences));
+
+  const matrixTable = createTable({
+    id: "correlation-matrix",
+    title: `${symbol} coefficients`,
+    columns: [
+      { header: "Metric", value: (idx) => labels[idx] },
+      ...labels.map((label, col) => ({ header: label, value: (idx) => matrix[idx][col].r })),
+    ],
+    rows: metrics.map((_, idx) => idx),
+  });
+
+  const count = (value) => formatInteger(value, preferences);
+  const rowCountText =
+    sample.length < scopedRows.length
+      ? `an evenly spaced sample of ${count(sample.length)} of the ${count(scopedRows.length)}`
+      : count(scopedRows.length);
+
+  const strongest = metrics.reduce((best, _, i) => {
+    for (let j = i + 1; j < metrics.length; j += 1) {
+      const { r } = matrix[i][j];
+      if (Number.isFinite(r) && (!best || Math.abs(r) > Math.abs(best.r))) best = { i, j, r };
+    }
+    return best;
+  }, null);
+
+  return (
+    <>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="space-y-2">
+          <h2 className="text-lg font-semibold text-slate-900">Metric correlations</h2>
+          <p className="text-xs text-slate-500">
+            {CORRELATION_METHODS.find((item) => item.value === method)?.label} coefficients across{" "}
+            {rowCountText} country-years in range. Click a cell to explore that pair, then a point to focus its country.
+          </p>
+          <p className="text-xs text-slate-600">
+            {strongest
+              ? `Strongest relationship: ${labels[strongest.i]} and ${labels[strongest.j]} (${symbol} = ${formatNumber(
+                  strongest.r,
+                  preferences,
+                  { digits: 2 }
+                )}, ${strongest.r > 0 ? "moving together" : "moving in opposite directions"}).`
+              : "Not enough overlapping data to compare metrics."}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => setShowTable((prev) => !prev)}
+            aria-expanded={showTable}
+            aria-controls={showTable ? "correlation-table" : undefined}
+            className="rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-700 transition hover:bg-slate-50"
+          >
+            {showTable ? "Hide table" : "Table"}
+          </button>
+          <select
+            aria-label="Correlation method"
+            value={method}
+            onChange={(event) => setMethod(event.target.value)}
+            className={selectClass}
+          >
+            {CORRELATION_METHODS.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Countries included in correlations"
+            value={scope}
+            onChange={(event) => setScope(event.target.value)}
+            className={selectClass}
+          >
+            <option value="all">All countries</option>
+            <option value="selected">Selected countries only</option>
+          </select>
+        </div>
+      </div>
+
+      <div className={`grid flex-1 gap-4 ${pairDetails ? "xl:grid-cols-2" : ""}`}>
+        <div className="min-h-[380px]">
+          <Plot
+            data={[
+              {
+                type: "heatmap",
+                x: labels,
+                y: labels,
+                z: matrix.map((line) => line.map((cell) => (Number.isFinite(cell.r) ? cell.r : null))),
+                customdata: matrix.map((line) => line.map((cell) => [cell.n, formatP(cell.p, preferences)])),
+                text: matrix.map((line) => line.map((cell) => (Number.isFinite(cell.r) ? formatNumber(cell.r, preferences, { digits: 2 }) : ""))),
+                texttemplate: "%{text}",
+                hovertemplate: `<b>%{y} × %{x}</b><br>${symbol} = %{z:.3f}<br>p = %{customdata[1]}<br>n = %{customdata[0]}<extra></extra>`,
+                zmin: -1,
+                zmax: 1,
+                colorscale: colorScale(theme, "diverging"),
+                colorbar: { title: { text: symbol }, len: 0.8, thickness: 14 },
+                xgap: 2,
+                ygap: 2,
+              },
+            ]}
+            layout={{
+              font: plotFont(theme),
+              separators: plotSeparators(preferences),
+              hoverlabel: hoverLabelTheme(theme),
+              autosize: true,
+              margin: { l: 110, r: 20, t: 20, b: 110 },
+              xaxis: { ...axisBase(theme), tickangle: -35, showgrid: false },
+              yaxis: { ...axisBase(theme), autorange: "reversed", showgrid: false },
+              paper_bgcolor: "rgba(0,0,0,0)",
+              plot_bgcolor: "rgba(0,0,0,0)",
+            }}
+            style={{ width: "100%", height: "100%" }}
+            useResizeHandler
+            config={plotConfig}
+            onClick={(event) => {
+              const point = event.points?.[0];
+              if (!point) return;
+              const xKey = metrics[labels.indexOf(point.x)];
+              const yKey = metrics[labels.indexOf(point.y)];
+              if (xKey && yKey && xKey !== yKey) setPair([xKey, yKey]);
+            }}
+          />
+        </div>
+
+        {pairDetails && (
+          <div className="flex min-h-[380px] flex-col gap-2">
+            <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-slate-600">
+              <span>
+                <strong>{symbol} = {formatNumber(pairDetails.stats.r, preferences, { digits: 3 })}</strong>
+                {" · "}p = {formatP(pairDetails.stats.p, preferences)} · n = {pairDetails.stats.n}
+              </span>
+              <button
+                type="button"
+                onClick={() => setPair(null)}
+                className="rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:bg-slate-50"
+              >
+                Close pair
+              </button>
+            </div>
+            <div className="flex-1">
+              <Plot
+                data={[
+                  {
+                    type: "scatter",
+                    mode: "markers",
+                    x: pairDetails.points.map((row) => row[pairDetails.xKey]),
+                    y: pairDetails.points.map((row) => row[pairDetails.yKey]),
+                    text: pairDetails.points.map((row) => `${row.Country} ${row.Year}`),
+                    customdata: pairDetails.points.map((row) => row.Country),
+                    hovertemplate: `<b>%{text}</b><br>%{x:${valueFormat}}, %{y:${valueFormat}}<extra></extra>`,
+                    marker: {
+                      color: theme.series.secondary,
+                      size: 8,
+                      opacity: 0.75,
+                      line: { width: 1, color: theme.series.secondaryStrong },
+                    },
+                    name: "Country-years",
+                  },
+                  ...(pairDetails.fit
+                    ? [
+                        {
+                          type: "scatter",
+                          mode: "lines",
+                          x: pairDetails.fit.x,
+                          y: pairDetails.fit.y,
+                          line: { color: theme.series.accent, width: 2, dash: "dash" },
+                          hoverinfo: "skip",
+                          name: "Least-squares fit",
+                        },
+                      ]
+                    : []),
+                ]}
+                layout={{
+                  font: plotFont(theme),
+                  separators: plotSeparators(preferences),
+                  hoverlabel: hoverLabelTheme(theme),
+                  autosize: true,
+                  margin: { l: 70, r: 20, t: 20, b: 70 },
+                  xaxis: {
+                    ...axisBase(theme),
+                    title: { text: columnHeader(pairDetails.xKey, preferences), font: titleFont(theme) },
+                  },
+                  yaxis: {
+                    ...axisBase(theme),
+                    title: { text: columnHeader(pairDetails.yKey, preferences), font: titleFont(theme) },
+                  },
+                  paper_bgcolor: "rgba(0,0,0,0)",
+                  plot_bgcolor: "rgba(0,0,0,0)",
+                  showlegend: false,
+                  hovermode: "closest",
+                }}
+                style={{ width: "100%", height: "100%" }}
+                useResizeHandler
+                config={plotConfig}
+                onClick={(event) => {
+                  const country = pointCountry(event.points?.[0]);
+                  if (country) onSelectCountry?.(country);
+                }}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+      {showTable && <DataTable id="correlation-table" table={matrixTable} />}
+    </>
+  );
+}
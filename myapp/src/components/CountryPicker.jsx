@@ -0,0 +1,95 @@
+import React from "react";
+
+export default function CountryPicker({ countries, groups = [], selected, colors, maxSelected, onChange }) {
+  const available = countries.filter((country) => !selected.includes(country));
+  const availableGroups = groups.filter((group) => !selected.includes(group.name));
+  const groupNames = groups.map((group) => group.name);
+  const atCap = selected.length >= maxSelected;
+
+  const addCountry = (country) => {
+    if (!country || atCap) return;
+    onChange([...selected, country]);
+  };
+
+  const removeCountry = (country) => {
+    if (selected.length <= 1) return;
+    onChange(selected.filter((item) => item !== country));
+  };
+
+  const focusCountry = (country) => {
+    onChange([country, ...selected.filter((item) => item !== country)]);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        {selected.map((country, idx) => (
+          <span
+            key={country}
+            className={`inline-flex items-center gap-2 rounded-full border px-3 py-1 text-sm font-medium shadow-sm ${
+              idx === 0 ? "border-sky-300 bg-sky-50 text-sky-800" : "border-slate-200 bg-white text-slate-700"
+            } ${groupNames.includes(country) ? "border-dashed" : ""}`}
+          >
+            <span
+              className={`h-2.5 w-2.5 ${groupNames.includes(country) ? "rounded-sm" : "rounded-full"}`}
+              style={{ backgroundColor: colors[country] }}
+              aria-hidden="true"
+            />
+            <button
+              type="button"
+              onClick={() => focusCountry(country)}
+              title={idx === 0 ? "Focus country" : "Make focus country"}
+              className="focus:outline-none"
+            >
+              {country}
+            </button>
+            {selected.length > 1 && (
+              <button
+                type="button"
+                onClick={() => removeCountry(country)}
+                aria-label={`Remove ${country}`}
+                className="text-slate-400 transition hover:text-slate-700"
+              >
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+      <select
+        value=""
+        disabled={atCap || (!available.length && !availableGroups.length)}
+        onChange={(event) => addCountry(event.target.value)}
+        className="w-full rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm font-medium text-slate-700 shadow-inner focus:border-sky-400 focus:outline-none disabled:opacity-60"
+      >
+        <option value="">
+          {atCap ? `Comparing the maximum of ${maxSelected} countries` : "Add a country to compare…"}
+        </option>
+        {availableGroups.length > 0 ? (
+          <>
+            <optgroup label="Groups">
+              {availableGroups.map((group) => (
+                <option key={group.name} value={group.name}>
+                  {group.name} ({group.members.length})
+                </option>
+              ))}
+            </optgroup>
+            <optgroup label="Countries">
+              {available.map((country) => (
+                <option key={country} value={country}>
+                  {country}
+                </option>
+              ))}
+            </optgroup>
+          </>
+        ) : (
+          available.map((country) => (
+            <option key={country} value={country}>
+              {country}
+            </option>
+          ))
+        )}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useMemo } from "react";
+import Plot from "react-plotly.js";
+import { Bar, Line } from "react-chartjs-2";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import { CHART_STRATEGIES, ENCODING_LABELS, buildCustomChart, fitEncoding } from "../lib/chartStrategies.js";
+import { themedChartOptions } from "../lib/chartTheme.js";
+import { chartClickCountry, pointCountry } from "../lib/crossFilter.js";
+import { columnHeader } from "../lib/exporters.js";
+import { plotConfig } from "../lib/plotTheme.js";
+
+const CHARTJS_COMPONENTS = { line: Line, bar: Bar };
+
+const selectClass =
+  "w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-sky-400 focus:outline-none";
+
+export default function CustomChartCard({
+  config,
+  headers,
+  numericHeaders,
+  rowsByScope,
+  onSelectCountry,
+  onChange,
+  onRemove,
+  className,
+}) {
+  const { theme, preferences } = useDisplaySettings();
+  const strategy = CHART_STRATEGIES[config.type];
+  const rows = rowsByScope[config.scope] || [];
+  const fieldLabel = (key) => columnHeader(key, preferences);
+
+  const chart = useMemo(
+    () => buildCustomChart(config.type, rows, config.encoding, { theme, preferences }),
+    [config.type, config.encoding, rows, preferences, theme]
+  );
+
+  const updateEncoding = (key, value) =>
+    onChange({ ...config, encoding: { ...config.encoding, [key]: value || null } });
+
+  const changeType = (type) =>
+    onChange({ ...config, type, encoding: fitEncoding(type, config.encoding, numericHeaders) });
+
+  const ChartComponent = chart?.library === "chartjs" ? CHARTJS_COMPONENTS[chart.kind] : null;
+
+  return (
+    <article className={className}>
+      <div className="flex items-start justify-between gap-3">
+        <div className="space-y-2">
+          <h2 className="text-lg font-semibold text-slate-900">Custom chart</h2>
+          <p className="text-xs text-slate-500">
+            {strategy.label} of{" "}
+            {Object.keys(strategy.encodings)
+              .map((key) => config.encoding[key])
+              .filter(Boolean)
+              .map(fieldLabel)
+              .join(" · ") || "no fields yet"}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onRemove}
+          aria-label="Remove custom chart"
+          className="rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:bg-slate-50"
+        >
+          Remove
+        </button>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-3">
+        <label className="space-y-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <span>Chart type</span>
+          <select
+            value={config.type}
+            onChange={(event) => changeType(event.target.value)}
+            className={selectClass}
+          >
+            {Object.entries(CHART_STRATEGIES).map(([type, item]) => (
+              <option key={type} value={type}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <span>Rows</span>
+          <select
+            value={config.scope}
+            onChange={(event) => onChange({ ...config, scope: event.target.value })}
+            className={selectClass}
+          >
+            <option value="range">All years in range</option>
+            <option value="year">Focus year only</option>
+          </select>
+        </label>
+        {Object.entries(strategy.encodings).map(([key, kind]) => (
+          <label key={key} className="space-y-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+            <span>
+              {ENCODING_LABELS[key]}
+              {strategy.required.includes(key) ? "" : " (optional)"}
+            </span>
+            <select
+              value={config.encoding[key] || ""}
+              onChange={(event) => updateEncoding(key, event.target.value)}
+              className={selectClass}
+            >
+              <option value="">—</option>
+              {(kind === "numeric" ? numericHeaders : headers).map((header) => (
+                <option key={header} value={header}>
+                  {columnHeader(header, preferences)}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex-1 min-h-[320px]">
+        {chart?.missing && (
+          <p className="flex h-full items-center justify-center text-sm text-slate-500">
+            Choose {chart.missing.map((key) => ENCODING_LABELS[key].toLowerCase()).join(", ")} to draw this chart.
+          </p>
+        )}
+        {chart?.empty && (
+          <p className="flex h-full items-center justify-center text-center text-sm text-slate-500">
+            No rows in this view have values for the chosen fields.
+          </p>
+        )}
+        {ChartComponent && (
+          <ChartComponent
+            data={chart.data}
+            options={themedChartOptions(
+              {
+                ...chart.options,
+                onClick: (event, elements, chartInstance) => {
+                  const country = chartClickCountry(elements, chartInstance);
+                  if (country) onSelectCountry(country);
+                },
+              },
+              { theme, preferences }
+            )}
+          />
+        )}
+        {chart?.library === "plotly" && (
+          <Plot
+            data={chart.data}
+            layout={chart.layout}
+            style={{ width: "100%", height: "100%" }}
+            useResizeHandler
+            config={plotConfig}
+            onClick={(event) => {
+              const country = pointCountry(event.points?.[0]);
+              if (country) onSelectCountry(country);
+            }}
+          />
+        )}
+      </div>
+    </article>
+  );
+}
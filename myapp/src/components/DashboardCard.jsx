@@ -0,0 +1,129 @@
+import React, { useRef, useState } from "react";
+import { CARD_SIZES } from "../lib/layout.js";
+import DataTable from "./DataTable.jsx";
+
+const CARD_DRAG_TYPE = "application/x-dashboard-card";
+
+export default function DashboardCard({
+  id,
+  title,
+  size,
+  table,
+  summary,
+  className,
+  editable = true,
+  onMove,
+  onShift,
+  onResize,
+  onHide,
+  children,
+}) {
+  const articleRef = useRef(null);
+  const [isDropTarget, setIsDropTarget] = useState(false);
+  const [showTable, setShowTable] = useState(false);
+
+  const handleDragStart = (event) => {
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData(CARD_DRAG_TYPE, id);
+    if (articleRef.current) event.dataTransfer.setDragImage(articleRef.current, 24, 24);
+  };
+
+  const handleDragOver = (event) => {
+    if (!event.dataTransfer.types.includes(CARD_DRAG_TYPE)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+    setIsDropTarget(true);
+  };
+
+  const handleDrop = (event) => {
+    const draggedId = event.dataTransfer.getData(CARD_DRAG_TYPE);
+    setIsDropTarget(false);
+    if (!draggedId) return;
+    event.preventDefault();
+    onMove(draggedId, id);
+  };
+
+  const handleHandleKey = (event) => {
+    if (event.key === "ArrowUp" || event.key === "ArrowLeft") {
+      event.preventDefault();
+      onShift(id, -1);
+    } else if (event.key === "ArrowDown" || event.key === "ArrowRight") {
+      event.preventDefault();
+      onShift(id, 1);
+    }
+  };
+
+  return (
+    <article
+      ref={articleRef}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDropTarget(false)}
+      onDrop={handleDrop}
+      aria-describedby={summary ? `${id}-summary` : undefined}
+      className={`${className} ${CARD_SIZES[size]?.className ?? ""} ${isDropTarget ? "ring-2 ring-sky-400" : ""}`}
+    >
+      <div className="-mb-2 flex items-center justify-between gap-2" data-report-exclude>
+        {editable ? (
+          <button
+            type="button"
+            draggable
+            onDragStart={handleDragStart}
+            onDragEnd={() => setIsDropTarget(false)}
+            onKeyDown={handleHandleKey}
+            aria-label={`Move ${title} (drag, or use the arrow keys)`}
+            title="Drag to reorder"
+            className="cursor-grab rounded-lg px-2 py-0.5 text-sm leading-none text-slate-400 transition hover:bg-slate-100 hover:text-slate-600 active:cursor-grabbing"
+          >
+            ⠿
+          </button>
+        ) : (
+          <span />
+        )}
+        <div className="flex items-center gap-2">
+          {table && (
+            <button
+              type="button"
+              onClick={() => setShowTable((prev) => !prev)}
+              aria-expanded={showTable}
+              aria-controls={showTable ? `${id}-table` : undefined}
+              className="rounded-lg border border-slate-200 bg-white px-2 py-0.5 text-xs font-medium text-slate-600 transition hover:bg-slate-50"
+            >
+              {showTable ? "Hide table" : "Table"}
+            </button>
+          )}
+          {editable && (
+            <>
+              <select
+                aria-label={`${title} size`}
+                value={size}
+                onChange={(event) => onResize(id, event.target.value)}
+                className="rounded-lg border border-slate-200 bg-white px-2 py-0.5 text-xs text-slate-600 focus:border-sky-400 focus:outline-none"
+              >
+                {Object.entries(CARD_SIZES).map(([value, option]) => (
+                  <option key={value} value={value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => onHide(id)}
+                aria-label={`Hide ${title}`}
+                className="rounded-lg border border-slate-200 bg-white px-2 py-0.5 text-xs font-medium text-slate-600 transition hover:bg-slate-50"
+              >
+                Hide
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      {children}
+      {summary && (
+        <p id={`${id}-summary`} className="text-xs text-slate-600">
+          {summary}
+        </p>
+      )}
+      {table && showTable && <DataTable id={`${id}-table`} table={table} />}
+    </article>
+  );
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import { formatNumber } from "../lib/units.js";
+
+const MAX_TABLE_ROWS = 250;
+
+const formatCell = (value, header, preferences) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value !== "number" || header === "Year") return String(value);
+  return formatNumber(value, preferences);
+};
+
+// Accessible fallback for a chart: a captioned table built with createTable().
+export default function DataTable({ id, table }) {
+  const { preferences } = useDisplaySettings();
+  const rows = table.rows.slice(0, MAX_TABLE_ROWS);
+
+  return (
+    <div id={id} className="max-h-[360px] overflow-auto rounded-2xl border border-slate-200">
+      <table className="w-full text-left text-sm">
+        <caption className="sr-only">{table.title}</caption>
+        <thead className="sticky top-0 bg-white">
+          <tr className="text-xs uppercase tracking-wide text-slate-500">
+            {table.headers.map((header) => (
+              <th key={header} scope="col" className="px-3 py-2 font-semibold">
+                {header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, rowIdx) => (
+            <tr key={rowIdx} className="border-t border-slate-100">
+              {row.map((value, colIdx) =>
+                colIdx === 0 ? (
+                  <th key={colIdx} scope="row" className="px-3 py-1.5 font-medium text-slate-700">
+                    {formatCell(value, table.headers[colIdx], preferences)}
+                  </th>
+                ) : (
+                  <td key={colIdx} className="px-3 py-1.5 text-slate-600">
+                    {formatCell(value, table.headers[colIdx], preferences)}
+                  </td>
+                )
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {table.rows.length > rows.length && (
+        <p className="border-t border-slate-100 px-3 py-2 text-xs text-slate-500">
+          Showing the first {rows.length} of {table.rows.length} rows. Use the export panel for the full table.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import { formatDateTime } from "../lib/units.js";
+
+const REMOTE_OPTION = "remote";
+
+// `remoteLabel` names a dataset loaded from a URL; it shows as the active entry until another is picked.
+export default function DatasetSwitcher({
+  courseLabel,
+  datasets,
+  activeId,
+  remoteLabel = null,
+  onSelect,
+  onRename,
+  onDelete,
+}) {
+  const { preferences } = useDisplaySettings();
+  const [renaming, setRenaming] = useState(false);
+  const [draftName, setDraftName] = useState("");
+  const activeDataset = datasets.find((dataset) => dataset.id === activeId);
+
+  const startRename = () => {
+    setDraftName(activeDataset?.name || "");
+    setRenaming(true);
+  };
+
+  const submitRename = (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (name && activeDataset) onRename(activeDataset.id, name);
+    setRenaming(false);
+  };
+
+  return (
+    <div className="flex w-full flex-col gap-2">
+      <select
+        aria-label="Dataset"
+        value={activeId ?? (remoteLabel ? REMOTE_OPTION : "")}
+        onChange={(event) => {
+          if (event.target.value !== REMOTE_OPTION) onSelect(event.target.value || null);
+        }}
+        className="w-full rounded-xl border border-slate-300/80 bg-white/80 px-3 py-2 text-sm font-medium text-slate-700 shadow-sm focus:border-sky-400 focus:outline-none"
+      >
+        <option value="">{courseLabel} (course)</option>
+        {remoteLabel && <option value={REMOTE_OPTION}>{remoteLabel} (from URL)</option>}
+        {datasets.map((dataset) => (
+          <option key={dataset.id} value={dataset.id}>
+            {dataset.name} · {dataset.rowCount} rows · {formatDateTime(dataset.uploadedAt, preferences)}
+          </option>
+        ))}
+      </select>
+
+      {activeDataset &&
+        (renaming ? (
+          <form onSubmit={submitRename} className="flex gap-2">
+            <input
+              autoFocus
+              value={draftName}
+              onChange={(event) => setDraftName(event.target.value)}
+              aria-label="Dataset name"
+              className="min-w-0 flex-1 rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-sm text-slate-700 focus:border-sky-400 focus:outline-none"
+            />
+            <button
+              type="submit"
+              className="rounded-xl border border-sky-200 bg-sky-50 px-3 py-1 text-xs font-medium text-sky-700 transition hover:bg-sky-100"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setRenaming(false)}
+              className="rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:bg-slate-50"
+            >
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={startRename}
+              className="rounded-xl border border-slate-300/80 bg-white/80 px-3 py-1 text-xs font-medium text-slate-600 transition hover:bg-white"
+            >
+              Rename
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                if (window.confirm(`Delete "${activeDataset.name}" from this browser?`)) {
+                  onDelete(activeDataset.id);
+                }
+              }}
+              className="rounded-xl border border-red-200 bg-red-50 px-3 py-1 text-xs font-medium text-red-600 transition hover:bg-red-100"
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+    </div>
+  );
+}
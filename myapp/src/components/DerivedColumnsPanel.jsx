@@ -0,0 +1,207 @@
+import React, { useMemo, useState } from "react";
+import { FORMULA_FUNCTIONS, evaluateFormula, validateColumnName } from "../lib/formulas.js";
+
+const EXAMPLES = [
+  { name: "Total_CO2_tons", formula: "CO2_Emissions_tons_per_capita * Population" },
+  { name: "Rainfall_anomaly_mm", formula: "Rainfall_mm - mean(Rainfall_mm)" },
+  { name: "Temp_change_5y_degC", formula: "Avg_Temperature_degC - lag(Avg_Temperature_degC, 5)" },
+];
+
+const inputClass =
+  "w-full rounded-xl border border-slate-300/80 bg-white px-3 py-2 text-sm text-slate-700 focus:border-sky-400 focus:outline-none";
+
+export default function DerivedColumnsPanel({ definitions, errors, baseHeaders, rows, onChange, className }) {
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [draft, setDraft] = useState({ name: "", formula: "" });
+
+  const columns = useMemo(() => {
+    const prior = editingIndex === null ? definitions : definitions.slice(0, editingIndex);
+    return [...baseHeaders, ...prior.map((definition) => definition.name)];
+  }, [baseHeaders, definitions, editingIndex]);
+  const takenNames = useMemo(
+    () => [...baseHeaders, ...definitions.filter((_, idx) => idx !== editingIndex).map((item) => item.name)],
+    [baseHeaders, definitions, editingIndex]
+  );
+
+  const preview = useMemo(() => {
+    const name = draft.name.trim();
+    if (!name && !draft.formula.trim()) return null;
+    const nameError = validateColumnName(name, takenNames);
+    if (nameError) return { error: nameError };
+    try {
+      const values = evaluateFormula(draft.formula, rows, columns);
+      const samples = rows
+        .map((row, idx) => ({ label: `${row.Country} ${row.Year}`, value: values[idx] }))
+        .filter((sample) => Number.isFinite(sample.value))
+        .slice(0, 3);
+      return { count: values.filter(Number.isFinite).length, samples };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [draft, rows, columns, takenNames]);
+
+  const resetDraft = () => {
+    setDraft({ name: "", formula: "" });
+    setEditingIndex(null);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!preview || preview.error) return;
+    const definition = { name: draft.name.trim(), formula: draft.formula.trim() };
+    onChange(
+      editingIndex === null
+        ? [...definitions, definition]
+        : definitions.map((item, idx) => (idx === editingIndex ? definition : item))
+    );
+    resetDraft();
+  };
+
+  const insertToken = (token) =>
+    setDraft((prev) => {
+      const separator = prev.formula && !prev.formula.endsWith(" ") ? " " : "";
+      return { ...prev, formula: `${prev.formula}${separator}${token}` };
+    });
+
+  return (
+    <section className={className} data-report-exclude>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">Derived columns</h2>
+        <p className="text-xs text-slate-500">
+          Define new metrics from existing columns. They appear in every metric picker and are saved with
+          this dataset.
+        </p>
+      </div>
+
+      {definitions.length > 0 && (
+        <ul className="divide-y divide-slate-100 rounded-2xl border border-slate-200">
+          {definitions.map((definition, idx) => (
+            <li key={definition.name} className="flex flex-wrap items-center justify-between gap-3 px-4 py-3">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-slate-700">{definition.name}</p>
+                <p className="break-all font-mono text-xs text-slate-500">= {definition.formula}</p>
+                {errors[definition.name] && (
+                  <p className="text-xs text-red-600">{errors[definition.name]}</p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setEditingIndex(idx);
+                    setDraft(definition);
+                  }}
+                  className="rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:bg-slate-50"
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    onChange(definitions.filter((_, index) => index !== idx));
+                    if (editingIndex !== null) resetDraft();
+                  }}
+                  aria-label={`Remove ${definition.name}`}
+                  className="rounded-xl border border-red-200 bg-red-50 px-3 py-1 text-xs font-medium text-red-600 transition hover:bg-red-100"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid gap-3 lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)_auto]">
+        <input
+          value={draft.name}
+          onChange={(event) => setDraft((prev) => ({ ...prev, name: event.target.value }))}
+          placeholder="Column name"
+          aria-label="Derived column name"
+          className={inputClass}
+        />
+        <input
+          value={draft.formula}
+          onChange={(event) => setDraft((prev) => ({ ...prev, formula: event.target.value }))}
+          placeholder="e.g. CO2_Emissions_tons_per_capita * Population"
+          aria-label="Formula"
+          spellCheck={false}
+          className={`${inputClass} font-mono`}
+        />
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={!preview || Boolean(preview.error)}
+            className="rounded-xl border border-sky-200 bg-sky-50 px-4 py-2 text-sm font-medium text-sky-700 shadow-sm transition hover:bg-sky-100 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {editingIndex === null ? "Add column" : "Save column"}
+          </button>
+          {editingIndex !== null && (
+            <button
+              type="button"
+              onClick={resetDraft}
+              className="rounded-xl border border-slate-300/80 bg-white px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-50"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {preview &&
+        (preview.error ? (
+          <p className="text-xs text-red-600">{preview.error}</p>
+        ) : (
+          <p className="text-xs text-slate-500">
+            {preview.count} of {rows.length} rows get a value
+            {preview.samples.length > 0 &&
+              ` · ${preview.samples.map((sample) => `${sample.label}: ${sample.value.toPrecision(4)}`).join(", ")}`}
+          </p>
+        ))}
+
+      <details className="text-xs text-slate-500">
+        <summary className="cursor-pointer font-semibold uppercase tracking-wide">Formula reference</summary>
+        <div className="mt-2 space-y-2">
+          <p>
+            Operators: <code>+ - * / % ^</code> and parentheses. Wrap column names with spaces in square brackets,
+            e.g. <code>[My column]</code>.
+          </p>
+          <ul className="grid gap-1 sm:grid-cols-2">
+            {Object.entries(FORMULA_FUNCTIONS).map(([name, fn]) => (
+              <li key={name}>
+                <code>{name}</code> — {fn.description}
+              </li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap gap-1">
+            {columns
+              .filter((column) => column !== "Country")
+              .map((column) => (
+                <button
+                  key={column}
+                  type="button"
+                  onClick={() => insertToken(/^[A-Za-z_][A-Za-z0-9_]*$/.test(column) ? column : `[${column}]`)}
+                  className="rounded-full border border-slate-200 bg-slate-50 px-2 py-0.5 font-mono text-slate-600 hover:bg-white"
+                >
+                  {column}
+                </button>
+              ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            Examples:
+            {EXAMPLES.filter((example) => !takenNames.includes(example.name)).map((example) => (
+              <button
+                key={example.name}
+                type="button"
+                onClick={() => setDraft(example)}
+                className="font-medium text-sky-700 hover:text-sky-900"
+              >
+                {example.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      </details>
+    </section>
+  );
+}
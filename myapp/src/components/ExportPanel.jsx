@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS, exportTables } from "../lib/exporters.js";
+
+export default function ExportPanel({ tables, datasetName, className }) {
+  const [status, setStatus] = useState("");
+
+  // `tables` come from describeTable(); their cells are only built here, on download.
+  const handleExport = async (selectedTables, format, baseName) => {
+    try {
+      setStatus("");
+      await exportTables(selectedTables.map((table) => table.build()), format, baseName);
+    } catch (error) {
+      console.error("Export failed", error);
+      setStatus("Export failed. Please try again.");
+    }
+  };
+
+  return (
+    <section className={className}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="space-y-2">
+          <h2 className="text-lg font-semibold text-slate-900">Data export</h2>
+          <p className="text-xs text-slate-500">
+            Download the rows behind each view with the same headers and units the charts use.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => handleExport(tables, "xlsx", `${datasetName} views`)}
+          className="rounded-xl border border-sky-200 bg-sky-50 px-4 py-2 text-sm font-medium text-sky-700 shadow-sm transition hover:bg-sky-100"
+        >
+          All views as XLSX workbook
+        </button>
+      </div>
+
+      <ul className="divide-y divide-slate-100 rounded-2xl border border-slate-200">
+        {tables.map((table) => (
+          <li key={table.id} className="flex flex-wrap items-center justify-between gap-3 px-4 py-3">
+            <div>
+              <p className="text-sm font-medium text-slate-700">{table.title}</p>
+              <p className="text-xs text-slate-500">
+                {table.rowCount} rows · {table.headers.join(", ")}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              {EXPORT_FORMATS.map((format) => (
+                <button
+                  key={format.value}
+                  type="button"
+                  disabled={!table.rowCount}
+                  onClick={() => handleExport([table], format.value, `${datasetName} ${table.id}`)}
+                  className="rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {status && <p className="text-xs text-red-600">{status}</p>}
+    </section>
+  );
+}
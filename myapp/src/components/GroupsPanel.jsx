@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import { AGGREGATION_RULES, getAggregationRule } from "../lib/groups.js";
+import { getDisplayLabel } from "../lib/units.js";
+
+const selectClass =
+  "rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-700 focus:border-sky-400 focus:outline-none";
+
+export default function GroupsPanel({ groups, settings, countries, metrics, onChange, className }) {
+  const { preferences } = useDisplaySettings();
+  const [draftName, setDraftName] = useState("");
+  const [draftMembers, setDraftMembers] = useState([]);
+
+  const name = draftName.trim();
+  const nameError = !name
+    ? ""
+    : countries.includes(name) || groups.some((group) => group.name === name)
+      ? `"${name}" is already a country or group.`
+      : "";
+
+  const toggleMember = (country) =>
+    setDraftMembers((prev) =>
+      prev.includes(country) ? prev.filter((item) => item !== country) : [...prev, country]
+    );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!name || nameError || !draftMembers.length) return;
+    onChange({ ...settings, groups: [...settings.groups, { name, members: draftMembers }] });
+    setDraftName("");
+    setDraftMembers([]);
+  };
+
+  const removeGroup = (groupName) =>
+    onChange({ ...settings, groups: settings.groups.filter((group) => group.name !== groupName) });
+
+  const setRule = (key, rule) => onChange({ ...settings, rules: { ...settings.rules, [key]: rule } });
+
+  return (
+    <section className={className} data-report-exclude>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">Country groups</h2>
+        <p className="text-xs text-slate-500">
+          Blocs, continents and your own groups can be compared like countries. Each metric is combined with
+          its aggregation rule.
+        </p>
+      </div>
+
+      {groups.length > 0 && (
+        <ul className="divide-y divide-slate-100 rounded-2xl border border-slate-200">
+          {groups.map((group) => (
+            <li key={group.name} className="flex flex-wrap items-center justify-between gap-3 px-4 py-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-slate-700">
+                  {group.name}{" "}
+                  <span className="text-xs font-normal text-slate-400">
+                    {group.kind} · {group.members.length} {group.members.length === 1 ? "country" : "countries"}
+                  </span>
+                </p>
+                <p className="truncate text-xs text-slate-500" title={group.members.join(", ")}>
+                  {group.members.join(", ")}
+                </p>
+              </div>
+              {!group.builtIn && (
+                <button
+                  type="button"
+                  onClick={() => removeGroup(group.name)}
+                  aria-label={`Remove ${group.name}`}
+                  className="rounded-xl border border-red-200 bg-red-50 px-3 py-1 text-xs font-medium text-red-600 transition hover:bg-red-100"
+                >
+                  Remove
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <input
+            value={draftName}
+            onChange={(event) => setDraftName(event.target.value)}
+            placeholder="Group name"
+            aria-label="Group name"
+            className="min-w-0 flex-1 rounded-xl border border-slate-300/80 bg-white px-3 py-2 text-sm text-slate-700 focus:border-sky-400 focus:outline-none"
+          />
+          <button
+            type="submit"
+            disabled={!name || Boolean(nameError) || !draftMembers.length}
+            className="rounded-xl border border-sky-200 bg-sky-50 px-4 py-2 text-sm font-medium text-sky-700 shadow-sm transition hover:bg-sky-100 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            Create group
+          </button>
+        </div>
+        {nameError && <p className="text-xs text-red-600">{nameError}</p>}
+        <fieldset className="max-h-40 overflow-y-auto rounded-2xl border border-slate-200 px-3 py-2">
+          <legend className="px-1 text-xs text-slate-500">Members ({draftMembers.length} selected)</legend>
+          <div className="grid gap-1 sm:grid-cols-2 lg:grid-cols-3">
+            {countries.map((country) => (
+              <label key={country} className="flex items-center gap-2 text-xs text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={draftMembers.includes(country)}
+                  onChange={() => toggleMember(country)}
+                />
+                {country}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      </form>
+
+      <details className="text-sm">
+        <summary className="cursor-pointer text-xs font-semibold uppercase tracking-wide text-slate-500">
+          Aggregation rules
+        </summary>
+        <table className="mt-2 w-full text-left text-xs">
+          <tbody>
+            {metrics.map((key) => {
+              const label = getDisplayLabel(key, preferences);
+              return (
+                <tr key={key} className="border-t border-slate-200/70">
+                  <td className="py-1.5 pr-2 text-slate-700">{label}</td>
+                  <td className="py-1.5">
+                    <select
+                      aria-label={`${label} aggregation`}
+                      value={getAggregationRule(key, settings.rules, preferences)}
+                      onChange={(event) => setRule(key, event.target.value)}
+                      className={selectClass}
+                    >
+                      {AGGREGATION_RULES.map((rule) => (
+                        <option key={rule.value} value={rule.value}>
+                          {rule.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <p className="mt-2 text-xs text-slate-500">
+          Population-weighted means fall back to a plain mean when population is missing.
+        </p>
+      </details>
+    </section>
+  );
+}
@@ -0,0 +1,65 @@
+import React from "react";
+
+const highlightCardClass = "rounded-2xl border border-white/60 bg-white/80 p-4 shadow-sm";
+
+// The header figures (see buildHighlightStats): a card per figure for one country, a table when comparing.
+export default function HighlightStats({ stats, comparedSeries, year }) {
+  if (comparedSeries.length > 1) {
+    return (
+      <div className={`${highlightCardClass} relative z-10 mt-8 overflow-x-auto`}>
+        <table className="w-full text-left text-sm">
+          <caption className="pb-2 text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+            Comparison for {year ?? "--"}
+          </caption>
+          <thead>
+            <tr className="text-xs uppercase tracking-wide text-slate-500">
+              <th className="py-2 pr-4 font-semibold">Metric</th>
+              {comparedSeries.map((series) => (
+                <th key={series.country} className="py-2 pr-4 font-semibold">
+                  <span className="inline-flex items-center gap-2">
+                    <span
+                      className="h-2.5 w-2.5 rounded-full"
+                      style={{ backgroundColor: series.color }}
+                      aria-hidden="true"
+                    />
+                    {series.country}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {stats.map((stat) => (
+              <tr key={stat.label} className="border-t border-slate-200/70">
+                <th scope="row" className="py-2 pr-4 font-medium text-slate-600">
+                  {stat.label}
+                </th>
+                {stat.values.map((value, idx) => (
+                  <td key={comparedSeries[idx].country} className="py-2 pr-4 font-semibold text-slate-900">
+                    {value}
+                    {stat.details[idx] && (
+                      <span className="block text-xs font-normal text-slate-500">{stat.details[idx]}</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative z-10 mt-8 grid gap-4 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5">
+      {stats.map((stat) => (
+        <div key={stat.label} className={`${highlightCardClass} h-full`}>
+          <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">{stat.label}</p>
+          <p className="mt-2 text-2xl font-semibold text-slate-900">{stat.value}</p>
+          {stat.detail && <p className="mt-1 text-xs font-medium text-sky-700">{stat.detail}</p>}
+          <p className="mt-1 text-xs text-slate-500">{stat.caption}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
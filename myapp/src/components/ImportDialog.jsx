@@ -0,0 +1,186 @@
+import React, { useMemo, useState } from "react";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import {
+  detectTableLayout,
+  findYearColumns,
+  guessCountryColumn,
+  guessYearColumn,
+} from "../lib/reshape.js";
+import { formatInteger } from "../lib/units.js";
+
+const selectClass =
+  "w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-sky-400 focus:outline-none";
+
+const initialSelection = (table, fallbackName) => ({
+  include: true,
+  layout: detectTableLayout(table.fields),
+  countryColumn: guessCountryColumn(table.fields),
+  yearColumn: guessYearColumn(table.fields),
+  valueName: table.name || fallbackName,
+});
+
+export default function ImportDialog({ sourceLabel, tables, onConfirm, onCancel }) {
+  const { preferences } = useDisplaySettings();
+  const baseName = sourceLabel.replace(/\.[^.]+$/, "");
+  const [selections, setSelections] = useState(() =>
+    tables.map((table) => initialSelection(table, baseName))
+  );
+
+  const update = (idx, patch) =>
+    setSelections((prev) => prev.map((item, index) => (index === idx ? { ...item, ...patch } : item)));
+
+  const problems = useMemo(() => {
+    const included = selections.filter((selection) => selection.include);
+    if (!included.length) return ["Include at least one table."];
+    const list = [];
+    included.forEach((selection) => {
+      if (!selection.countryColumn) list.push("Pick the country column for every included table.");
+      if (selection.layout === "long" && !selection.yearColumn) {
+        list.push("Pick the year column for every long table.");
+      }
+      if (selection.layout === "wide" && !selection.valueName.trim()) {
+        list.push("Name the metric held in every wide table.");
+      }
+    });
+    const names = included.filter((item) => item.layout === "wide").map((item) => item.valueName.trim());
+    if (new Set(names).size !== names.length) list.push("Each wide table needs its own metric name.");
+    return Array.from(new Set(list));
+  }, [selections]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 p-4 backdrop-blur-sm">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-dialog-title"
+        className="flex max-h-[90vh] w-full max-w-3xl flex-col gap-5 overflow-hidden rounded-3xl border border-slate-200/70 bg-white p-6 shadow-xl"
+      >
+        <div className="space-y-2">
+          <h2 id="import-dialog-title" className="text-lg font-semibold text-slate-900">
+            Import {sourceLabel}
+          </h2>
+          <p className="text-xs text-slate-500">
+            Choose which {tables.length > 1 ? "sheets" : "table"} to load. Wide tables, with one column per
+            year, are reshaped into one row per country and year; included tables are joined on country and
+            year.
+          </p>
+        </div>
+
+        <div className="flex-1 space-y-3 overflow-y-auto">
+          {tables.map((table, idx) => {
+            const selection = selections[idx];
+            const yearColumns = findYearColumns(table.fields);
+            const idFields = table.fields.filter((field) => !yearColumns.includes(field));
+            return (
+              <fieldset
+                key={`${table.name}-${idx}`}
+                className={`space-y-3 rounded-2xl border px-4 py-3 ${
+                  selection.include ? "border-sky-200 bg-sky-50/40" : "border-slate-200"
+                }`}
+              >
+                <legend className="px-1">
+                  <label className="inline-flex items-center gap-2 text-sm font-medium text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={selection.include}
+                      onChange={(event) => update(idx, { include: event.target.checked })}
+                    />
+                    {table.name || sourceLabel}
+                    <span className="text-xs font-normal text-slate-400">
+                      {formatInteger(table.rowCount, preferences)} rows · {table.fields.length} columns
+                    </span>
+                  </label>
+                </legend>
+                {selection.include && (
+                  <div className="grid gap-3 sm:grid-cols-3">
+                    <label className="space-y-1 text-xs text-slate-500">
+                      Layout
+                      <select
+                        value={selection.layout}
+                        onChange={(event) => update(idx, { layout: event.target.value })}
+                        className={selectClass}
+                      >
+                        <option value="long">Long (one row per country-year)</option>
+                        <option value="wide" disabled={yearColumns.length < 2}>
+                          Wide ({yearColumns.length} year columns)
+                        </option>
+                      </select>
+                    </label>
+                    <label className="space-y-1 text-xs text-slate-500">
+                      Country column
+                      <select
+                        value={selection.countryColumn}
+                        onChange={(event) => update(idx, { countryColumn: event.target.value })}
+                        className={selectClass}
+                      >
+                        <option value="">— choose —</option>
+                        {(selection.layout === "wide" ? idFields : table.fields).map((field) => (
+                          <option key={field} value={field}>
+                            {field}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    {selection.layout === "long" ? (
+                      <label className="space-y-1 text-xs text-slate-500">
+                        Year column
+                        <select
+                          value={selection.yearColumn}
+                          onChange={(event) => update(idx, { yearColumn: event.target.value })}
+                          className={selectClass}
+                        >
+                          <option value="">— choose —</option>
+                          {table.fields.map((field) => (
+                            <option key={field} value={field}>
+                              {field}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    ) : (
+                      <label className="space-y-1 text-xs text-slate-500">
+                        Metric in this table
+                        <input
+                          value={selection.valueName}
+                          onChange={(event) => update(idx, { valueName: event.target.value })}
+                          placeholder="e.g. Rainfall_mm"
+                          className={selectClass}
+                        />
+                      </label>
+                    )}
+                  </div>
+                )}
+              </fieldset>
+            );
+          })}
+        </div>
+
+        {problems.length > 0 && (
+          <ul className="space-y-1 text-xs text-amber-700">
+            {problems.map((problem) => (
+              <li key={problem}>{problem}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="rounded-xl border border-slate-300/80 bg-white px-4 py-2 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={problems.length > 0}
+            onClick={() => onConfirm(selections)}
+            className="rounded-xl border border-sky-200 bg-sky-50 px-4 py-2 text-sm font-medium text-sky-700 shadow-sm transition hover:bg-sky-100 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
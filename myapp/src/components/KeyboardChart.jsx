@@ -0,0 +1,98 @@
+import React, { useRef, useState } from "react";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import { formatNumber } from "../lib/units.js";
+
+// Wraps a react-chartjs-2 chart so its points can be reached with the arrow keys. The active point is
+// shown with the chart's own tooltip and announced through a live region.
+export default function KeyboardChart({ component: ChartComponent, data, options, label }) {
+  const { preferences } = useDisplaySettings();
+  const chartRef = useRef(null);
+  const [cursor, setCursor] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+
+  const series = data.datasets
+    .map((dataset, datasetIndex) => ({ dataset, datasetIndex }))
+    .filter(({ dataset }) => !dataset.isBand);
+  const pointCount = data.labels.length;
+
+  const highlight = (active) => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const element = active[0] && chart.getDatasetMeta(active[0].datasetIndex).data[active[0].index];
+    chart.setActiveElements(active);
+    chart.tooltip?.setActiveElements(active, element?.tooltipPosition?.() ?? { x: 0, y: 0 });
+    chart.update();
+  };
+
+  const moveTo = (seriesIdx, index) => {
+    const { dataset, datasetIndex } = series[seriesIdx];
+    const value = dataset.data[index];
+    setCursor({ series: seriesIdx, index });
+    setAnnouncement(
+      `${dataset.label || label}, ${data.labels[index]}: ${
+        Number.isFinite(value) ? formatNumber(value, preferences) : "no data"
+      }. Point ${index + 1} of ${pointCount}.`
+    );
+    highlight([{ datasetIndex, index }]);
+  };
+
+  // Steps over gaps so left and right always land on a point with a value.
+  const step = (seriesIdx, from, direction) => {
+    const values = series[seriesIdx].dataset.data;
+    for (let index = from + direction; index >= 0 && index < pointCount; index += direction) {
+      if (Number.isFinite(values[index])) return index;
+    }
+    return from;
+  };
+
+  const handleKeyDown = (event) => {
+    if (!series.length || !pointCount) return;
+    const current = cursor
+      ? { series: Math.min(cursor.series, series.length - 1), index: Math.min(cursor.index, pointCount - 1) }
+      : null;
+    if (event.key === "Escape") {
+      setCursor(null);
+      setAnnouncement("");
+      highlight([]);
+      return;
+    }
+    let next;
+    if (!current) {
+      if (!event.key.startsWith("Arrow") && event.key !== "Home" && event.key !== "End") return;
+      next = { series: 0, index: event.key === "End" ? pointCount - 1 : 0 };
+    } else if (event.key === "ArrowRight") {
+      next = { ...current, index: step(current.series, current.index, 1) };
+    } else if (event.key === "ArrowLeft") {
+      next = { ...current, index: step(current.series, current.index, -1) };
+    } else if (event.key === "ArrowDown") {
+      next = { ...current, series: (current.series + 1) % series.length };
+    } else if (event.key === "ArrowUp") {
+      next = { ...current, series: (current.series - 1 + series.length) % series.length };
+    } else if (event.key === "Home") {
+      next = { ...current, index: 0 };
+    } else if (event.key === "End") {
+      next = { ...current, index: pointCount - 1 };
+    } else {
+      return;
+    }
+    event.preventDefault();
+    moveTo(next.series, next.index);
+  };
+
+  return (
+    <div
+      tabIndex={0}
+      role="group"
+      aria-roledescription="chart"
+      aria-label={`${label}. Use the left and right arrow keys to move between points, up and down to switch series, and Escape to clear.`}
+      onKeyDown={handleKeyDown}
+      onBlur={() => cursor && highlight([])}
+      className="relative h-full rounded-2xl focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+    >
+      <ChartComponent ref={chartRef} data={data} options={options} />
+      <p aria-live="polite" className="sr-only">
+        {announcement}
+      </p>
+    </div>
+  );
+}
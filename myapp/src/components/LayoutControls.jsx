@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { downloadBlob, slugify } from "../lib/exporters.js";
+import {
+  DEFAULT_LAYOUT,
+  deleteLayoutPreset,
+  getCardTitle,
+  layoutToJson,
+  loadLayoutPresets,
+  parseLayoutJson,
+  saveLayoutPreset,
+} from "../lib/layout.js";
+
+const smallButtonClass =
+  "rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-50";
+
+export default function LayoutControls({ layout, onChange, className }) {
+  const [presets, setPresets] = useState(() => loadLayoutPresets());
+  const [activePreset, setActivePreset] = useState("");
+  const [draftName, setDraftName] = useState("");
+  const [status, setStatus] = useState("");
+
+  const presetNames = Object.keys(presets).sort((a, b) => a.localeCompare(b));
+
+  const applyPreset = (name) => {
+    setActivePreset(name);
+    setStatus("");
+    if (presets[name]) onChange(presets[name]);
+  };
+
+  const submitPreset = (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (!name) return;
+    setPresets(saveLayoutPreset(name, layout));
+    setActivePreset(name);
+    setDraftName("");
+    setStatus(`Saved "${name}".`);
+  };
+
+  const removePreset = () => {
+    if (!activePreset || !window.confirm(`Delete the "${activePreset}" layout preset?`)) return;
+    setPresets(deleteLayoutPreset(activePreset));
+    setActivePreset("");
+    setStatus("");
+  };
+
+  const exportLayout = () => {
+    const name = activePreset || "Custom layout";
+    downloadBlob(
+      new Blob([layoutToJson(name, layout)], { type: "application/json" }),
+      `${slugify(name) || "layout"}.layout.json`
+    );
+  };
+
+  const importLayout = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const { name, layout: imported } = parseLayoutJson(await file.text());
+      onChange(imported);
+      if (name) {
+        setPresets(saveLayoutPreset(name, imported));
+        setActivePreset(name);
+      }
+      setStatus(name ? `Imported "${name}".` : "Imported layout.");
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  return (
+    <section className={className} data-report-exclude>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="space-y-2">
+          <h2 className="text-lg font-semibold text-slate-900">Layout</h2>
+          <p className="text-xs text-slate-500">
+            Drag cards by their handle to reorder them, resize or hide them, and keep named presets for
+            different audiences. Custom charts are saved with the layout.
+          </p>
+        </div>
+        <button type="button" onClick={() => onChange(DEFAULT_LAYOUT)} className={smallButtonClass}>
+          Reset layout
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          aria-label="Layout preset"
+          value={activePreset}
+          onChange={(event) => applyPreset(event.target.value)}
+          className="rounded-xl border border-slate-300/80 bg-white px-3 py-1.5 text-sm text-slate-700 focus:border-sky-400 focus:outline-none"
+        >
+          <option value="">{presetNames.length ? "Apply a preset…" : "No saved presets"}</option>
+          {presetNames.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={removePreset} disabled={!activePreset} className={smallButtonClass}>
+          Delete preset
+        </button>
+        <form onSubmit={submitPreset} className="flex gap-2">
+          <input
+            value={draftName}
+            onChange={(event) => setDraftName(event.target.value)}
+            placeholder="Preset name"
+            aria-label="Preset name"
+            className="w-40 rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-sm text-slate-700 focus:border-sky-400 focus:outline-none"
+          />
+          <button
+            type="submit"
+            disabled={!draftName.trim()}
+            className="rounded-xl border border-sky-200 bg-sky-50 px-3 py-1 text-xs font-medium text-sky-700 transition hover:bg-sky-100 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            Save preset
+          </button>
+        </form>
+        <button type="button" onClick={exportLayout} className={smallButtonClass}>
+          Export JSON
+        </button>
+        <label className={`${smallButtonClass} cursor-pointer`}>
+          <input type="file" accept=".json,application/json" className="hidden" onChange={importLayout} />
+          Import JSON
+        </label>
+      </div>
+
+      {layout.hidden.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+          <span>Hidden cards:</span>
+          {layout.hidden.map((id) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => onChange({ ...layout, hidden: layout.hidden.filter((item) => item !== id) })}
+              aria-label={`Show ${getCardTitle(id)}`}
+              className="rounded-full border border-slate-200 bg-slate-50 px-3 py-1 font-medium text-slate-600 transition hover:bg-white"
+            >
+              + {getCardTitle(id)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {status && <p className="text-xs text-slate-500">{status}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,27 @@
+import React from "react";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import { formatInteger } from "../lib/units.js";
+
+// Progress of the running load: reading the file, then checking it (mapping, validation, indexing).
+export default function ParseProgress({ progress, onCancel }) {
+  const { preferences } = useDisplaySettings();
+  return (
+    <div className="w-full space-y-2 rounded-xl border border-slate-200 bg-white/80 px-4 py-3" role="status">
+      <div className="flex items-center justify-between gap-2 text-xs text-slate-600">
+        <span className="truncate" title={progress.label}>
+          {progress.preparing ? "Checking" : "Loading"} {progress.label}
+        </span>
+        <button type="button" onClick={onCancel} className="font-medium text-red-600 hover:text-red-800">
+          Cancel
+        </button>
+      </div>
+      <div className="h-1.5 overflow-hidden rounded-full bg-slate-200">
+        <div
+          className="h-full rounded-full bg-sky-500 transition-all"
+          style={{ width: `${progress.total ? (progress.loaded / progress.total) * 100 : 0}%` }}
+        />
+      </div>
+      <p className="text-xs text-slate-500">{formatInteger(progress.rows, preferences)} rows read</p>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React from "react";
+import {
+  CO2_MODES,
+  DEFAULT_PREFERENCES,
+  LOCALES,
+  PALETTE_OPTIONS,
+  PRECISION_OPTIONS,
+  UNIT_SYSTEMS,
+  formatNumber,
+} from "../lib/units.js";
+
+const selectClass =
+  "w-full rounded-xl border border-slate-300/80 bg-white px-3 py-1.5 text-sm text-slate-700 focus:border-sky-400 focus:outline-none";
+
+const smallButtonClass =
+  "rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:bg-slate-50";
+
+export default function PreferencesPanel({ preferences, onChange, className }) {
+  const update = (patch) => onChange({ ...preferences, ...patch });
+
+  return (
+    <section className={className} data-report-exclude>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="space-y-2">
+          <h2 className="text-lg font-semibold text-slate-900">Display preferences</h2>
+          <p className="text-xs text-slate-500">
+            Units, number format and precision apply to highlights, charts, tooltips and exports. Stored values
+            are unchanged; national CO₂ totals are derived from per-capita emissions and population. The
+            colour-blind palette keeps compared series distinguishable under common colour-vision deficiencies.
+          </p>
+        </div>
+        <button type="button" onClick={() => onChange(DEFAULT_PREFERENCES)} className={smallButtonClass}>
+          Reset preferences
+        </button>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-5">
+        <label className="space-y-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <span>Units</span>
+          <select
+            value={preferences.unitSystem}
+            onChange={(event) => update({ unitSystem: event.target.value })}
+            className={selectClass}
+          >
+            {UNIT_SYSTEMS.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <span>CO₂ emissions</span>
+          <select
+            value={preferences.co2}
+            onChange={(event) => update({ co2: event.target.value })}
+            className={selectClass}
+          >
+            {CO2_MODES.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <span>Number format</span>
+          <select
+            value={preferences.locale}
+            onChange={(event) => update({ locale: event.target.value })}
+            className={selectClass}
+          >
+            {LOCALES.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <span>Decimal places</span>
+          <select
+            value={preferences.precision}
+            onChange={(event) => update({ precision: Number(event.target.value) })}
+            className={selectClass}
+          >
+            {PRECISION_OPTIONS.map((digits) => (
+              <option key={digits} value={digits}>
+                {digits} · {formatNumber(1234.5678, preferences, { digits })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <span>Series colours</span>
+          <select
+            value={preferences.palette}
+            onChange={(event) => update({ palette: event.target.value })}
+            className={selectClass}
+          >
+            {PALETTE_OPTIONS.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import { REFRESH_INTERVALS, loadRemoteSettings, resolveRemoteUrl } from "../lib/remoteDataset.js";
+import { formatDateTime } from "../lib/units.js";
+
+const smallButtonClass =
+  "rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:bg-slate-50";
+
+const describeStatus = (status, preferences) => {
+  if (!status || status.state === "checking") return "Checking for updates…";
+  if (status.state === "error") return `Last check failed at ${formatDateTime(status.checkedAt, preferences)}.`;
+  if (status.state === "unchanged") {
+    return `No changes since ${formatDateTime(status.updatedAt, preferences)} · checked ${formatDateTime(status.checkedAt, preferences)}`;
+  }
+  return `Updated ${formatDateTime(status.updatedAt, preferences)}`;
+};
+
+// Loads CSV or JSON from an HTTP endpoint, optionally re-checking it on an interval.
+export default function RemoteSourceForm({ source, status, interval, onLoad, onRefresh, onStop }) {
+  const { preferences } = useDisplaySettings();
+  const [draft, setDraft] = useState(() => loadRemoteSettings());
+  const [error, setError] = useState("");
+
+  const submit = (event) => {
+    event.preventDefault();
+    const url = resolveRemoteUrl(draft.url);
+    if (!url) {
+      setError("Enter an http(s) address or a path on this server.");
+      return;
+    }
+    setError("");
+    onLoad({ url, interval: draft.interval });
+  };
+
+  return (
+    <form onSubmit={submit} className="w-full space-y-2 rounded-xl border border-slate-200 bg-white/80 px-4 py-3">
+      <label className="block space-y-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+        <span>Load from URL</span>
+        <input
+          type="text"
+          inputMode="url"
+          value={draft.url}
+          onChange={(event) => setDraft((prev) => ({ ...prev, url: event.target.value }))}
+          placeholder="https://… or /api/environment.csv"
+          className="w-full rounded-lg border border-slate-300/80 bg-white px-2 py-1 text-sm font-normal normal-case tracking-normal text-slate-700 focus:border-sky-400 focus:outline-none"
+        />
+      </label>
+      <select
+        aria-label="Automatic refresh"
+        value={draft.interval}
+        onChange={(event) => setDraft((prev) => ({ ...prev, interval: Number(event.target.value) }))}
+        className="w-full rounded-lg border border-slate-300/80 bg-white px-2 py-1 text-xs text-slate-600 focus:border-sky-400 focus:outline-none"
+      >
+        {REFRESH_INTERVALS.map((item) => (
+          <option key={item.value} value={item.value}>
+            {item.label}
+          </option>
+        ))}
+      </select>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="submit"
+          disabled={!draft.url.trim()}
+          className="rounded-xl border border-sky-200 bg-sky-50 px-3 py-1 text-xs font-medium text-sky-700 transition hover:bg-sky-100 disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          Load
+        </button>
+        {source && (
+          <button type="button" onClick={onRefresh} className={smallButtonClass}>
+            Refresh now
+          </button>
+        )}
+        {source && interval > 0 && (
+          <button type="button" onClick={onStop} className={smallButtonClass}>
+            Stop refreshing
+          </button>
+        )}
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {source && (
+        <p role="status" className="text-xs text-slate-500" title={source.url}>
+          {describeStatus(status, preferences)}
+        </p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,45 @@
+import React from "react";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import { formatDateTime } from "../lib/units.js";
+
+export default function ReportSummary({ datasetName, uploadedAt, generatedAt, year, countries, rows, className }) {
+  const { preferences } = useDisplaySettings();
+  return (
+    <section className={className}>
+      <div className="space-y-1">
+        <h2 className="text-lg font-semibold text-slate-900">Data summary</h2>
+        <p className="text-xs text-slate-500">
+          Dataset: {datasetName}
+          {uploadedAt ? ` · uploaded ${formatDateTime(uploadedAt, preferences)}` : ""} · report generated{" "}
+          {formatDateTime(generatedAt, preferences)}
+        </p>
+      </div>
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="text-xs uppercase tracking-wide text-slate-500">
+            <th className="py-2 pr-4 font-semibold">Metric ({year ?? "--"})</th>
+            {countries.map((country) => (
+              <th key={country} className="py-2 pr-4 font-semibold">
+                {country}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.label} className="border-t border-slate-200/70">
+              <th scope="row" className="py-2 pr-4 font-medium text-slate-600">
+                {row.label}
+              </th>
+              {row.values.map((value, idx) => (
+                <td key={countries[idx]} className="py-2 pr-4 text-slate-900">
+                  {value}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
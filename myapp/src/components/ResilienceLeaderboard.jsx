@@ -0,0 +1,117 @@
+import React, { useMemo, useState } from "react";
+import useDisplaySettings from "../hooks/useDisplaySettings.js";
+import { formatNumber, getDisplayShortLabel } from "../lib/units.js";
+
+const formatScore = (value, method, preferences) => {
+  if (value === null || !Number.isFinite(value)) return "--";
+  if (method !== "zscore") return formatNumber(value, preferences);
+  return `${value > 0 ? "+" : ""}${formatNumber(value, preferences, { digits: 2 })}`;
+};
+
+export default function ResilienceLeaderboard({ index, method, year, colors, brushedCountries, onSelectCountry }) {
+  const { preferences } = useDisplaySettings();
+  const [sort, setSort] = useState({ key: "index", descending: true });
+
+  const ranked = useMemo(() => {
+    const byIndex = [...index.entries]
+      .filter((entry) => entry.index !== null)
+      .sort((a, b) => b.index - a.index)
+      .map((entry, idx) => ({ ...entry, rank: idx + 1 }))
+      .filter((entry) => !brushedCountries || brushedCountries.includes(entry.country));
+    const valueOf = (entry) => {
+      if (sort.key === "country") return entry.country;
+      if (sort.key === "index") return entry.index;
+      return entry.scores[sort.key];
+    };
+    return byIndex.sort((a, b) => {
+      const left = valueOf(a);
+      const right = valueOf(b);
+      if (left === null || left === undefined) return 1;
+      if (right === null || right === undefined) return -1;
+      const order = typeof left === "string" ? left.localeCompare(right) : left - right;
+      return sort.descending ? -order : order;
+    });
+  }, [index, sort, brushedCountries]);
+
+  const toggleSort = (key) =>
+    setSort((prev) => ({ key, descending: prev.key === key ? !prev.descending : key !== "country" }));
+
+  const sortIndicator = (key) => (sort.key === key ? (sort.descending ? " ▼" : " ▲") : "");
+
+  const ariaSort = (key) => {
+    if (sort.key !== key) return "none";
+    return sort.descending ? "descending" : "ascending";
+  };
+
+  const columns = [
+    { key: "country", label: "Country" },
+    { key: "index", label: "Index" },
+    ...index.metrics.map((metric) => ({
+      key: metric.key,
+      label: getDisplayShortLabel(metric.key, preferences),
+    })),
+  ];
+
+  return (
+    <>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">Resilience leaderboard</h2>
+        <p className="text-xs text-slate-500">
+          Countries ranked by the weighted resilience index for {year ?? "the focus year"}. Click a column to
+          sort and a country to focus it.
+          {brushedCountries ? " Showing the active selection; ranks are out of all countries." : ""}
+        </p>
+      </div>
+      {ranked.length ? (
+        <div className="max-h-[420px] flex-1 overflow-auto rounded-2xl border border-slate-200">
+          <table className="w-full text-left text-sm">
+            <thead className="sticky top-0 bg-white">
+              <tr className="text-xs uppercase tracking-wide text-slate-500">
+                <th className="px-3 py-2 font-semibold">#</th>
+                {columns.map((column) => (
+                  <th key={column.key} aria-sort={ariaSort(column.key)} className="px-3 py-2 font-semibold">
+                    <button type="button" onClick={() => toggleSort(column.key)} className="uppercase hover:text-slate-800">
+                      {column.label}
+                      {sortIndicator(column.key)}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ranked.map((entry) => (
+                <tr key={entry.country} className="border-t border-slate-100">
+                  <td className="px-3 py-2 text-slate-500">{entry.rank}</td>
+                  <th scope="row" className="px-3 py-2 font-medium text-slate-700">
+                    <button
+                      type="button"
+                      onClick={() => onSelectCountry(entry.country)}
+                      className="inline-flex items-center gap-2 hover:text-sky-700"
+                    >
+                      {colors[entry.country] && (
+                        <span
+                          className="h-2.5 w-2.5 rounded-full"
+                          style={{ backgroundColor: colors[entry.country] }}
+                          aria-hidden="true"
+                        />
+                      )}
+                      {entry.country}
+                    </button>
+                  </th>
+                  <td className="px-3 py-2 font-semibold text-slate-900">{formatScore(entry.index, method, preferences)}</td>
+                  {index.metrics.map((metric) => (
+                    <td key={metric.key} className="px-3 py-2 text-slate-600">
+                      {formatScore(entry.scores[metric.key], method, preferences)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">Give at least one metric a weight above 0 to rank countries.</p>
+      )}
+    </>
+  );
+}
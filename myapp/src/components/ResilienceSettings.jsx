@@ -0,0 +1,107 @@
+import React from "react";
+import { getMetric } from "../lib/metrics.js";
+import {
+  DEFAULT_RESILIENCE_CONFIG,
+  DIRECTIONS,
+  NORMALIZATION_METHODS,
+  getResilienceMetric,
+} from "../lib/resilience.js";
+
+const selectClass =
+  "rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-700 focus:border-sky-400 focus:outline-none";
+
+export default function ResilienceSettings({ config, availableKeys, onChange }) {
+  const updateMetric = (key, patch) => {
+    const next = { ...getResilienceMetric(config, key), ...patch };
+    const exists = config.metrics.some((metric) => metric.key === key);
+    onChange({
+      ...config,
+      metrics: exists
+        ? config.metrics.map((metric) => (metric.key === key ? next : metric))
+        : [...config.metrics, next],
+    });
+  };
+
+  return (
+    <details className="rounded-2xl border border-slate-200 bg-slate-50/60 px-4 py-3 text-sm" data-report-exclude>
+      <summary className="cursor-pointer text-xs font-semibold uppercase tracking-wide text-slate-500">
+        Index settings
+      </summary>
+      <div className="mt-3 space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <label className="flex items-center gap-2 text-xs text-slate-600">
+            Normalization
+            <select
+              value={config.method}
+              onChange={(event) => onChange({ ...config, method: event.target.value })}
+              className={selectClass}
+            >
+              {NORMALIZATION_METHODS.map((method) => (
+                <option key={method.value} value={method.value}>
+                  {method.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={() => onChange(DEFAULT_RESILIENCE_CONFIG)}
+            className="text-xs font-medium text-sky-700 hover:text-sky-900"
+          >
+            Restore defaults
+          </button>
+        </div>
+        <table className="w-full text-left text-xs">
+          <thead>
+            <tr className="uppercase tracking-wide text-slate-500">
+              <th className="py-1 pr-2 font-semibold">Metric</th>
+              <th className="py-1 pr-2 font-semibold">Direction</th>
+              <th className="py-1 font-semibold">Weight</th>
+            </tr>
+          </thead>
+          <tbody>
+            {availableKeys
+              .map((key) => getResilienceMetric(config, key))
+              .map((metric) => {
+                const label = getMetric(metric.key)?.label ?? metric.key;
+                return (
+                  <tr key={metric.key} className="border-t border-slate-200/70">
+                    <td className="py-1.5 pr-2 text-slate-700">{label}</td>
+                    <td className="py-1.5 pr-2">
+                      <select
+                        aria-label={`${label} direction`}
+                        value={metric.direction}
+                        onChange={(event) => updateMetric(metric.key, { direction: event.target.value })}
+                        className={selectClass}
+                      >
+                        {DIRECTIONS.map((direction) => (
+                          <option key={direction.value} value={direction.value}>
+                            {direction.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-1.5">
+                      <input
+                        type="number"
+                        min={0}
+                        max={10}
+                        step={0.5}
+                        aria-label={`${label} weight`}
+                        value={metric.weight}
+                        onChange={(event) =>
+                          updateMetric(metric.key, { weight: Math.max(0, Number(event.target.value) || 0) })
+                        }
+                        className="w-16 rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-700 focus:border-sky-400 focus:outline-none"
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+          </tbody>
+        </table>
+        <p className="text-xs text-slate-500">Metrics with a weight of 0 are left out of the radar and the index.</p>
+      </div>
+    </details>
+  );
+}
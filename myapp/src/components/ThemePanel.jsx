@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { downloadBlob, slugify } from "../lib/exporters.js";
+import { THEME_MODES, parseThemeJson, themeToJson } from "../lib/theme.js";
+
+const smallButtonClass =
+  "rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-50";
+
+export default function ThemePanel({ settings, theme, systemDark, onChange, className }) {
+  const [draft, setDraft] = useState(settings.customJson);
+  const [status, setStatus] = useState("");
+
+  const modeLabel = (item) =>
+    item.value === "system" ? `${item.label} (${systemDark ? "dark" : "light"})` : item.label;
+
+  const applyCustom = (text) => {
+    try {
+      const parsed = parseThemeJson(text);
+      onChange({ mode: "custom", customJson: text });
+      setStatus(`Applied "${parsed.name}".`);
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  const importTheme = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    const text = await file.text();
+    setDraft(text);
+    applyCustom(text);
+  };
+
+  const exportTheme = () => {
+    downloadBlob(
+      new Blob([themeToJson(theme)], { type: "application/json" }),
+      `${slugify(theme.name) || "theme"}.theme.json`
+    );
+  };
+
+  return (
+    <section className={className} data-report-exclude>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">Theme</h2>
+        <p className="text-xs text-slate-500">
+          One theme colours the cards, the Chart.js and Plotly charts and exported reports. A custom theme is
+          JSON layered over a built-in base; export the current theme for a template with every key.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          aria-label="Theme"
+          value={settings.mode}
+          onChange={(event) => {
+            setStatus("");
+            onChange({ ...settings, mode: event.target.value });
+          }}
+          className="rounded-xl border border-slate-300/80 bg-white px-3 py-1.5 text-sm text-slate-700 focus:border-sky-400 focus:outline-none"
+        >
+          {THEME_MODES.map((item) => (
+            <option key={item.value} value={item.value}>
+              {modeLabel(item)}
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={exportTheme} className={smallButtonClass}>
+          Export JSON
+        </button>
+        <label className={`${smallButtonClass} cursor-pointer`}>
+          <input type="file" accept=".json,application/json" className="hidden" onChange={importTheme} />
+          Import JSON
+        </label>
+      </div>
+
+      {settings.mode === "custom" && (
+        <div className="space-y-2">
+          <textarea
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            rows={6}
+            spellCheck={false}
+            aria-label="Custom theme JSON"
+            placeholder={'{ "name": "Brand", "base": "light", "series": { "primary": "#7c3aed" } }'}
+            className="w-full rounded-xl border border-slate-300/80 bg-white px-3 py-2 font-mono text-xs text-slate-700 focus:border-sky-400 focus:outline-none"
+          />
+          <button
+            type="button"
+            onClick={() => applyCustom(draft)}
+            disabled={!draft.trim()}
+            className="rounded-xl border border-sky-200 bg-sky-50 px-3 py-1 text-xs font-medium text-sky-700 transition hover:bg-sky-100 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            Apply custom theme
+          </button>
+        </div>
+      )}
+
+      {status && <p className="text-xs text-slate-500">{status}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useMemo } from "react";
+import { groupIssuesByRow } from "../lib/validation.js";
+
+const severityClass = {
+  error: "text-red-600",
+  warning: "text-amber-600",
+};
+
+export default function ValidationPanel({ rows, issues, excludedRows, onToggleRow, onExcludeAll, onKeepAll }) {
+  const issuesByRow = useMemo(() => groupIssuesByRow(issues), [issues]);
+  const fileIssues = issues.filter((issue) => issue.rowIndex === null);
+  const flaggedIndexes = Array.from(issuesByRow.keys()).sort((a, b) => a - b);
+
+  return (
+    <div className="rounded-2xl border border-amber-200 bg-white/90 p-4 text-sm text-slate-700 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-xs text-slate-500">
+          {flaggedIndexes.length} flagged rows · {excludedRows.size} excluded from charts
+        </p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onExcludeAll}
+            className="rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-700 shadow-sm transition hover:bg-slate-50"
+          >
+            Exclude rows with errors
+          </button>
+          <button
+            type="button"
+            onClick={onKeepAll}
+            className="rounded-xl border border-slate-300/80 bg-white px-3 py-1 text-xs font-medium text-slate-700 shadow-sm transition hover:bg-slate-50"
+          >
+            Keep all
+          </button>
+        </div>
+      </div>
+
+      {fileIssues.length > 0 && (
+        <ul className="mt-3 space-y-1 text-xs text-amber-600">
+          {fileIssues.map((issue, idx) => (
+            <li key={idx}>{issue.message}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-3 max-h-72 overflow-y-auto rounded-xl border border-slate-200">
+        <table className="w-full text-left text-xs">
+          <thead className="sticky top-0 bg-slate-50 uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-3 py-2 font-semibold">Row</th>
+              <th className="px-3 py-2 font-semibold">Country · Year</th>
+              <th className="px-3 py-2 font-semibold">Issues</th>
+              <th className="px-3 py-2 font-semibold">Exclude</th>
+            </tr>
+          </thead>
+          <tbody>
+            {flaggedIndexes.map((rowIndex) => {
+              const row = rows[rowIndex];
+              return (
+                <tr key={rowIndex} className="border-t border-slate-100 align-top">
+                  {/* +2 accounts for the header line and 1-based numbering in the source file. */}
+                  <td className="px-3 py-2 font-mono text-slate-500">{rowIndex + 2}</td>
+                  <td className="px-3 py-2">
+                    {row?.Country || "—"} · {Number.isFinite(row?.Year) ? row.Year : "—"}
+                  </td>
+                  <td className="px-3 py-2">
+                    <ul className="space-y-0.5">
+                      {issuesByRow.get(rowIndex).map((issue, idx) => (
+                        <li key={idx} className={severityClass[issue.severity]}>
+                          {issue.column && <span className="font-mono text-slate-400">{issue.column}: </span>}
+                          {issue.message}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="checkbox"
+                      aria-label={`Exclude row ${rowIndex + 2}`}
+                      checked={excludedRows.has(rowIndex)}
+                      onChange={() => onToggleRow(rowIndex)}
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React from "react";
+
+export default function YearRangeSlider({ years, value, onChange }) {
+  if (years.length < 2) return null;
+
+  const lastIndex = years.length - 1;
+  const startIndex = Math.max(0, years.indexOf(value[0]));
+  const endIndex = years.indexOf(value[1]) === -1 ? lastIndex : years.indexOf(value[1]);
+  const toPercent = (index) => (index / lastIndex) * 100;
+  // The end input is stacked on top. With both thumbs on the last year only the start thumb can move, so
+  // it is raised above the end input there.
+  const startLayer = startIndex === lastIndex ? "z-20" : "z-10";
+
+  const handleStart = (event) => {
+    const index = Math.min(Number(event.target.value), endIndex);
+    onChange([years[index], years[endIndex]]);
+  };
+
+  const handleEnd = (event) => {
+    const index = Math.max(Number(event.target.value), startIndex);
+    onChange([years[startIndex], years[index]]);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="relative h-6">
+        <div className="absolute inset-x-0 top-1/2 h-1.5 -translate-y-1/2 rounded-full bg-slate-200" />
+        <div
+          className="absolute top-1/2 h-1.5 -translate-y-1/2 rounded-full bg-sky-400"
+          style={{ left: `${toPercent(startIndex)}%`, right: `${100 - toPercent(endIndex)}%` }}
+        />
+        <input
+          type="range"
+          min={0}
+          max={lastIndex}
+          step={1}
+          value={startIndex}
+          onChange={handleStart}
+          aria-label="Range start year"
+          aria-valuetext={String(years[startIndex])}
+          className={`dual-range absolute inset-0 h-6 w-full ${startLayer}`}
+        />
+        <input
+          type="range"
+          min={0}
+          max={lastIndex}
+          step={1}
+          value={endIndex}
+          onChange={handleEnd}
+          aria-label="Range end year"
+          aria-valuetext={String(years[endIndex])}
+          className="dual-range absolute inset-0 z-10 h-6 w-full"
+        />
+      </div>
+      <div className="flex justify-between text-xs font-medium text-slate-500">
+        <span>{years[startIndex]}</span>
+        <span>{years[endIndex]}</span>
+      </div>
+    </div>
+  );
+}
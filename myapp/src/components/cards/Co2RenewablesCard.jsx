@@ -0,0 +1,102 @@
+import React from "react";
+import Plot from "react-plotly.js";
+import useDisplaySettings from "../../hooks/useDisplaySettings.js";
+import { brushedIndices, countriesFromPoints, pointCountry } from "../../lib/crossFilter.js";
+import { columnHeader } from "../../lib/exporters.js";
+import { axisBase, colorScale, hoverLabelTheme, plotConfig, plotFont, titleFont } from "../../lib/plotTheme.js";
+import { getDisplayShortLabel, plotSeparators, plotValueFormat, unitSuffix } from "../../lib/units.js";
+
+// Lasso- or box-selecting bubbles reports the picked countries through onBrush; an empty pick clears it.
+export default function Co2RenewablesCard({
+  rows,
+  brush,
+  year,
+  playbackAxes,
+  onSelectCountry,
+  onBrush,
+}) {
+  const { theme, preferences } = useDisplaySettings();
+  const co2Key = "CO2_Emissions_tons_per_capita";
+  const co2Label = getDisplayShortLabel(co2Key, preferences);
+  const valueFormat = plotValueFormat(preferences);
+  return (
+    <>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">CO₂ vs renewables</h2>
+        <p className="text-xs text-slate-500">
+          Bubble size scales with population to reveal mitigation challenges. Click a bubble to focus
+          it, or lasso- and box-select bubbles to filter the other cards.
+        </p>
+      </div>
+      <div className="flex-1 min-h-[340px]">
+        <Plot
+          data={[
+            {
+              type: "scatter",
+              mode: "markers",
+              x: rows.map((row) => row.CO2_Emissions_tons_per_capita),
+              y: rows.map((row) => row.Renewable_Energy_pct),
+              ids: rows.map((row) => row.Country),
+              text: rows.map((row) => row.Country),
+              customdata: rows.map((row) => [row.Country, row.Population]),
+              selectedpoints: brushedIndices(rows, brush),
+              selected: { marker: { opacity: 0.95 } },
+              unselected: { marker: { opacity: 0.2 } },
+              hovertemplate: [
+                "<b>%{text}</b>",
+                `${co2Label}: %{x:${valueFormat}}${unitSuffix(co2Key, preferences)}`,
+                `Renewables: %{y:${valueFormat}}%`,
+                "Population: %{customdata[1]:,}<extra></extra>",
+              ].join("<br>"),
+              marker: {
+                size: rows.map((row) => Math.max(10, Math.sqrt(Math.max(row.Population, 0)) / 520)),
+                sizemode: "area",
+                color: rows.map((row) => row.Renewable_Energy_pct),
+                colorscale: colorScale(theme, "sequential"),
+                opacity: 0.8,
+                line: { width: 1, color: theme.chart.markerOutline },
+                showscale: true,
+                colorbar: {
+                  title: { text: "Renewables %", font: titleFont(theme, 12) },
+                  tickfont: { color: theme.chart.mutedText },
+                  outlinecolor: theme.chart.axisLine,
+                  len: 0.8,
+                  thickness: 14,
+                },
+              },
+              name: `${year ?? ""} snapshot`,
+            },
+          ]}
+          layout={{
+            font: plotFont(theme),
+            separators: plotSeparators(preferences),
+            hoverlabel: hoverLabelTheme(theme),
+            autosize: true,
+            margin: { l: 70, r: 80, t: 30, b: 70 },
+            transition: playbackAxes?.transition,
+            xaxis: {
+              ...axisBase(theme),
+              title: { text: columnHeader(co2Key, preferences), font: titleFont(theme) },
+              ...(playbackAxes ? { range: playbackAxes.co2, autorange: false } : {}),
+            },
+            yaxis: {
+              ...axisBase(theme),
+              title: { text: "Renewable energy (%)", font: titleFont(theme) },
+              range: [0, 100],
+            },
+            paper_bgcolor: "rgba(0,0,0,0)",
+            plot_bgcolor: "rgba(0,0,0,0)",
+            hovermode: "closest",
+            dragmode: "lasso",
+          }}
+          style={{ width: "100%", height: "100%" }}
+          useResizeHandler
+          config={plotConfig}
+          onClick={(event) => onSelectCountry(pointCountry(event.points?.[0]))}
+          onSelected={(event) => onBrush(countriesFromPoints(event?.points))}
+          onDeselect={() => onBrush([])}
+        />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,36 @@
+import React from "react";
+import { Doughnut } from "react-chartjs-2";
+import KeyboardChart from "../KeyboardChart.jsx";
+import useDisplaySettings from "../../hooks/useDisplaySettings.js";
+import { themedChartOptions } from "../../lib/chartTheme.js";
+
+export default function EnergyMixCard({ data }) {
+  const { theme, preferences } = useDisplaySettings();
+  const options = themedChartOptions(
+    {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          position: "bottom",
+          labels: { color: theme.chart.mutedText, usePointStyle: true, padding: 18 },
+        },
+      },
+    },
+    { theme, preferences }
+  );
+
+  return (
+    <>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">Energy mix</h2>
+        <p className="text-xs text-slate-500">
+          Renewable share of total energy production for the focus year.
+        </p>
+      </div>
+      <div className="flex-1 min-h-[300px]">
+        <KeyboardChart component={Doughnut} label="Energy mix" data={data} options={options} />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,69 @@
+import React from "react";
+import Plot from "react-plotly.js";
+import useDisplaySettings from "../../hooks/useDisplaySettings.js";
+import { pointCountry } from "../../lib/crossFilter.js";
+import { axisBase, hoverLabelTheme, plotConfig, plotFont, titleFont } from "../../lib/plotTheme.js";
+import { plotSeparators } from "../../lib/units.js";
+
+export default function PopulationCard({ rows, brushed, playbackAxes, onSelectCountry }) {
+  const { theme, preferences } = useDisplaySettings();
+  return (
+    <>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">
+          Population exposed to climate risk
+        </h2>
+        <p className="text-xs text-slate-500">
+          Top countries by population in the selected year{brushed ? ", within the active selection" : ""}{" "}
+          (hover for exact values, click a bar to focus it).
+        </p>
+      </div>
+      <div className="flex-1 min-h-[340px]">
+        <Plot
+          data={[
+            {
+              type: "bar",
+              x: rows.map((row) => row.Country),
+              y: rows.map((row) => row.Population),
+              customdata: rows.map((row) => row.Country),
+              marker: {
+                color: rows.map((row, idx) => (idx === 0 ? theme.series.accent : theme.series.accentSoft)),
+                line: { width: 1, color: theme.series.accentStrong },
+              },
+              hovertemplate: "<b>%{x}</b><br>Population: %{y:,}<extra></extra>",
+              name: "Population",
+            },
+          ]}
+          layout={{
+            font: plotFont(theme),
+            separators: plotSeparators(preferences),
+            hoverlabel: hoverLabelTheme(theme),
+            autosize: true,
+            margin: { l: 70, r: 20, t: 30, b: 70 },
+            transition: playbackAxes?.transition,
+            xaxis: {
+              ...axisBase(theme),
+              title: { text: "Country", font: titleFont(theme) },
+              tickangle: -20,
+            },
+            yaxis: {
+              ...axisBase(theme),
+              title: { text: "Population", font: titleFont(theme) },
+              tickformat: ",",
+              rangemode: "tozero",
+              ...(playbackAxes ? { range: playbackAxes.population, autorange: false } : {}),
+            },
+            paper_bgcolor: "rgba(0,0,0,0)",
+            plot_bgcolor: "rgba(0,0,0,0)",
+            bargap: 0.35,
+            hovermode: "x",
+          }}
+          style={{ width: "100%", height: "100%" }}
+          useResizeHandler
+          config={plotConfig}
+          onClick={(event) => onSelectCountry(pointCountry(event.points?.[0]))}
+        />
+      </div>
+    </>
+  );
+}
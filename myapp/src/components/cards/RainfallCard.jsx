@@ -0,0 +1,53 @@
+import React from "react";
+import { Bar } from "react-chartjs-2";
+import KeyboardChart from "../KeyboardChart.jsx";
+import useDisplaySettings from "../../hooks/useDisplaySettings.js";
+import { themedChartOptions } from "../../lib/chartTheme.js";
+import { getDisplayUnit } from "../../lib/units.js";
+
+export default function RainfallCard({ data, onChartClick }) {
+  const { theme, preferences } = useDisplaySettings();
+  const unit = getDisplayUnit("Rainfall_mm", preferences);
+  const options = themedChartOptions(
+    {
+      responsive: true,
+      maintainAspectRatio: false,
+      onClick: onChartClick,
+      plugins: {
+        legend: {
+          display: true,
+          position: "top",
+          labels: { color: theme.chart.mutedText, usePointStyle: true },
+        },
+      },
+      scales: {
+        x: {
+          title: { display: true, text: "Year", color: theme.chart.text },
+          ticks: { color: theme.chart.mutedText },
+          grid: { color: theme.chart.grid },
+        },
+        y: {
+          title: { display: true, text: unit, color: theme.chart.text },
+          beginAtZero: true,
+          ticks: { color: theme.chart.mutedText },
+          grid: { color: theme.chart.grid },
+        },
+      },
+    },
+    { theme, preferences }
+  );
+
+  return (
+    <>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">Annual rainfall</h2>
+        <p className="text-xs text-slate-500">
+          Precipitation levels ({unit}) help contextualize drought and flood risks.
+        </p>
+      </div>
+      <div className="flex-1 min-h-[300px]">
+        <KeyboardChart component={Bar} label="Annual rainfall" data={data} options={options} />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,49 @@
+import React from "react";
+import { Radar } from "react-chartjs-2";
+import KeyboardChart from "../KeyboardChart.jsx";
+import ResilienceSettings from "../ResilienceSettings.jsx";
+import useDisplaySettings from "../../hooks/useDisplaySettings.js";
+import { themedChartOptions } from "../../lib/chartTheme.js";
+
+export default function ResilienceCard({ data, config, availableKeys, onConfigChange, onChartClick }) {
+  const { theme, preferences } = useDisplaySettings();
+  const range = config.method === "zscore" ? { suggestedMin: -2, suggestedMax: 2 } : { min: 0, max: 100 };
+  const options = themedChartOptions(
+    {
+      responsive: true,
+      maintainAspectRatio: false,
+      onClick: onChartClick,
+      scales: {
+        r: {
+          ...range,
+          ticks: { display: true, maxTicksLimit: 6 },
+          grid: { color: theme.chart.grid },
+        },
+      },
+      plugins: {
+        legend: {
+          display: true,
+          position: "top",
+          labels: { color: theme.chart.mutedText, usePointStyle: true },
+        },
+      },
+    },
+    { theme, preferences }
+  );
+
+  return (
+    <>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">Resilience profile</h2>
+        <p className="text-xs text-slate-500">
+          Normalized scores across all countries for the selected year, oriented so that further out is
+          more resilient.
+        </p>
+      </div>
+      <div className="flex-1 min-h-[300px]">
+        <KeyboardChart component={Radar} label="Resilience profile" data={data} options={options} />
+      </div>
+      <ResilienceSettings config={config} availableKeys={availableKeys} onChange={onConfigChange} />
+    </>
+  );
+}
@@ -0,0 +1,123 @@
+import React from "react";
+import Plot from "react-plotly.js";
+import useDisplaySettings from "../../hooks/useDisplaySettings.js";
+import { withAlpha } from "../../lib/colors.js";
+import { columnHeader } from "../../lib/exporters.js";
+import { axisBase, hoverLabelTheme, plotConfig, plotFont, titleFont } from "../../lib/plotTheme.js";
+import { plotSeparators, plotValueFormat, unitSuffix } from "../../lib/units.js";
+
+export default function SeaLevelCard({ series, groupSeries, overlay }) {
+  const { theme, preferences } = useDisplaySettings();
+  const valueFormat = plotValueFormat(preferences);
+  const suffix = unitSuffix("Sea_Level_Rise_mm", preferences);
+  const hoverFor = (name) => `${name} %{x}: %{y:${valueFormat}}${suffix}<extra></extra>`;
+  return (
+    <>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">Global sea-level rise</h2>
+        <p className="text-xs text-slate-500">
+          Averaged from all countries to highlight the global sea-level trajectory. Selected groups are
+          plotted alongside.
+        </p>
+      </div>
+      <div className="flex-1 min-h-[340px]">
+        <Plot
+          data={[
+            {
+              type: "scatter",
+              mode: "lines+markers",
+              x: series.map((point) => point.year),
+              y: series.map((point) => point.value),
+              fill: "tozeroy",
+              fillcolor: withAlpha(theme.series.secondary, 0.25),
+              line: { color: theme.series.secondary, width: 3 },
+              marker: { color: theme.series.secondaryStrong, size: 8 },
+              hovertemplate: hoverFor("Year"),
+              name: "Sea level",
+            },
+            ...groupSeries.map((group) => ({
+              type: "scatter",
+              mode: "lines+markers",
+              x: group.points.map((row) => row.Year),
+              y: group.points.map((row) => row.Sea_Level_Rise_mm),
+              line: { color: group.color, width: 2 },
+              marker: { color: group.color, size: 6 },
+              hovertemplate: hoverFor(group.name),
+              name: group.name,
+            })),
+            ...(overlay.fitted.length
+              ? [
+                  {
+                    type: "scatter",
+                    mode: "lines",
+                    x: overlay.fitted.map((point) => point.x),
+                    y: overlay.fitted.map((point) => point.y),
+                    line: { color: theme.series.secondaryDeep, width: 2, dash: "dash" },
+                    hovertemplate: hoverFor("Trend"),
+                    name: "Trend",
+                  },
+                ]
+              : []),
+            ...(overlay.forecast.length
+              ? [
+                  {
+                    type: "scatter",
+                    mode: "lines",
+                    x: overlay.forecast.map((point) => point.x),
+                    y: overlay.forecast.map((point) => point.upper),
+                    line: { width: 0 },
+                    hoverinfo: "skip",
+                    showlegend: false,
+                    name: "95% upper",
+                  },
+                  {
+                    type: "scatter",
+                    mode: "lines",
+                    x: overlay.forecast.map((point) => point.x),
+                    y: overlay.forecast.map((point) => point.lower),
+                    line: { width: 0 },
+                    fill: "tonexty",
+                    fillcolor: withAlpha(theme.series.secondaryDeep, 0.15),
+                    hoverinfo: "skip",
+                    name: "95% band",
+                  },
+                  {
+                    type: "scatter",
+                    mode: "lines",
+                    x: overlay.forecast.map((point) => point.x),
+                    y: overlay.forecast.map((point) => point.y),
+                    line: { color: theme.series.secondaryDeep, width: 2, dash: "dot" },
+                    hovertemplate: hoverFor("Forecast"),
+                    name: "Forecast",
+                  },
+                ]
+              : []),
+          ]}
+          layout={{
+            font: plotFont(theme),
+            separators: plotSeparators(preferences),
+            hoverlabel: hoverLabelTheme(theme),
+            autosize: true,
+            margin: { l: 60, r: 20, t: 30, b: 60 },
+            xaxis: {
+              ...axisBase(theme),
+              title: { text: "Year", font: titleFont(theme) },
+            },
+            yaxis: {
+              ...axisBase(theme),
+              title: { text: columnHeader("Sea_Level_Rise_mm", preferences), font: titleFont(theme) },
+            },
+            paper_bgcolor: "rgba(0,0,0,0)",
+            plot_bgcolor: "rgba(0,0,0,0)",
+            hovermode: "x unified",
+            showlegend: groupSeries.length > 0 || overlay.fitted.length > 0 || overlay.forecast.length > 0,
+            legend: { orientation: "h", y: -0.2 },
+          }}
+          style={{ width: "100%", height: "100%" }}
+          useResizeHandler
+          config={plotConfig}
+        />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { Line } from "react-chartjs-2";
+import KeyboardChart from "../KeyboardChart.jsx";
+import useDisplaySettings from "../../hooks/useDisplaySettings.js";
+import { themedChartOptions } from "../../lib/chartTheme.js";
+import { getDisplayUnit } from "../../lib/units.js";
+
+export default function TemperatureCard({ data, onChartClick }) {
+  const { theme, preferences } = useDisplaySettings();
+  const unit = getDisplayUnit("Avg_Temperature_degC", preferences);
+  const options = themedChartOptions(
+    {
+      responsive: true,
+      maintainAspectRatio: false,
+      onClick: onChartClick,
+      plugins: {
+        legend: {
+          display: true,
+          position: "top",
+          labels: {
+            color: theme.chart.mutedText,
+            usePointStyle: true,
+            filter: (item, chartData) => !chartData.datasets[item.datasetIndex]?.isBand,
+          },
+        },
+      },
+      scales: {
+        x: {
+          title: { display: true, text: "Year", color: theme.chart.text },
+          ticks: { color: theme.chart.mutedText },
+          grid: { color: theme.chart.grid },
+        },
+        y: {
+          title: { display: true, text: unit, color: theme.chart.text },
+          ticks: { color: theme.chart.mutedText },
+          grid: { color: theme.chart.grid },
+        },
+      },
+    },
+    { theme, preferences }
+  );
+
+  return (
+    <>
+      <div className="space-y-2">
+        <h2 className="text-lg font-semibold text-slate-900">Temperature trend</h2>
+        <p className="text-xs text-slate-500">
+          Long-term change in average surface temperature for the selected country.
+        </p>
+      </div>
+      <div className="flex-1 min-h-[300px]">
+        <KeyboardChart component={Line} label="Temperature trend" data={data} options={options} />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,112 @@
+import React from "react";
+import Plot from "react-plotly.js";
+import worldTopojsonUrl from "plotly.js/dist/topojson/world_110m.json?url";
+import useDisplaySettings from "../../hooks/useDisplaySettings.js";
+import { pointCountry } from "../../lib/crossFilter.js";
+import { columnHeader } from "../../lib/exporters.js";
+import { colorScale, hoverLabelTheme, plotConfig, plotFont, titleFont } from "../../lib/plotTheme.js";
+import { plotSeparators, plotValueFormat } from "../../lib/units.js";
+
+// Plotly fetches map outlines from `${topojsonURL}world_110m.json`, its CDN by default. Pointing this plot's
+// topojsonURL at the bundled file with a trailing "#" turns the appended name into a fragment, so the map
+// never reaches the CDN and nothing is seeded into the PlotlyGeoAssets global the host page shares.
+const mapConfig = { ...plotConfig, topojsonURL: `${worldTopojsonUrl}#` };
+
+export default function WorldMapCard({
+  choropleth,
+  metric,
+  metrics,
+  year,
+  brush,
+  selectedCountries,
+  onMetricChange,
+  onSelectCountry,
+}) {
+  const { theme, preferences } = useDisplaySettings();
+  const metricHeader = columnHeader(metric, preferences);
+  const valueFormat = plotValueFormat(preferences);
+  return (
+    <>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="space-y-2">
+          <h2 className="text-lg font-semibold text-slate-900">World map</h2>
+          <p className="text-xs text-slate-500">
+            Countries coloured by the chosen metric for {year ?? "the focus year"}. Click a
+            country to focus it{brush ? "; countries outside the active selection are faded" : ""}.
+          </p>
+        </div>
+        <select
+          aria-label="Map metric"
+          value={metric}
+          onChange={(event) => onMetricChange(event.target.value)}
+          className="rounded-2xl border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 shadow-inner focus:border-sky-400 focus:outline-none"
+        >
+          {metrics.map((header) => (
+            <option key={header} value={header}>
+              {columnHeader(header, preferences)}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex-1 min-h-[420px]">
+        <Plot
+          data={[
+            {
+              type: "choropleth",
+              locationmode: "ISO-3",
+              locations: choropleth.rows.map((row) => choropleth.codes.get(row.Country)),
+              z: choropleth.rows.map((row) => row[metric]),
+              text: choropleth.rows.map((row) => row.Country),
+              customdata: choropleth.rows.map((row) => row.Country),
+              hovertemplate: `<b>%{text}</b><br>${metricHeader}: %{z:${valueFormat}}<extra></extra>`,
+              colorscale: colorScale(theme, "sequential"),
+              marker: {
+                opacity: brush ? choropleth.rows.map((row) => (brush.countries.includes(row.Country) ? 1 : 0.25)) : 1,
+                line: {
+                  color: choropleth.rows.map((row) =>
+                    selectedCountries.includes(row.Country) ? theme.series.accent : theme.chart.outline
+                  ),
+                  width: choropleth.rows.map((row) => (selectedCountries.includes(row.Country) ? 2 : 0.5)),
+                },
+              },
+              colorbar: {
+                title: { text: metricHeader, font: titleFont(theme, 12) },
+                tickfont: { color: theme.chart.mutedText },
+                outlinecolor: theme.chart.axisLine,
+                len: 0.8,
+                thickness: 14,
+              },
+            },
+          ]}
+          layout={{
+            font: plotFont(theme),
+            separators: plotSeparators(preferences),
+            hoverlabel: hoverLabelTheme(theme),
+            autosize: true,
+            margin: { l: 10, r: 10, t: 10, b: 10 },
+            geo: {
+              projection: { type: "natural earth" },
+              showframe: false,
+              showcoastlines: false,
+              showland: true,
+              landcolor: theme.chart.land,
+              showcountries: true,
+              countrycolor: theme.chart.axisLine,
+              bgcolor: "rgba(0,0,0,0)",
+            },
+            paper_bgcolor: "rgba(0,0,0,0)",
+          }}
+          style={{ width: "100%", height: "100%" }}
+          useResizeHandler
+          config={mapConfig}
+          onClick={(event) => onSelectCountry(pointCountry(event.points?.[0]))}
+        />
+      </div>
+      {choropleth.unmatched.length > 0 && (
+        <p className="text-xs text-amber-600">
+          Not shown on the map (no ISO code match): {choropleth.unmatched.join(", ")}
+        </p>
+      )}
+    </>
+  );
+}
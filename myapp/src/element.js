@@ -0,0 +1,7 @@
+// Custom-element entry: registers <env-dashboard> on import, with React bundled in.
+import { defineEnvDashboard } from "./EnvDashboardElement.jsx";
+
+export { EnvDashboardElement, defineEnvDashboard } from "./EnvDashboardElement.jsx";
+export { DASHBOARD_CARDS } from "./lib/layout.js";
+
+defineEnvDashboard();
@@ -0,0 +1,552 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  autoMatchColumns,
+  getHeaderSignature,
+  loadSavedMapping,
+  saveMapping,
+} from "../lib/columnMapping.js";
+import { isParseCancelled } from "../lib/csvParser.js";
+import {
+  deleteDataset,
+  isLibraryAvailable,
+  listDatasets,
+  loadDatasetText,
+  saveDataset,
+  updateDataset,
+} from "../lib/datasetLibrary.js";
+import { loadCourseFormulas, saveCourseFormulas } from "../lib/formulas.js";
+import { CSV_LOADER, DATASET_LOADERS, findLoader, memoryTable, tableToCsv } from "../lib/loaders.js";
+import { METRICS } from "../lib/metrics.js";
+import { fetchRemoteDataset, saveRemoteSettings } from "../lib/remoteDataset.js";
+import { detectTableLayout, mergeLongTables, renameIdentityColumns, wideToLong } from "../lib/reshape.js";
+import { COURSE_DATASET_PARAM } from "../lib/urlState.js";
+import { parseErrorsToIssues } from "../lib/validation.js";
+
+// Everything about getting a dataset on screen: the default `data` / `src`, uploads, the local library,
+// polled remote sources, the import and column-mapping dialogs, and parse progress. `onDatasetLoaded` is
+// called with the countries and years of each dataset that replaces the current one, so the caller can
+// carry its selection over. `duplicateStrategy` is the one the worker reconciles new datasets with.
+export default function useDatasetLoader({
+  data,
+  src,
+  refreshInterval,
+  datasetLabel,
+  initialDataset,
+  duplicateStrategy,
+  onDatasetLoaded,
+}) {
+  const [datasetRows, setDatasetRows] = useState([]);
+  const [prepared, setPrepared] = useState(null);
+  const [validationIssues, setValidationIssues] = useState([]);
+  const [excludedRows, setExcludedRows] = useState(() => new Set());
+  const [baseHeaders, setBaseHeaders] = useState([]);
+  const [derivedColumns, setDerivedColumns] = useState([]);
+  const [csvSource, setCsvSource] = useState(datasetLabel);
+  const [parseError, setParseError] = useState("");
+  const [parseProgress, setParseProgress] = useState(null);
+  const [pendingMapping, setPendingMapping] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [savedDatasets, setSavedDatasets] = useState([]);
+  const [activeDatasetId, setActiveDatasetId] = useState(null);
+  const [remoteSource, setRemoteSource] = useState(null);
+  const [remoteStatus, setRemoteStatus] = useState(null);
+  const [remoteInterval, setRemoteInterval] = useState(0);
+  const parseJobRef = useRef(null);
+  const remoteControllerRef = useRef(null);
+  const remoteInFlightRef = useRef(null);
+  const remoteLoadedRef = useRef(false);
+  const remoteRefreshRef = useRef(null);
+  const remoteLastResponseRef = useRef(null);
+
+  useEffect(() => {
+    loadDefaultDataset();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [data, src]);
+
+  useEffect(() => {
+    if (src) setRemoteInterval(Number(refreshInterval) || 0);
+  }, [src, refreshInterval]);
+
+  useEffect(() => {
+    if (initialDataset && initialDataset !== COURSE_DATASET_PARAM) {
+      openSharedDataset(initialDataset, { reloadDefault: false });
+    } else if (isLibraryAvailable()) {
+      refreshLibrary();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => () => parseJobRef.current?.cancel(), []);
+
+  // The interval calls the latest refreshRemoteSource so it sees current state (derived columns, dialogs).
+  useEffect(() => {
+    remoteRefreshRef.current = refreshRemoteSource;
+  });
+
+  // A new remote source is fetched at once and starts without validators.
+  useEffect(() => {
+    if (!remoteSource) return undefined;
+    const controller = new AbortController();
+    remoteControllerRef.current = controller;
+    remoteLastResponseRef.current = null;
+    remoteLoadedRef.current = false;
+    remoteRefreshRef.current(remoteSource, controller.signal);
+    return () => controller.abort();
+  }, [remoteSource]);
+
+  // Re-checks every `remoteInterval` seconds while the page is visible.
+  useEffect(() => {
+    if (!remoteSource || remoteInterval <= 0) return undefined;
+    const { signal } = remoteControllerRef.current;
+    const timer = setInterval(() => {
+      if (document.visibilityState !== "hidden") remoteRefreshRef.current(remoteSource, signal);
+    }, remoteInterval * 1000);
+    return () => clearInterval(timer);
+  }, [remoteSource, remoteInterval]);
+
+  // Mapping, validation, the default exclusions, duplicate reconciliation and indexing run in a worker
+  // through table.prepare(). Resolves to false when that failed or a newer load replaced this one first.
+  async function commitDataset(table, mapping, sourceLabel, parseIssues = [], origin = {}) {
+    parseJobRef.current?.cancel();
+    setParseProgress({ label: sourceLabel, loaded: 1, total: 1, rows: table.rowCount, preparing: true });
+    const job = table.prepare(mapping, { duplicateStrategy });
+    parseJobRef.current = job;
+    let result;
+    try {
+      result = await job.promise;
+    } catch (error) {
+      if (!isParseCancelled(error)) {
+        console.error(`Failed to prepare ${sourceLabel}`, error);
+        setParseError(`Failed to load ${sourceLabel}: ${error.message}`);
+      }
+      return false;
+    } finally {
+      if (parseJobRef.current === job) {
+        parseJobRef.current = null;
+        setParseProgress(null);
+      }
+    }
+
+    const unmappedMetrics = METRICS.filter((metric) => !mapping[metric.key]);
+    const issues = [...parseIssues, ...result.issues];
+    const { rows: normalizedRows, excludedRows: defaultExclusions } = result;
+
+    setDatasetRows(normalizedRows);
+    setPrepared({
+      excludedRows: defaultExclusions,
+      duplicateStrategy: result.duplicateStrategy,
+      reconciled: result.reconciled,
+      rowIndex: result.rowIndex,
+    });
+    setValidationIssues(issues);
+    setExcludedRows(defaultExclusions);
+    setBaseHeaders(result.headers);
+    setParseError(
+      unmappedMetrics.length
+        ? `No column mapped for ${unmappedMetrics.map((metric) => metric.label).join(", ")}.`
+        : ""
+    );
+    setCsvSource(sourceLabel);
+    onDatasetLoaded({ countries: result.countries, years: result.years });
+
+    setActiveDatasetId(origin.datasetId ?? null);
+    setDerivedColumns(origin.derivedColumns ?? []);
+    if (origin.persistSource) {
+      storeUpload(sourceLabel, origin.persistSource, normalizedRows.length, mapping);
+    }
+    return true;
+  }
+
+  async function refreshLibrary() {
+    try {
+      setSavedDatasets(await listDatasets());
+    } catch (error) {
+      console.warn("Unable to read the dataset library", error);
+    }
+  }
+
+  async function storeUpload(name, source, rowCount, mapping) {
+    if (!isLibraryAvailable()) return;
+    try {
+      const text = typeof source === "string" ? source : await source.text();
+      const entry = await saveDataset({ name, text, rowCount, mapping });
+      setActiveDatasetId(entry.id);
+      await refreshLibrary();
+    } catch (error) {
+      console.warn("Unable to save the dataset locally", error);
+    }
+  }
+
+  async function openSavedDataset(entry) {
+    setRemoteSource(null);
+    try {
+      const text = await loadDatasetText(entry.id);
+      if (text === null) {
+        setParseError(`Saved dataset "${entry.name}" could not be found.`);
+        return;
+      }
+      await loadDatasetSource(text, entry.name, {
+        datasetId: entry.id,
+        mapping: entry.mapping,
+        derivedColumns: entry.derivedColumns,
+      });
+    } catch (error) {
+      console.error("Failed to load saved dataset", error);
+      setParseError(`Failed to load saved dataset "${entry.name}".`);
+    }
+  }
+
+  function selectDataset(id) {
+    const entry = savedDatasets.find((dataset) => dataset.id === id);
+    if (!entry) {
+      loadDefaultDataset();
+      return;
+    }
+    openSavedDataset(entry);
+  }
+
+  async function renameDataset(id, name) {
+    try {
+      await updateDataset(id, { name });
+      if (id === activeDatasetId) setCsvSource(name);
+      await refreshLibrary();
+    } catch (error) {
+      console.error("Failed to rename dataset", error);
+    }
+  }
+
+  async function removeDataset(id) {
+    try {
+      await deleteDataset(id);
+      if (id === activeDatasetId) loadDefaultDataset();
+      await refreshLibrary();
+    } catch (error) {
+      console.error("Failed to delete dataset", error);
+    }
+  }
+
+  // The default dataset is the `data` text, or the file at `src` (polled when refreshInterval is set).
+  async function loadDefaultDataset() {
+    if (src) {
+      setRemoteSource({ url: src, label: datasetLabel, derivedColumns: loadCourseFormulas() });
+      setRemoteInterval(Number(refreshInterval) || 0);
+      return;
+    }
+    setRemoteSource(null);
+    if (data) await loadDatasetSource(data, datasetLabel, { derivedColumns: loadCourseFormulas() });
+  }
+
+  // Opens the dataset named in a link: the default one, a URL to fetch again, or a dataset from the library
+  // by id (older links used its name). The default dataset stands in for one that is not available here.
+  async function openSharedDataset(reference, { reloadDefault = true } = {}) {
+    if (reference === COURSE_DATASET_PARAM) {
+      if (reloadDefault) loadDefaultDataset();
+      return;
+    }
+    if (/^https?:\/\//i.test(reference)) {
+      loadRemote({ url: reference, interval: 0 });
+      return;
+    }
+    // Loading the default dataset resets the banner, so the message goes up once it has loaded.
+    const reportMissing = async () => {
+      if (reloadDefault) await loadDefaultDataset();
+      setParseError(
+        "The shared link uses an uploaded dataset that is not available here. Showing the default dataset."
+      );
+    };
+    if (!isLibraryAvailable()) {
+      reportMissing();
+      return;
+    }
+    try {
+      const entries = await listDatasets();
+      setSavedDatasets(entries);
+      const match =
+        entries.find((entry) => entry.id === reference) ??
+        entries.find((entry) => entry.name === reference);
+      if (match) {
+        openSavedDataset(match);
+      } else {
+        reportMissing();
+      }
+    } catch (error) {
+      console.warn("Unable to read the dataset library", error);
+    }
+  }
+
+  function loadRemote(settings) {
+    saveRemoteSettings(settings);
+    setRemoteSource({ url: settings.url, label: settings.url, derivedColumns: [] });
+    setRemoteInterval(settings.interval);
+  }
+
+  // A 304 leaves everything as it is. New rows go through the usual pipeline, which keeps the selected
+  // countries and year when they are still present; derived columns carry over after the first load.
+  async function refreshRemoteSource(source, signal) {
+    if (remoteInFlightRef.current === signal || pendingImport || pendingMapping) return;
+    remoteInFlightRef.current = signal;
+    // Later checks keep the last status on screen; only the first load reads "checking".
+    setRemoteStatus((prev) => (prev ? { ...prev, checking: true } : { state: "checking" }));
+    const updatedAt = remoteStatus?.updatedAt ?? null;
+    const previous = remoteLoadedRef.current ? remoteLastResponseRef.current : null;
+    try {
+      const result = await fetchRemoteDataset(source.url, {
+        signal,
+        validators: previous?.validators,
+        previousBody: previous?.body,
+      });
+      const checkedAt = new Date();
+      if (result.notModified) {
+        if (remoteStatus?.state === "error") setParseError("");
+        remoteLastResponseRef.current = { validators: result.validators, body: result.body };
+        setRemoteStatus({ state: "unchanged", checkedAt, updatedAt });
+        return;
+      }
+      const loaded = await loadDatasetSource(result.file, source.label, {
+        loader: findLoader(result.file) ?? CSV_LOADER,
+        derivedColumns: remoteLoadedRef.current ? derivedColumns : source.derivedColumns,
+      });
+      remoteLastResponseRef.current = loaded ? { validators: result.validators, body: result.body } : null;
+      remoteLoadedRef.current ||= loaded;
+      setRemoteStatus({
+        state: loaded ? "updated" : "error",
+        checkedAt,
+        updatedAt: loaded ? checkedAt : updatedAt,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      console.error(`Failed to load ${source.url}`, error);
+      setParseError(`Failed to load ${source.label}: ${error.message}.`);
+      setRemoteStatus({ state: "error", checkedAt: new Date(), updatedAt });
+    } finally {
+      if (remoteInFlightRef.current === signal) remoteInFlightRef.current = null;
+    }
+  }
+
+  async function changeDerivedColumns(definitions) {
+    setDerivedColumns(definitions);
+    if (!activeDatasetId) {
+      if (csvSource === datasetLabel) saveCourseFormulas(definitions);
+      return;
+    }
+    try {
+      await updateDataset(activeDatasetId, { derivedColumns: definitions });
+      await refreshLibrary();
+    } catch (error) {
+      console.warn("Unable to save derived columns with the dataset", error);
+    }
+  }
+
+  // Accepts CSV text or a File in any supported format; CSV streams through a worker with progress and
+  // cancel. Workbooks with several sheets and wide tables go through the import dialog first. Resolves to
+  // false when the source could not be read.
+  async function loadDatasetSource(source, sourceLabel = "uploaded dataset", options = {}) {
+    const {
+      datasetId = null,
+      mapping: storedMapping = null,
+      persist = false,
+      derivedColumns: storedDerivedColumns = [],
+      loader = CSV_LOADER,
+    } = options;
+    const origin = { datasetId, persistSource: null, derivedColumns: storedDerivedColumns };
+    parseJobRef.current?.cancel();
+    try {
+      const isEmpty = typeof source === "string" ? !source.trim() : !source.size;
+      if (isEmpty) {
+        setParseError(`No content found in ${sourceLabel}.`);
+        return false;
+      }
+
+      setParseProgress({ label: sourceLabel, loaded: 0, total: 0, rows: 0 });
+      const job = loader.load(source, {
+        onProgress: (progress) => setParseProgress({ label: sourceLabel, ...progress }),
+      });
+      parseJobRef.current = job;
+      let loaded;
+      try {
+        loaded = await job.promise;
+      } finally {
+        if (parseJobRef.current === job) {
+          parseJobRef.current = null;
+          setParseProgress(null);
+        }
+      }
+
+      const parseIssues = parseErrorsToIssues(loaded.errors);
+      const tables = loaded.tables.filter((table) => table.rowCount || loaded.tables.length === 1);
+      const [firstTable] = tables;
+
+      if (tables.length === 1 && detectTableLayout(firstTable.fields) === "long") {
+        if (persist) {
+          origin.persistSource = loader.textBased
+            ? source
+            : tableToCsv(await firstTable.readRows(), firstTable.fields);
+        }
+        return ingestTable(firstTable, sourceLabel, parseIssues, origin, storedMapping);
+      }
+      // Reshaping in the import dialog works on the raw rows.
+      const importTables = await Promise.all(
+        tables.map(async (table) => ({ ...table, rows: await table.readRows() }))
+      );
+      setPendingImport({ tables: importTables, sourceLabel, parseIssues, origin: { ...origin, persist } });
+      return true;
+    } catch (error) {
+      if (isParseCancelled(error)) return false;
+      console.error(`Failed to load ${sourceLabel}`, error);
+      setParseError(
+        loader.textBased
+          ? "Failed to parse CSV file. Please check the format."
+          : `Failed to load ${sourceLabel}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  async function ingestTable(table, sourceLabel, parseIssues, origin, storedMapping = null) {
+    const cols = table.fields;
+    if (!table.rowCount) {
+      table.release();
+      setParseError(`${sourceLabel} loaded successfully but contained no rows.`);
+      setDatasetRows([]);
+      setPrepared(null);
+      setValidationIssues(parseIssues);
+      setExcludedRows(new Set());
+      setBaseHeaders(cols);
+      return true;
+    }
+
+    const signature = getHeaderSignature(cols);
+    const savedMapping = storedMapping || loadSavedMapping(signature, cols);
+    if (savedMapping) {
+      return commitDataset(table, savedMapping, sourceLabel, parseIssues, origin);
+    }
+
+    const { mapping, unmatched, uncertain } = autoMatchColumns(cols);
+    if (unmatched.length || uncertain.length) {
+      setPendingMapping({
+        table,
+        headers: cols,
+        mapping,
+        unmatched,
+        uncertain,
+        signature,
+        sourceLabel,
+        parseIssues,
+        origin,
+      });
+      return true;
+    }
+    return commitDataset(table, mapping, sourceLabel, parseIssues, origin);
+  }
+
+  function confirmImport(selections) {
+    if (!pendingImport) return;
+    const { tables, sourceLabel, parseIssues, origin } = pendingImport;
+    const longTables = tables
+      .map((table, idx) => ({ table, selection: selections[idx] }))
+      .filter(({ selection }) => selection.include)
+      .map(({ table, selection }) =>
+        selection.layout === "wide"
+          ? wideToLong(table.rows, table.fields, {
+              countryColumn: selection.countryColumn,
+              valueName: selection.valueName.trim(),
+            })
+          : renameIdentityColumns(table.rows, table.fields, selection)
+      );
+    const merged = mergeLongTables(longTables);
+    const { persist, ...rest } = origin;
+    setPendingImport(null);
+    ingestTable(memoryTable(merged), sourceLabel, parseIssues, {
+      ...rest,
+      persistSource: persist ? tableToCsv(merged.rows, merged.fields) : null,
+    });
+  }
+
+  function cancelImport() {
+    setPendingImport(null);
+  }
+
+  function confirmMapping(mapping, remember) {
+    if (!pendingMapping) return;
+    if (remember) saveMapping(pendingMapping.signature, mapping);
+    commitDataset(
+      pendingMapping.table,
+      mapping,
+      pendingMapping.sourceLabel,
+      pendingMapping.parseIssues,
+      pendingMapping.origin
+    );
+    setPendingMapping(null);
+  }
+
+  function cancelMapping() {
+    pendingMapping?.table.release();
+    setPendingMapping(null);
+  }
+
+  function cancelParse() {
+    parseJobRef.current?.cancel();
+  }
+
+  function uploadFile(file) {
+    const loader = findLoader(file);
+    if (!loader) {
+      setParseError(
+        `${file.name} is not a supported file. Upload ${DATASET_LOADERS.map((item) => item.label).join(", ")}.`
+      );
+      return;
+    }
+    setRemoteSource(null);
+    loadDatasetSource(file, file.name, { persist: true, loader });
+  }
+
+  function toggleExcludedRow(rowIndex) {
+    setExcludedRows((prev) => {
+      const next = new Set(prev);
+      if (next.has(rowIndex)) {
+        next.delete(rowIndex);
+      } else {
+        next.add(rowIndex);
+      }
+      return next;
+    });
+  }
+
+  return {
+    datasetRows,
+    prepared,
+    validationIssues,
+    excludedRows,
+    setExcludedRows,
+    toggleExcludedRow,
+    baseHeaders,
+    derivedColumns,
+    changeDerivedColumns,
+    csvSource,
+    parseError,
+    parseProgress,
+    cancelParse,
+    pendingImport,
+    confirmImport,
+    cancelImport,
+    pendingMapping,
+    confirmMapping,
+    cancelMapping,
+    savedDatasets,
+    activeDataset: savedDatasets.find((dataset) => dataset.id === activeDatasetId),
+    activeDatasetId,
+    selectDataset,
+    renameDataset,
+    removeDataset,
+    uploadFile,
+    loadDefaultDataset,
+    openSharedDataset,
+    remoteSource,
+    remoteStatus,
+    remoteInterval,
+    loadRemote,
+    refreshRemote: () =>
+      refreshRemoteSource(remoteSource, remoteControllerRef.current.signal),
+    stopRemote: () => setRemoteInterval(0),
+  };
+}
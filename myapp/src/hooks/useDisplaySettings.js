@@ -0,0 +1,14 @@
+import { createContext, useContext } from "react";
+import { BUILT_IN_THEMES } from "../lib/theme.js";
+import { DEFAULT_PREFERENCES } from "../lib/units.js";
+
+// The theme and display preferences of the dashboard a component renders in. Each dashboard provides its
+// own, so two dashboards on one page keep their own colours, units, locale and palette.
+export const DisplaySettingsContext = createContext({
+  theme: BUILT_IN_THEMES.light,
+  preferences: DEFAULT_PREFERENCES,
+});
+
+export default function useDisplaySettings() {
+  return useContext(DisplaySettingsContext);
+}
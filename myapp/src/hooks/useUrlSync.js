@@ -0,0 +1,39 @@
+import { useEffect, useRef } from "react";
+import { buildUrlSearch, mergeUrlSearch, readUrlState } from "../lib/urlState.js";
+
+// Mirrors `state` (see buildUrlSearch) in the page URL while `enabled`, leaving the host page's other
+// query parameters alone. A changed selection adds a history entry, except the first sync and year
+// playback, which replace the current one. Back and forward call `onRestore` with the URL's state; it is
+// read at that moment, so it always sees the latest render.
+export default function useUrlSync({ enabled, ready, state, isPlaying, onRestore }) {
+  const syncedRef = useRef(false);
+  const restoreRef = useRef(onRestore);
+  const search = ready ? buildUrlSearch(state) : null;
+
+  useEffect(() => {
+    restoreRef.current = onRestore;
+  });
+
+  useEffect(() => {
+    if (!enabled || search === null) return;
+    const nextSearch = mergeUrlSearch(window.location.search, search);
+    if (nextSearch === window.location.search) {
+      syncedRef.current = true;
+      return;
+    }
+    const url = `${window.location.pathname}${nextSearch}${window.location.hash}`;
+    if (syncedRef.current && !isPlaying) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+      syncedRef.current = true;
+    }
+  }, [enabled, search, isPlaying]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const handlePopState = () => restoreRef.current(readUrlState());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [enabled]);
+}
@@ -0,0 +1,5 @@
+// Library entry: the dashboard as a React component, and the <env-dashboard> element class. Nothing is
+// registered on import; call defineEnvDashboard(), or load src/element.js instead.
+export { default as EnvironmentDashboard } from "./CsvCharts.jsx";
+export { EnvDashboardElement, defineEnvDashboard } from "./EnvDashboardElement.jsx";
+export { DASHBOARD_CARDS } from "./lib/layout.js";
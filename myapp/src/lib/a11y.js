@@ -0,0 +1,58 @@
+import { createTable } from "./exporters.js";
+import { formatNumber } from "./units.js";
+
+// Turns Chart.js { labels, datasets } into a table with one column per visible dataset.
+export const chartDataToTable = (id, title, data, { labelHeader, valueHeader = "Value" }) => {
+  const datasets = data.datasets.filter((dataset) => !dataset.isBand);
+  return createTable({
+    id,
+    title,
+    columns: [
+      { header: labelHeader, value: (row) => row.label },
+      ...datasets.map((dataset, idx) => ({
+        header: dataset.label || valueHeader,
+        value: (row) => row.values[idx],
+      })),
+    ],
+    rows: data.labels.map((label, index) => ({
+      label,
+      values: datasets.map((dataset) => dataset.data[index] ?? null),
+    })),
+  });
+};
+
+const finitePoints = (points) => points.filter((point) => Number.isFinite(point.y));
+
+// One-sentence description of a series over time: direction, endpoints and extremes.
+export const describeTrend = (subject, points, preferences, suffix = "") => {
+  const series = finitePoints(points);
+  if (!series.length) return `${subject}: no data in range.`;
+  const format = (value) => formatNumber(value, preferences, { suffix });
+  if (series.length === 1) return `${subject} was ${format(series[0].y)} in ${series[0].x}.`;
+  const first = series[0];
+  const last = series.at(-1);
+  const change = last.y - first.y;
+  const direction = change > 0 ? "rose" : change < 0 ? "fell" : "held steady";
+  const peak = series.reduce((best, point) => (point.y > best.y ? point : best));
+  const trough = series.reduce((best, point) => (point.y < best.y ? point : best));
+  return (
+    `${subject} ${direction} from ${format(first.y)} in ${first.x} to ${format(last.y)} in ${last.x}` +
+    `${change ? ` (${change > 0 ? "+" : ""}${format(change)})` : ""}. ` +
+    `Highest ${format(peak.y)} in ${peak.x}; lowest ${format(trough.y)} in ${trough.x}.`
+  );
+};
+
+// Names the leading and trailing items of a labelled list of values.
+export const describeRanking = (subject, items, preferences, suffix = "") => {
+  const ranked = items.filter((item) => Number.isFinite(item.value)).sort((a, b) => b.value - a.value);
+  if (!ranked.length) return `${subject}: no data.`;
+  const format = (value) => formatNumber(value, preferences, { suffix });
+  const [top] = ranked;
+  const bottom = ranked.at(-1);
+  const runnersUp = ranked.slice(1, 3).map((item) => item.label);
+  return (
+    `${subject}: ${top.label} is highest at ${format(top.value)}` +
+    `${runnersUp.length ? `, followed by ${runnersUp.join(" and ")}` : ""}` +
+    `${ranked.length > 1 ? `; ${bottom.label} is lowest at ${format(bottom.value)}` : ""}.`
+  );
+};
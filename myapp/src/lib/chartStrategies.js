@@ -0,0 +1,293 @@
+import { getSeriesColor, withAlpha } from "./colors.js";
+import { sampleRows } from "./downsample.js";
+import { columnHeader } from "./exporters.js";
+import { axisBase, colorScale, hoverLabelTheme, plotFont, titleFont } from "./plotTheme.js";
+import { plotSeparators } from "./units.js";
+
+const ALL_ROWS_GROUP = "All rows";
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const compareValues = (a, b) =>
+  isNumber(a) && isNumber(b) ? a - b : String(a).localeCompare(String(b));
+
+const groupRows = (rows, groupKey) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const name = groupKey ? String(row[groupKey] ?? "—") : ALL_ROWS_GROUP;
+    const entry = groups.get(name) || [];
+    entry.push(row);
+    groups.set(name, entry);
+  });
+  return Array.from(groups.entries()).sort(([a], [b]) => a.localeCompare(b));
+};
+
+const meanByX = (rows, xKey, yKey) => {
+  const sums = new Map();
+  rows.forEach((row) => {
+    const x = row[xKey];
+    const y = row[yKey];
+    if (x === null || x === undefined || !isNumber(y)) return;
+    const entry = sums.get(x) || { sum: 0, count: 0 };
+    entry.sum += y;
+    entry.count += 1;
+    sums.set(x, entry);
+  });
+  return new Map(Array.from(sums.entries()).map(([x, { sum, count }]) => [x, sum / count]));
+};
+
+const axisTitle = (key, { theme, preferences }) => ({
+  text: columnHeader(key, preferences),
+  font: titleFont(theme),
+});
+
+const plotlyLayout = (encoding, settings, overrides = {}) => ({
+  font: plotFont(settings.theme),
+  separators: plotSeparators(settings.preferences),
+  hoverlabel: hoverLabelTheme(settings.theme),
+  autosize: true,
+  margin: { l: 70, r: 30, t: 30, b: 70 },
+  xaxis: { ...axisBase(settings.theme), title: axisTitle(encoding.x, settings) },
+  yaxis: { ...axisBase(settings.theme), title: encoding.y ? axisTitle(encoding.y, settings) : undefined },
+  paper_bgcolor: "rgba(0,0,0,0)",
+  plot_bgcolor: "rgba(0,0,0,0)",
+  showlegend: Boolean(encoding.group),
+  ...overrides,
+});
+
+const chartjsOptions = (encoding, { theme, preferences }, extra = {}) => {
+  const { chart } = theme;
+  return {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: Boolean(encoding.group),
+        position: "top",
+        labels: { color: chart.mutedText, usePointStyle: true },
+      },
+    },
+    scales: {
+      x: {
+        title: { display: true, text: columnHeader(encoding.x, preferences), color: chart.text },
+        ticks: { color: chart.mutedText },
+        grid: { color: chart.grid },
+      },
+      y: {
+        title: { display: true, text: columnHeader(encoding.y, preferences), color: chart.text },
+        ticks: { color: chart.mutedText },
+        grid: { color: chart.grid },
+        ...extra.y,
+      },
+    },
+  };
+};
+
+const buildCategoryChart = (kind) => (rows, encoding, settings) => {
+  const { preferences } = settings;
+  const labels = Array.from(new Set(rows.map((row) => row[encoding.x])))
+    .filter((value) => value !== null && value !== undefined)
+    .sort(compareValues);
+  const datasets = groupRows(rows, encoding.group).map(([name, groupRowsList], idx) => {
+    const color = getSeriesColor(idx, preferences.palette);
+    const means = meanByX(groupRowsList, encoding.x, encoding.y);
+    return {
+      label: encoding.group ? name : columnHeader(encoding.y, preferences),
+      country: encoding.group === "Country" ? name : undefined,
+      data: labels.map((label) => (means.has(label) ? means.get(label) : null)),
+      borderColor: color,
+      backgroundColor: withAlpha(color, kind === "bar" ? 0.65 : 0.18),
+      ...(kind === "bar" ? { borderWidth: 1, borderRadius: 8 } : { tension: 0.35, spanGaps: true }),
+    };
+  });
+  return {
+    library: "chartjs",
+    kind,
+    data: { labels, datasets },
+    options: chartjsOptions(encoding, settings, kind === "bar" ? { y: { beginAtZero: true } } : {}),
+  };
+};
+
+const markerSizes = (rows, sizeKey) => {
+  const values = rows.map((row) => row[sizeKey]).filter(isNumber);
+  const max = Math.max(...values.map(Math.abs), 0);
+  return rows.map((row) =>
+    isNumber(row[sizeKey]) && max ? 8 + (Math.sqrt(Math.abs(row[sizeKey])) / Math.sqrt(max)) * 40 : 8
+  );
+};
+
+// A numeric colour encoding shades points on a colour scale. Any other column splits each group into one
+// trace per value, coloured from the palette and listed in the legend.
+const scatterTraces = (points, encoding, palette) => {
+  const groups = groupRows(points, encoding.group);
+  const colorIsNumeric = points.some((row) => isNumber(row[encoding.color]));
+  if (!encoding.color || colorIsNumeric) {
+    return groups.map(([name, groupRowsList], idx) => ({
+      name,
+      rows: groupRowsList,
+      color: getSeriesColor(idx, palette),
+    }));
+  }
+  const categories = groupRows(points, encoding.color).map(([category]) => category);
+  return groups.flatMap(([name, groupRowsList]) =>
+    groupRows(groupRowsList, encoding.color).map(([category, categoryRows]) => ({
+      name: encoding.group ? `${name} · ${category}` : category,
+      rows: categoryRows,
+      color: getSeriesColor(categories.indexOf(category), palette),
+    }))
+  );
+};
+
+const buildScatter = (withSize) => (rows, encoding, settings) => {
+  const { theme, preferences } = settings;
+  const header = (key) => columnHeader(key, preferences);
+  const points = sampleRows(rows.filter((row) => isNumber(row[encoding.x]) && isNumber(row[encoding.y])));
+  const colorIsNumeric = encoding.color && points.some((row) => isNumber(row[encoding.color]));
+  const traces = scatterTraces(points, encoding, preferences.palette);
+  const data = traces.map(({ name, rows: traceRows, color }, idx) => ({
+    type: "scatter",
+    mode: "markers",
+    name,
+    x: traceRows.map((row) => row[encoding.x]),
+    y: traceRows.map((row) => row[encoding.y]),
+    text: traceRows.map((row) => `${row.Country ?? ""} ${row.Year ?? ""}`.trim()),
+    customdata: traceRows.map((row) => row.Country),
+    hovertemplate: `<b>%{text}</b><br>${header(encoding.x)}: %{x}<br>${header(encoding.y)}: %{y}<extra>${name}</extra>`,
+    marker: {
+      size: withSize && encoding.size ? markerSizes(traceRows, encoding.size) : 10,
+      sizemode: "diameter",
+      opacity: 0.8,
+      line: { width: 1, color: theme.chart.markerOutline },
+      color: colorIsNumeric ? traceRows.map((row) => row[encoding.color]) : color,
+      ...(colorIsNumeric
+        ? {
+            colorscale: colorScale(theme, "sequential"),
+            showscale: idx === 0,
+            colorbar: { title: { text: header(encoding.color) }, len: 0.8, thickness: 14 },
+          }
+        : {}),
+    },
+  }));
+  const layout = plotlyLayout(encoding, settings, {
+    hovermode: "closest",
+    showlegend: Boolean(encoding.group || (encoding.color && !colorIsNumeric)),
+  });
+  return { library: "plotly", data, layout };
+};
+
+const buildBox = (rows, encoding, settings) => {
+  const data = groupRows(rows, encoding.group).map(([name, groupRowsList], idx) => ({
+    type: "box",
+    name,
+    x: encoding.x ? groupRowsList.map((row) => row[encoding.x]) : undefined,
+    y: groupRowsList.map((row) => row[encoding.y]),
+    marker: { color: getSeriesColor(idx, settings.preferences.palette) },
+    boxpoints: "outliers",
+  }));
+  return {
+    library: "plotly",
+    data,
+    layout: plotlyLayout(encoding, settings, { boxmode: encoding.group && encoding.x ? "group" : "overlay" }),
+  };
+};
+
+const buildHistogram = (rows, encoding, settings) => {
+  const data = groupRows(rows, encoding.group).map(([name, groupRowsList], idx) => ({
+    type: "histogram",
+    name,
+    x: groupRowsList.map((row) => row[encoding.x]).filter(isNumber),
+    marker: { color: withAlpha(getSeriesColor(idx, settings.preferences.palette), 0.7) },
+  }));
+  return {
+    library: "plotly",
+    data,
+    layout: plotlyLayout(
+      { ...encoding, y: null },
+      settings,
+      {
+        barmode: "overlay",
+        yaxis: { ...axisBase(settings.theme), title: { text: "Count", font: titleFont(settings.theme) } },
+      }
+    ),
+  };
+};
+
+export const CHART_STRATEGIES = {
+  line: {
+    label: "Line",
+    encodings: { x: "any", y: "numeric", group: "any" },
+    required: ["x", "y"],
+    build: buildCategoryChart("line"),
+  },
+  bar: {
+    label: "Bar",
+    encodings: { x: "any", y: "numeric", group: "any" },
+    required: ["x", "y"],
+    build: buildCategoryChart("bar"),
+  },
+  scatter: {
+    label: "Scatter",
+    encodings: { x: "numeric", y: "numeric", color: "any", group: "any" },
+    required: ["x", "y"],
+    build: buildScatter(false),
+  },
+  bubble: {
+    label: "Bubble",
+    encodings: { x: "numeric", y: "numeric", size: "numeric", color: "any", group: "any" },
+    required: ["x", "y", "size"],
+    build: buildScatter(true),
+  },
+  box: {
+    label: "Box",
+    encodings: { x: "any", y: "numeric", group: "any" },
+    required: ["y"],
+    build: buildBox,
+  },
+  histogram: {
+    label: "Histogram",
+    encodings: { x: "numeric", group: "any" },
+    required: ["x"],
+    build: buildHistogram,
+  },
+};
+
+export const ENCODING_LABELS = {
+  x: "X axis",
+  y: "Y axis",
+  size: "Size",
+  color: "Colour",
+  group: "Group by",
+};
+
+// Keeps the fields a chart type can use when switching to it: slots the type lacks are dropped, and so are
+// numeric slots holding a column that is not numeric.
+export const fitEncoding = (type, encoding, numericHeaders) => {
+  const strategy = CHART_STRATEGIES[type];
+  return Object.fromEntries(
+    Object.entries(strategy?.encodings ?? {}).map(([key, kind]) => {
+      const value = encoding[key] || null;
+      return [key, kind === "numeric" && !numericHeaders.includes(value) ? null : value];
+    })
+  );
+};
+
+const hasValue = (value) => value !== null && value !== undefined && value !== "";
+
+// A row can be drawn when every required field has a value, and a number where the slot needs one.
+const isDrawable = (row, strategy, encoding) =>
+  strategy.required.every((key) =>
+    strategy.encodings[key] === "numeric" ? isNumber(row[encoding[key]]) : hasValue(row[encoding[key]])
+  );
+
+// `settings` holds the theme the chart is drawn in and the display preferences its labels, number format
+// and palette follow. Returns { missing } while required fields are unset and { empty: true } when no row
+// has values for them; fields the type does not use are ignored.
+export const buildCustomChart = (type, rows, encoding, settings) => {
+  const strategy = CHART_STRATEGIES[type];
+  if (!strategy) return null;
+  const fields = Object.fromEntries(Object.keys(strategy.encodings).map((key) => [key, encoding[key] || null]));
+  const missing = strategy.required.filter((key) => !fields[key]);
+  if (missing.length) return { missing };
+  if (!rows.some((row) => isDrawable(row, strategy, fields))) return { empty: true };
+  return strategy.build(rows, fields, settings);
+};
@@ -0,0 +1,50 @@
+import { merge } from "chart.js/helpers";
+import { formatNumber, resolveLocale } from "./units.js";
+
+const FONT_SIZE = 13;
+
+// Tooltip values follow the locale and precision chosen in the display preferences.
+const tooltipLabel = (preferences) => (context) => {
+  const { parsed } = context;
+  const value = typeof parsed === "number" ? parsed : parsed?.r ?? parsed?.y;
+  const prefix = context.dataset.label ? `${context.dataset.label}: ` : `${context.label}: `;
+  return `${prefix}${Number.isFinite(value) ? formatNumber(value, preferences) : context.formattedValue}`;
+};
+
+const scaleBase = (id, { chart }, font) => ({
+  ticks: { color: chart.text, font },
+  grid: { color: chart.grid },
+  border: { color: chart.grid },
+  title: { color: chart.text, font },
+  ...(id === "r" ? { angleLines: { color: chart.grid }, pointLabels: { color: chart.text, font } } : {}),
+});
+
+// Theme colours, font, locale and the tooltip number format for one chart. Chart.defaults is shared by
+// every Chart.js chart on the page, host charts included, so the dashboard sets these per chart instead.
+// The chart's own options are merged over the top and win.
+export const themedChartOptions = (options, { theme, preferences }) => {
+  const { chart } = theme;
+  const font = { family: theme.fontFamily, size: FONT_SIZE };
+  const scales = Object.fromEntries(
+    Object.keys(options.scales ?? {}).map((id) => [id, scaleBase(id, theme, font)])
+  );
+  const base = {
+    locale: resolveLocale(preferences),
+    color: chart.text,
+    borderColor: chart.grid,
+    font,
+    plugins: {
+      legend: { labels: { color: chart.text, font } },
+      tooltip: {
+        backgroundColor: chart.tooltipBackground,
+        titleColor: chart.tooltipText,
+        bodyColor: chart.tooltipText,
+        titleFont: font,
+        bodyFont: font,
+        callbacks: { label: tooltipLabel(preferences) },
+      },
+    },
+    scales,
+  };
+  return merge(base, options);
+};
@@ -0,0 +1,52 @@
+export const SERIES_PALETTE = [
+  "#2563eb",
+  "#f97316",
+  "#16a34a",
+  "#db2777",
+  "#7c3aed",
+  "#0891b2",
+  "#ca8a04",
+  "#dc2626",
+];
+
+// Okabe–Ito: distinguishable under protanopia, deuteranopia and tritanopia. Its yellow is swapped for
+// black, which reads better against the white cards.
+export const COLOR_BLIND_PALETTE = [
+  "#0072b2",
+  "#e69f00",
+  "#009e73",
+  "#cc79a7",
+  "#56b4e9",
+  "#d55e00",
+  "#000000",
+  "#999999",
+];
+
+const PALETTE_COLORS = { default: SERIES_PALETTE, colorBlind: COLOR_BLIND_PALETTE };
+
+// `palette` is the display preferences' palette id.
+export const getSeriesColor = (index, palette) => {
+  const colors = PALETTE_COLORS[palette] ?? SERIES_PALETTE;
+  return colors[index % colors.length];
+};
+
+// Gives each name the first free palette slot when it joins the list and keeps that slot while it stays,
+// so removing or reordering other names never recolours it. Returns the next slot map.
+export const assignColorSlots = (previous, names) => {
+  const slots = new Map([...previous].filter(([name]) => names.includes(name)));
+  const used = new Set(slots.values());
+  names.forEach((name) => {
+    if (slots.has(name)) return;
+    let slot = 0;
+    while (used.has(slot)) slot += 1;
+    slots.set(name, slot);
+    used.add(slot);
+  });
+  return slots;
+};
+
+export const withAlpha = (hex, alpha) => {
+  const value = hex.replace("#", "");
+  const [r, g, b] = [0, 2, 4].map((offset) => parseInt(value.slice(offset, offset + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
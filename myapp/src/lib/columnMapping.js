@@ -0,0 +1,139 @@
+import { CANONICAL_COLUMNS } from "./metrics.js";
+
+const STORAGE_KEY = "env-dashboard:column-mappings";
+const MATCH_THRESHOLD = 0.6;
+// Exact names and aliases are applied without asking; partial matches are only suggested in the dialog.
+const AUTO_ACCEPT_THRESHOLD = 0.85;
+
+export const tokenizeHeader = (header) =>
+  String(header ?? "")
+    .replace(/₂/g, "2")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .replace(/%/g, " pct ")
+    .replace(/°/g, " deg")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+const normalizeHeader = (header) => tokenizeHeader(header).join(" ");
+
+const scoreHeader = (header, column) => {
+  if (header === column.key) return 1;
+  const tokens = tokenizeHeader(header);
+  const normalized = tokens.join(" ");
+  if (normalized === normalizeHeader(column.key)) return 1;
+
+  const unitTokens = (column.unitTokens || []).flatMap(tokenizeHeader);
+  const nameTokens = tokens.filter((token) => !unitTokens.includes(token));
+  const name = nameTokens.join(" ");
+  const hasUnit = tokens.some((token) => unitTokens.includes(token));
+
+  let best = 0;
+  column.aliases.forEach((alias) => {
+    const aliasTokens = tokenizeHeader(alias);
+    let score = 0;
+    if (name === aliasTokens.join(" ")) {
+      score = 0.9;
+    } else if (aliasTokens.every((token) => tokens.includes(token))) {
+      score = 0.6 + Math.min(aliasTokens.length, 3) * 0.03;
+    } else if (nameTokens.length && nameTokens.every((token) => aliasTokens.includes(token))) {
+      score = 0.6;
+    }
+    if (score && hasUnit) score += 0.05;
+    best = Math.max(best, score);
+  });
+  return best;
+};
+
+export const autoMatchColumns = (headers) => {
+  const candidates = [];
+  headers.forEach((header) => {
+    CANONICAL_COLUMNS.forEach((column) => {
+      const score = scoreHeader(header, column);
+      if (score >= MATCH_THRESHOLD) candidates.push({ header, key: column.key, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const mapping = Object.fromEntries(CANONICAL_COLUMNS.map((column) => [column.key, ""]));
+  const usedHeaders = new Set();
+  const uncertain = [];
+  candidates.forEach(({ header, key, score }) => {
+    if (mapping[key] || usedHeaders.has(header)) return;
+    mapping[key] = header;
+    usedHeaders.add(header);
+    if (score < AUTO_ACCEPT_THRESHOLD) uncertain.push(key);
+  });
+
+  const unmatched = CANONICAL_COLUMNS.filter((column) => !mapping[column.key]).map(
+    (column) => column.key
+  );
+  return { mapping, unmatched, uncertain };
+};
+
+export const getHeaderSignature = (headers) => {
+  const text = headers.map(normalizeHeader).join("|");
+  let hash = 5381;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return `${headers.length}:${(hash >>> 0).toString(36)}`;
+};
+
+const readStore = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+  } catch {
+    return {};
+  }
+};
+
+export const loadSavedMapping = (signature, headers) => {
+  const saved = readStore()[signature];
+  if (!saved) return null;
+  const stale = Object.values(saved).some((header) => header && !headers.includes(header));
+  return stale ? null : saved;
+};
+
+export const saveMapping = (signature, mapping) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readStore(), [signature]: mapping }));
+  } catch (error) {
+    console.warn("Unable to persist column mapping", error);
+  }
+};
+
+// An unmapped column can share its name with a canonical one, such as a "Country" column left over when
+// "Nation" is mapped to Country. It is kept under a new name so it cannot overwrite the mapped values.
+const renameExtraHeaders = (extraHeaders, mappedKeys) => {
+  const taken = new Set([...mappedKeys, ...extraHeaders]);
+  return extraHeaders.map((header) => {
+    if (!mappedKeys.includes(header)) return [header, header];
+    let name = `${header} (original)`;
+    for (let count = 2; taken.has(name); count += 1) name = `${header} (original ${count})`;
+    taken.add(name);
+    return [header, name];
+  });
+};
+
+export const applyColumnMapping = (rows, headers, mapping) => {
+  const mappedSources = new Set(Object.values(mapping).filter(Boolean));
+  const mappedKeys = CANONICAL_COLUMNS.map((column) => column.key).filter((key) => mapping[key]);
+  const extraHeaders = renameExtraHeaders(
+    headers.filter((header) => !mappedSources.has(header)),
+    mappedKeys
+  );
+
+  const mappedRows = rows.map((row) => {
+    const next = {};
+    mappedKeys.forEach((key) => {
+      next[key] = row[mapping[key]];
+    });
+    extraHeaders.forEach(([header, name]) => {
+      next[name] = row[header];
+    });
+    return next;
+  });
+
+  return { rows: mappedRows, headers: [...mappedKeys, ...extraHeaders.map(([, name]) => name)] };
+};
@@ -0,0 +1,131 @@
+export const CORRELATION_METHODS = [
+  { value: "pearson", label: "Pearson", symbol: "r" },
+  { value: "spearman", label: "Spearman", symbol: "ρ" },
+];
+
+// Coefficients over more rows than this use an evenly spaced sample; the estimates barely move, and the
+// matrix stays quick on a million-row dataset.
+export const CORRELATION_SAMPLE_SIZE = 20000;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const pearson = (xs, ys) => {
+  const n = xs.length;
+  if (n < 3) return NaN;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i += 1) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+};
+
+// Ranks with ties sharing their average position, as Spearman's coefficient expects.
+export const rankValues = (values) => {
+  const order = values.map((value, idx) => ({ value, idx })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end += 1;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i += 1) ranks[order[i].idx] = rank;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+export const spearman = (xs, ys) => pearson(rankValues(xs), rankValues(ys));
+
+const logGamma = (z) => {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+  const x = z - 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((coefficient, idx) => {
+    sum += coefficient / (x + idx + 1);
+  });
+  const t = x + coefficients.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+const betaContinuedFraction = (a, b, x) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+  for (let m = 1; m <= 200; m += 1) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    result *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-10) break;
+  }
+  return result;
+};
+
+const regularizedBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+// Two-sided p-value for H0: no correlation, via the t statistic with n - 2 degrees of freedom.
+export const correlationPValue = (r, n) => {
+  if (!Number.isFinite(r) || n < 3) return NaN;
+  if (Math.abs(r) >= 1) return 0;
+  const df = n - 2;
+  const t = r * Math.sqrt(df / (1 - r * r));
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+};
+
+export const pairedValues = (rows, xKey, yKey) => {
+  const xs = [];
+  const ys = [];
+  rows.forEach((row) => {
+    if (Number.isFinite(row[xKey]) && Number.isFinite(row[yKey])) {
+      xs.push(row[xKey]);
+      ys.push(row[yKey]);
+    }
+  });
+  return { xs, ys };
+};
+
+export const correlate = (rows, xKey, yKey, method = "pearson") => {
+  const { xs, ys } = pairedValues(rows, xKey, yKey);
+  const r = method === "spearman" ? spearman(xs, ys) : pearson(xs, ys);
+  return { r, n: xs.length, p: correlationPValue(r, xs.length) };
+};
+
+export const correlationMatrix = (rows, keys, method = "pearson") => {
+  const matrix = keys.map(() => new Array(keys.length));
+  keys.forEach((rowKey, i) => {
+    matrix[i][i] = { r: 1, n: rows.filter((row) => Number.isFinite(row[rowKey])).length, p: 0 };
+    for (let j = i + 1; j < keys.length; j += 1) {
+      const result = correlate(rows, rowKey, keys[j], method);
+      matrix[i][j] = result;
+      matrix[j][i] = result;
+    }
+  });
+  return matrix;
+};
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  correlate,
+  correlationMatrix,
+  correlationPValue,
+  pearson,
+  rankValues,
+  spearman,
+} from "./correlation.js";
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test("p-values match the two-sided t test with n - 2 degrees of freedom", () => {
+  // Reference values from integrating Student's t density.
+  close(correlationPValue(0.5, 12), 0.0978546);
+  close(correlationPValue(0.3, 30), 0.1072459);
+  close(correlationPValue(-0.8, 5), 0.1040880);
+  close(correlationPValue(0.05, 1000), 0.1140726);
+});
+
+test("p-values cover the edges", () => {
+  assert.equal(correlationPValue(1, 10), 0);
+  assert.equal(correlationPValue(-1, 10), 0);
+  close(correlationPValue(0, 10), 1, 1e-12);
+  assert.ok(Number.isNaN(correlationPValue(0.5, 2)));
+  assert.ok(Number.isNaN(correlationPValue(NaN, 50)));
+});
+
+test("Pearson measures linear association and needs variation", () => {
+  close(pearson([1, 2, 3, 4], [2, 4, 6, 8]), 1, 1e-12);
+  close(pearson([1, 2, 3, 4], [8, 6, 4, 2]), -1, 1e-12);
+  close(pearson([1, 2, 3, 4, 5], [2, 1, 4, 3, 5]), 0.8, 1e-12);
+  assert.ok(Number.isNaN(pearson([1, 2], [1, 2])));
+  assert.ok(Number.isNaN(pearson([1, 2, 3], [5, 5, 5])));
+});
+
+test("Spearman ranks ties by their average position", () => {
+  assert.deepEqual(rankValues([10, 30, 20, 30]), [1, 3.5, 2, 3.5]);
+  close(spearman([1, 2, 3, 4, 5], [1, 4, 9, 16, 25]), 1, 1e-12);
+});
+
+test("pairs skip rows missing either value, and the matrix is symmetric", () => {
+  const rows = [
+    { A: 1, B: 2, C: 9 },
+    { A: 2, B: 4, C: NaN },
+    { A: 3, B: 6, C: 7 },
+    { A: 4, B: NaN, C: 4 },
+    { A: 5, B: 10, C: 1 },
+  ];
+  const pair = correlate(rows, "A", "B");
+  assert.equal(pair.n, 4);
+  close(pair.r, 1, 1e-12);
+  assert.equal(pair.p, 0);
+
+  const matrix = correlationMatrix(rows, ["A", "B", "C"], "spearman");
+  assert.deepEqual(matrix[1][1], { r: 1, n: 4, p: 0 });
+  assert.equal(matrix[0][2], matrix[2][0]);
+  assert.equal(matrix[0][2].n, 4);
+  close(matrix[0][2].r, -1, 1e-12);
+});
@@ -0,0 +1,234 @@
+const NAMES_BY_ISO3 = {
+  AFG: ["Afghanistan"],
+  ALB: ["Albania"],
+  DZA: ["Algeria"],
+  AND: ["Andorra"],
+  AGO: ["Angola"],
+  ATG: ["Antigua and Barbuda"],
+  ARG: ["Argentina"],
+  ARM: ["Armenia"],
+  AUS: ["Australia"],
+  AUT: ["Austria"],
+  AZE: ["Azerbaijan"],
+  BHS: ["Bahamas", "The Bahamas"],
+  BHR: ["Bahrain"],
+  BGD: ["Bangladesh"],
+  BRB: ["Barbados"],
+  BLR: ["Belarus"],
+  BEL: ["Belgium"],
+  BLZ: ["Belize"],
+  BEN: ["Benin"],
+  BTN: ["Bhutan"],
+  BOL: ["Bolivia", "Plurinational State of Bolivia"],
+  BIH: ["Bosnia and Herzegovina", "Bosnia"],
+  BWA: ["Botswana"],
+  BRA: ["Brazil"],
+  BRN: ["Brunei", "Brunei Darussalam"],
+  BGR: ["Bulgaria"],
+  BFA: ["Burkina Faso"],
+  BDI: ["Burundi"],
+  CPV: ["Cabo Verde", "Cape Verde"],
+  KHM: ["Cambodia"],
+  CMR: ["Cameroon"],
+  CAN: ["Canada"],
+  CAF: ["Central African Republic"],
+  TCD: ["Chad"],
+  CHL: ["Chile"],
+  CHN: ["China", "People's Republic of China", "PRC"],
+  COL: ["Colombia"],
+  COM: ["Comoros"],
+  COG: ["Congo", "Republic of the Congo", "Congo-Brazzaville"],
+  COD: ["Democratic Republic of the Congo", "DR Congo", "DRC", "Congo-Kinshasa", "Congo, Dem. Rep."],
+  CRI: ["Costa Rica"],
+  CIV: ["Cote d'Ivoire", "Côte d'Ivoire", "Ivory Coast"],
+  HRV: ["Croatia"],
+  CUB: ["Cuba"],
+  CYP: ["Cyprus"],
+  CZE: ["Czechia", "Czech Republic"],
+  DNK: ["Denmark"],
+  DJI: ["Djibouti"],
+  DMA: ["Dominica"],
+  DOM: ["Dominican Republic"],
+  ECU: ["Ecuador"],
+  EGY: ["Egypt", "Egypt, Arab Rep."],
+  SLV: ["El Salvador"],
+  GNQ: ["Equatorial Guinea"],
+  ERI: ["Eritrea"],
+  EST: ["Estonia"],
+  SWZ: ["Eswatini", "Swaziland"],
+  ETH: ["Ethiopia"],
+  FJI: ["Fiji"],
+  FIN: ["Finland"],
+  FRA: ["France"],
+  GAB: ["Gabon"],
+  GMB: ["Gambia", "The Gambia"],
+  GEO: ["Georgia"],
+  DEU: ["Germany"],
+  GHA: ["Ghana"],
+  GRC: ["Greece"],
+  GRL: ["Greenland"],
+  GRD: ["Grenada"],
+  GTM: ["Guatemala"],
+  GIN: ["Guinea"],
+  GNB: ["Guinea-Bissau"],
+  GUY: ["Guyana"],
+  HTI: ["Haiti"],
+  HND: ["Honduras"],
+  HKG: ["Hong Kong", "Hong Kong SAR"],
+  HUN: ["Hungary"],
+  ISL: ["Iceland"],
+  IND: ["India"],
+  IDN: ["Indonesia"],
+  IRN: ["Iran", "Islamic Republic of Iran", "Iran, Islamic Rep."],
+  IRQ: ["Iraq"],
+  IRL: ["Ireland"],
+  ISR: ["Israel"],
+  ITA: ["Italy"],
+  JAM: ["Jamaica"],
+  JPN: ["Japan"],
+  JOR: ["Jordan"],
+  KAZ: ["Kazakhstan"],
+  KEN: ["Kenya"],
+  KIR: ["Kiribati"],
+  PRK: ["North Korea", "Democratic People's Republic of Korea", "Korea, Dem. People's Rep.", "DPRK"],
+  KOR: ["South Korea", "Republic of Korea", "Korea, Rep.", "Korea"],
+  XKX: ["Kosovo"],
+  KWT: ["Kuwait"],
+  KGZ: ["Kyrgyzstan", "Kyrgyz Republic"],
+  LAO: ["Laos", "Lao PDR", "Lao People's Democratic Republic"],
+  LVA: ["Latvia"],
+  LBN: ["Lebanon"],
+  LSO: ["Lesotho"],
+  LBR: ["Liberia"],
+  LBY: ["Libya"],
+  LIE: ["Liechtenstein"],
+  LTU: ["Lithuania"],
+  LUX: ["Luxembourg"],
+  MDG: ["Madagascar"],
+  MWI: ["Malawi"],
+  MYS: ["Malaysia"],
+  MDV: ["Maldives"],
+  MLI: ["Mali"],
+  MLT: ["Malta"],
+  MHL: ["Marshall Islands"],
+  MRT: ["Mauritania"],
+  MUS: ["Mauritius"],
+  MEX: ["Mexico"],
+  FSM: ["Micronesia", "Federated States of Micronesia"],
+  MDA: ["Moldova", "Republic of Moldova"],
+  MCO: ["Monaco"],
+  MNG: ["Mongolia"],
+  MNE: ["Montenegro"],
+  MAR: ["Morocco"],
+  MOZ: ["Mozambique"],
+  MMR: ["Myanmar", "Burma"],
+  NAM: ["Namibia"],
+  NRU: ["Nauru"],
+  NPL: ["Nepal"],
+  NLD: ["Netherlands", "The Netherlands", "Holland"],
+  NZL: ["New Zealand"],
+  NIC: ["Nicaragua"],
+  NER: ["Niger"],
+  NGA: ["Nigeria"],
+  MKD: ["North Macedonia", "Macedonia"],
+  NOR: ["Norway"],
+  OMN: ["Oman"],
+  PAK: ["Pakistan"],
+  PLW: ["Palau"],
+  PSE: ["Palestine", "State of Palestine", "West Bank and Gaza"],
+  PAN: ["Panama"],
+  PNG: ["Papua New Guinea"],
+  PRY: ["Paraguay"],
+  PER: ["Peru"],
+  PHL: ["Philippines"],
+  POL: ["Poland"],
+  PRT: ["Portugal"],
+  PRI: ["Puerto Rico"],
+  QAT: ["Qatar"],
+  ROU: ["Romania"],
+  RUS: ["Russia", "Russian Federation"],
+  RWA: ["Rwanda"],
+  KNA: ["Saint Kitts and Nevis"],
+  LCA: ["Saint Lucia"],
+  VCT: ["Saint Vincent and the Grenadines"],
+  WSM: ["Samoa"],
+  SMR: ["San Marino"],
+  STP: ["Sao Tome and Principe"],
+  SAU: ["Saudi Arabia"],
+  SEN: ["Senegal"],
+  SRB: ["Serbia"],
+  SYC: ["Seychelles"],
+  SLE: ["Sierra Leone"],
+  SGP: ["Singapore"],
+  SVK: ["Slovakia", "Slovak Republic"],
+  SVN: ["Slovenia"],
+  SLB: ["Solomon Islands"],
+  SOM: ["Somalia"],
+  ZAF: ["South Africa"],
+  SSD: ["South Sudan"],
+  ESP: ["Spain"],
+  LKA: ["Sri Lanka"],
+  SDN: ["Sudan"],
+  SUR: ["Suriname"],
+  SWE: ["Sweden"],
+  CHE: ["Switzerland"],
+  SYR: ["Syria", "Syrian Arab Republic"],
+  TWN: ["Taiwan"],
+  TJK: ["Tajikistan"],
+  TZA: ["Tanzania", "United Republic of Tanzania"],
+  THA: ["Thailand"],
+  TLS: ["Timor-Leste", "East Timor"],
+  TGO: ["Togo"],
+  TON: ["Tonga"],
+  TTO: ["Trinidad and Tobago"],
+  TUN: ["Tunisia"],
+  TUR: ["Turkey", "Türkiye", "Turkiye"],
+  TKM: ["Turkmenistan"],
+  TUV: ["Tuvalu"],
+  UGA: ["Uganda"],
+  UKR: ["Ukraine"],
+  ARE: ["United Arab Emirates", "UAE"],
+  GBR: ["United Kingdom", "UK", "Great Britain", "Britain"],
+  USA: ["United States", "United States of America", "USA", "US", "U.S."],
+  URY: ["Uruguay"],
+  UZB: ["Uzbekistan"],
+  VUT: ["Vanuatu"],
+  VEN: ["Venezuela", "Venezuela, RB", "Bolivarian Republic of Venezuela"],
+  VNM: ["Vietnam", "Viet Nam"],
+  ESH: ["Western Sahara"],
+  YEM: ["Yemen", "Yemen, Rep."],
+  ZMB: ["Zambia"],
+  ZWE: ["Zimbabwe"],
+};
+
+const normalizeName = (name) =>
+  String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/^the /, "")
+    .trim();
+
+const CODE_LOOKUP = new Map();
+Object.entries(NAMES_BY_ISO3).forEach(([code, names]) => {
+  CODE_LOOKUP.set(normalizeName(code), code);
+  names.forEach((name) => CODE_LOOKUP.set(normalizeName(name), code));
+});
+
+export const resolveCountryCode = (name) => CODE_LOOKUP.get(normalizeName(name)) ?? null;
+
+export const resolveCountryCodes = (names) => {
+  const codes = new Map();
+  const unmatched = [];
+  names.forEach((name) => {
+    const code = resolveCountryCode(name);
+    if (code) {
+      codes.set(name, code);
+    } else {
+      unmatched.push(name);
+    }
+  });
+  return { codes, unmatched };
+};
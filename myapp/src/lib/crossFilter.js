@@ -0,0 +1,40 @@
+// Traces that plot countries carry the country name in `ids` or, failing that, in `customdata`.
+export const pointCountry = (point) => {
+  if (!point) return null;
+  const value = point.id ?? (Array.isArray(point.customdata) ? point.customdata[0] : point.customdata);
+  return typeof value === "string" && value ? value : null;
+};
+
+export const countriesFromPoints = (points = []) =>
+  Array.from(new Set(points.map(pointCountry).filter(Boolean)));
+
+// Chart.js datasets that represent a country or group set a `country` property alongside `label`.
+export const chartClickCountry = (elements, chart) => {
+  const element = elements?.[0];
+  if (!element) return null;
+  return chart.data.datasets[element.datasetIndex]?.country ?? null;
+};
+
+// Keeps the brush in step with the loaded dataset; a brush with no remaining countries is dropped.
+export const resolveBrush = (brush, countries) => {
+  if (!brush) return null;
+  const available = new Set(countries);
+  const kept = brush.countries.filter((country) => available.has(country));
+  return kept.length ? { ...brush, countries: kept } : null;
+};
+
+export const filterToBrush = (rows, brush) => {
+  if (!brush) return rows;
+  const selected = new Set(brush.countries);
+  return rows.filter((row) => selected.has(row.Country));
+};
+
+// Indices for Plotly's `selectedpoints`, or null to leave every point at full opacity.
+export const brushedIndices = (rows, brush) => {
+  if (!brush) return null;
+  const selected = new Set(brush.countries);
+  return rows.reduce((indices, row, idx) => {
+    if (selected.has(row.Country)) indices.push(idx);
+    return indices;
+  }, []);
+};
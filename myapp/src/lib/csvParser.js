@@ -0,0 +1,141 @@
+import { streamCsv } from "./csvStream.js";
+import { prepareDatasetInWorker } from "./datasetPreparer.js";
+import { unpackPrepared } from "./transferDataset.js";
+
+export const isParseCancelled = (error) => error?.name === "AbortError";
+
+const cancelledError = (message) => {
+  const error = new Error(message);
+  error.name = "AbortError";
+  return error;
+};
+
+const createWorker = () => {
+  if (typeof Worker === "undefined") return null;
+  try {
+    return new Worker(new URL("./csvWorker.js", import.meta.url), { type: "module" });
+  } catch (error) {
+    console.warn("Unable to start the CSV worker; parsing on the main thread", error);
+    return null;
+  }
+};
+
+// Parses a CSV string or File off the main thread when workers are available, reporting progress after
+// every chunk. Returns the running job so callers can cancel it. The job resolves to a table whose rows
+// stay in the worker: prepare(mapping, options) runs prepareDataset() there and is itself a
+// { promise, cancel } job, readRows() fetches the raw rows, and release() drops them. The worker stops
+// after any of the three.
+export const parseCsv = (source, { delimiter = "", onProgress } = {}) => {
+  const errors = [];
+  const fallbackRows = [];
+  let rowCount = 0;
+  let settled = false;
+  let worker = null;
+  let listener = () => {};
+  let stopFallback = null;
+  let rejectJob = () => {};
+
+  const release = () => {
+    worker?.terminate();
+    worker = null;
+  };
+
+  // One request to the parsed worker, answered by a `replyType` or "error" message.
+  const ask = (message, replyType) => {
+    let done = false;
+    let rejectRequest = () => {};
+    const promise = new Promise((resolve, reject) => {
+      rejectRequest = reject;
+      if (!worker) {
+        reject(new Error("The parsed rows were already released."));
+        return;
+      }
+      listener = (data) => {
+        if (done || (data.type !== replyType && data.type !== "error")) return;
+        done = true;
+        release();
+        if (data.type === "error") reject(new Error(data.message));
+        else resolve(data);
+      };
+      worker.postMessage(message);
+    });
+    const cancel = () => {
+      if (done) return;
+      done = true;
+      release();
+      rejectRequest(cancelledError("Preparing the dataset was cancelled."));
+    };
+    return { promise, cancel };
+  };
+
+  const parsedTable = (fields, inWorker) => ({
+    fields,
+    rowCount,
+    errors,
+    prepare: (mapping, options) => {
+      if (!inWorker) return prepareDatasetInWorker(fallbackRows, fields, mapping, options);
+      const job = ask({ type: "prepare", fields, mapping, options }, "prepared");
+      return { ...job, promise: job.promise.then((data) => unpackPrepared(data.dataset)) };
+    },
+    readRows: () =>
+      inWorker ? ask({ type: "rows" }, "rows").promise.then((data) => data.rows) : Promise.resolve(fallbackRows),
+    release,
+  });
+
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject;
+    const handlers = {
+      onChunk: ({ rowCount: count, errors: chunkErrors, loaded, total }) => {
+        if (settled) return;
+        rowCount = count;
+        for (let idx = 0; idx < chunkErrors.length; idx += 1) errors.push(chunkErrors[idx]);
+        onProgress?.({ loaded, total, rows: rowCount });
+      },
+      onComplete: ({ fields }) => {
+        if (settled) return;
+        settled = true;
+        resolve(parsedTable(fields, Boolean(worker)));
+      },
+      onError: (error) => {
+        if (settled) return;
+        settled = true;
+        release();
+        reject(error instanceof Error ? error : new Error(error.message));
+      },
+    };
+
+    worker = createWorker();
+    if (!worker) {
+      stopFallback = streamCsv(source, {
+        delimiter,
+        ...handlers,
+        onChunk: ({ rows, ...chunk }) => {
+          for (let idx = 0; idx < rows.length; idx += 1) fallbackRows.push(rows[idx]);
+          handlers.onChunk({ ...chunk, rowCount: fallbackRows.length });
+        },
+      });
+      return;
+    }
+    listener = (data) => {
+      if (data.type === "chunk") handlers.onChunk(data);
+      if (data.type === "complete") handlers.onComplete(data);
+      if (data.type === "error") handlers.onError(data);
+    };
+    worker.onmessage = ({ data }) => listener(data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      listener({ type: "error", message: event.message || "The CSV worker failed." });
+    };
+    worker.postMessage({ type: "parse", source, delimiter });
+  });
+
+  const cancel = () => {
+    if (settled) return;
+    settled = true;
+    release();
+    stopFallback?.();
+    rejectJob(cancelledError("Parsing was cancelled."));
+  };
+
+  return { promise, cancel };
+};
@@ -0,0 +1,64 @@
+import Papa from "papaparse";
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+const DECIMAL_COMMA_PATTERN = /^-?\d+(?:\.\d{3})*,\d+$/;
+
+const sourceSize = (source) => (typeof source === "string" ? source.length : source.size);
+
+const convertDecimalCommas = (row) => {
+  Object.keys(row).forEach((key) => {
+    const value = row[key];
+    if (typeof value === "string" && DECIMAL_COMMA_PATTERN.test(value.trim())) {
+      row[key] = Number(value.trim().replace(/\./g, "").replace(",", "."));
+    }
+  });
+};
+
+// Parses a CSV string or File chunk by chunk. Shared by the worker and the main-thread fallback.
+// The delimiter is sniffed unless given; semicolon files may use decimal commas ("12,5").
+// Returns a function that stops parsing at the next chunk.
+export const streamCsv = (source, { delimiter = "", onChunk, onComplete, onError }) => {
+  const total = sourceSize(source);
+  let fields = null;
+  let rowCount = 0;
+  let aborted = false;
+  try {
+    Papa.parse(source, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      delimiter,
+      chunkSize: CHUNK_SIZE,
+      chunk: (results, parser) => {
+        if (aborted) {
+          parser.abort();
+          return;
+        }
+        fields = fields ?? results.meta.fields ?? [];
+        // Error rows index this chunk's raw data; map them onto the kept rows, which is what the dataset
+        // holds. Errors on a dropped (empty) row have no row to point at.
+        const rows = [];
+        const keptIndex = results.data.map((row) => {
+          if (!Object.keys(row).length) return null;
+          rows.push(row);
+          return rowCount + rows.length - 1;
+        });
+        if (results.meta.delimiter === ";") rows.forEach(convertDecimalCommas);
+        const errors = results.errors.map((error) => ({
+          ...error,
+          row: Number.isInteger(error.row) ? (keptIndex[error.row] ?? null) : error.row,
+        }));
+        rowCount += rows.length;
+        onChunk({ rows, errors, fields, loaded: Math.min(results.meta.cursor, total), total });
+      },
+      complete: () => onComplete({ fields: fields ?? [], rowCount, total }),
+      error: (error) => onError(error),
+    });
+  } catch (error) {
+    onError(error);
+  }
+  return () => {
+    aborted = true;
+  };
+};
@@ -0,0 +1,34 @@
+import { streamCsv } from "./csvStream.js";
+import { prepareDataset } from "./prepareDataset.js";
+import { packPrepared } from "./transferDataset.js";
+
+// Parsed rows stay here until the page knows the column mapping. Only the prepared dataset is posted
+// back, packed into transferable columns.
+let rows = [];
+
+self.onmessage = (event) => {
+  const { type } = event.data;
+  if (type === "parse") {
+    const { source, delimiter } = event.data;
+    rows = [];
+    streamCsv(source, {
+      delimiter,
+      onChunk: ({ rows: chunkRows, ...chunk }) => {
+        for (let idx = 0; idx < chunkRows.length; idx += 1) rows.push(chunkRows[idx]);
+        self.postMessage({ type: "chunk", ...chunk, rowCount: rows.length });
+      },
+      onComplete: (summary) => self.postMessage({ type: "complete", ...summary }),
+      onError: (error) => self.postMessage({ type: "error", message: error.message }),
+    });
+  }
+  if (type === "prepare") {
+    try {
+      const { fields, mapping, options } = event.data;
+      const { message, transfer } = packPrepared(prepareDataset(rows, fields, mapping, options));
+      self.postMessage({ type: "prepared", dataset: message }, transfer);
+    } catch (error) {
+      self.postMessage({ type: "error", message: error.message });
+    }
+  }
+  if (type === "rows") self.postMessage({ type: "rows", rows });
+};
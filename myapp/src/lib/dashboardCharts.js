@@ -0,0 +1,276 @@
+import { withAlpha } from "./colors.js";
+import { downsampleSeries } from "./downsample.js";
+import { getDisplayShortLabel, getDisplayUnit } from "./units.js";
+
+// Chart.js data for the fixed dashboard cards, built from the selection CsvCharts derives.
+
+export const getUniqueSorted = (arr) =>
+  Array.from(new Set(arr.filter((item) => Number.isFinite(item)))).sort(
+    (a, b) => (a ?? 0) - (b ?? 0)
+  );
+
+const alignSeriesToYears = (seriesRows, key, years) => {
+  const byYear = new Map(seriesRows.map((row) => [Number(row.Year), row[key]]));
+  return years.map((year) => (byYear.has(year) ? byYear.get(year) : null));
+};
+
+const alignPointsToYears = (points, years, key = "y") => {
+  const byYear = new Map(points.map((point) => [point.x, point[key]]));
+  return years.map((year) => (byYear.has(year) ? byYear.get(year) : null));
+};
+
+const trendDatasets = (overlay, years, { name, color }) => {
+  const datasets = [];
+  if (overlay.fitted.length) {
+    datasets.push({
+      label: `${name} trend`,
+      data: alignPointsToYears(overlay.fitted, years),
+      borderColor: color,
+      backgroundColor: color,
+      borderDash: [6, 4],
+      borderWidth: 2,
+      pointRadius: 0,
+      tension: 0.3,
+      spanGaps: true,
+      fill: false,
+    });
+  }
+  if (overlay.forecast.length) {
+    datasets.push(
+      {
+        label: `${name} forecast`,
+        data: alignPointsToYears(overlay.forecast, years),
+        borderColor: color,
+        backgroundColor: color,
+        borderDash: [2, 3],
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false,
+      },
+      {
+        label: `${name} 95% upper`,
+        data: alignPointsToYears(overlay.forecast, years, "upper"),
+        borderColor: "transparent",
+        pointRadius: 0,
+        fill: false,
+        isBand: true,
+      },
+      {
+        label: `${name} 95% lower`,
+        data: alignPointsToYears(overlay.forecast, years, "lower"),
+        borderColor: "transparent",
+        backgroundColor: withAlpha(color, 0.15),
+        pointRadius: 0,
+        fill: "-1",
+        isBand: true,
+      }
+    );
+  }
+  return datasets;
+};
+
+export const temperatureTrendChart = ({
+  countryRows,
+  selectedCountry,
+  isComparing,
+  comparedSeries,
+  comparedYears,
+  trendInsights,
+  theme,
+  preferences,
+}) => {
+  const unit = getDisplayUnit("Avg_Temperature_degC", preferences);
+  const forecastYears = trendInsights.flatMap((insight) =>
+    insight.temperatureOverlay.forecast.map((point) => point.x)
+  );
+  if (!isComparing) {
+    const chartRows = downsampleSeries(countryRows, "Year", "Avg_Temperature_degC");
+    const labels = getUniqueSorted([...chartRows.map((row) => Number(row.Year)), ...forecastYears]);
+    return {
+      labels,
+      datasets: [
+        {
+          label: `${selectedCountry || "Country"} avg temperature (${unit})`,
+          country: selectedCountry,
+          data: alignSeriesToYears(chartRows, "Avg_Temperature_degC", labels),
+          borderColor: theme.series.primary,
+          backgroundColor: withAlpha(theme.series.primary, 0.18),
+          tension: 0.35,
+          fill: true,
+        },
+        ...(trendInsights[0]
+          ? trendDatasets(trendInsights[0].temperatureOverlay, labels, {
+              name: selectedCountry,
+              color: theme.series.primaryStrong,
+            })
+          : []),
+      ],
+    };
+  }
+  const labels = getUniqueSorted([...comparedYears, ...forecastYears]);
+  return {
+    labels,
+    datasets: [
+      ...comparedSeries.map((series) => ({
+        label: `${series.country} (${unit})`,
+        country: series.country,
+        data: alignSeriesToYears(
+          downsampleSeries(series.rows, "Year", "Avg_Temperature_degC"),
+          "Avg_Temperature_degC",
+          labels
+        ),
+        borderColor: series.color,
+        backgroundColor: withAlpha(series.color, 0.18),
+        tension: 0.35,
+        spanGaps: true,
+      })),
+      ...trendInsights.flatMap((insight) =>
+        trendDatasets(insight.temperatureOverlay, labels, { name: insight.country, color: insight.color })
+      ),
+    ],
+  };
+};
+
+export const rainfallTrendChart = ({
+  countryRows,
+  selectedCountry,
+  isComparing,
+  comparedSeries,
+  comparedYears,
+  theme,
+  preferences,
+}) => {
+  const unit = getDisplayUnit("Rainfall_mm", preferences);
+  if (!isComparing) {
+    const chartRows = downsampleSeries(countryRows, "Year", "Rainfall_mm");
+    return {
+      labels: chartRows.map((row) => row.Year),
+      datasets: [
+        {
+          label: `${selectedCountry || "Country"} rainfall (${unit})`,
+          country: selectedCountry,
+          data: chartRows.map((row) => row.Rainfall_mm),
+          backgroundColor: withAlpha(theme.series.secondary, 0.65),
+          borderColor: theme.series.secondary,
+          borderWidth: 1,
+          borderRadius: 12,
+        },
+      ],
+    };
+  }
+  return {
+    labels: comparedYears,
+    datasets: comparedSeries.map((series) => ({
+      label: `${series.country} (${unit})`,
+      country: series.country,
+      data: alignSeriesToYears(series.rows, "Rainfall_mm", comparedYears),
+      backgroundColor: withAlpha(series.color, 0.65),
+      borderColor: series.color,
+      borderWidth: 1,
+      borderRadius: 8,
+    })),
+  };
+};
+
+export const resilienceRadarChart = ({
+  resilienceIndex,
+  currentDatum,
+  selectedCountry,
+  selectedYear,
+  isComparing,
+  comparedSeries,
+  theme,
+  preferences,
+}) => {
+  const labels = resilienceIndex.metrics.map((metric) => getDisplayShortLabel(metric.key, preferences));
+  const scoresFor = (country) => {
+    const entry = [...resilienceIndex.entries, ...resilienceIndex.extraEntries].find(
+      (item) => item.country === country
+    );
+    return resilienceIndex.metrics.map((metric) => entry?.scores[metric.key] ?? null);
+  };
+  const averageDataset = {
+    label: `Global average (${selectedYear ?? "--"})`,
+    data: resilienceIndex.metrics.map((metric) => resilienceIndex.average.scores[metric.key]),
+    backgroundColor: withAlpha(theme.series.neutral, 0.12),
+    borderColor: withAlpha(theme.series.neutral, 0.9),
+    borderDash: [6, 4],
+    borderWidth: 2,
+    pointBackgroundColor: theme.series.neutral,
+  };
+
+  if (!isComparing) {
+    return {
+      labels,
+      datasets: [
+        {
+          label:
+            currentDatum && selectedCountry
+              ? `${selectedCountry} profile (${selectedYear})`
+              : "Metric profile",
+          country: selectedCountry,
+          data: scoresFor(selectedCountry),
+          backgroundColor: withAlpha(theme.series.accent, 0.28),
+          borderColor: withAlpha(theme.series.accent, 0.9),
+          borderWidth: 2,
+          pointBackgroundColor: theme.series.accent,
+        },
+        averageDataset,
+      ],
+    };
+  }
+
+  return {
+    labels,
+    datasets: [
+      ...comparedSeries.map((series) => ({
+        label: `${series.country} (${selectedYear})`,
+        country: series.country,
+        data: scoresFor(series.country),
+        backgroundColor: withAlpha(series.color, 0.12),
+        borderColor: series.color,
+        borderWidth: 2,
+        pointBackgroundColor: series.color,
+      })),
+      averageDataset,
+    ],
+  };
+};
+
+export const energyMixChart = (datum, theme) => {
+  const renewable = Number(datum?.Renewable_Energy_pct ?? 0);
+  const normalized = Number.isFinite(renewable) ? Math.min(Math.max(renewable, 0), 100) : 0;
+  return {
+    labels: ["Renewable energy", "Other sources"],
+    datasets: [
+      {
+        data: [normalized, Math.max(0, 100 - normalized)],
+        backgroundColor: [withAlpha(theme.series.positive, 0.85), withAlpha(theme.series.neutralSoft, 0.45)],
+        borderColor: [withAlpha(theme.series.positiveStrong, 0.95), withAlpha(theme.series.neutral, 0.8)],
+        borderWidth: 1,
+        spacing: 4,
+      },
+    ],
+  };
+};
+
+// Mean of `key` per year across every row, rounded to two decimals.
+export const averageByYear = (rows, key) => {
+  const accumulator = new Map();
+  rows.forEach((row) => {
+    const year = Number(row.Year);
+    const value = Number(row[key]);
+    if (!Number.isFinite(year) || !Number.isFinite(value)) return;
+    const entry = accumulator.get(year) || { sum: 0, count: 0 };
+    entry.sum += value;
+    entry.count += 1;
+    accumulator.set(year, entry);
+  });
+
+  return Array.from(accumulator.entries())
+    .map(([year, { sum, count }]) => ({
+      year,
+      value: count ? Number((sum / count).toFixed(2)) : 0,
+    }))
+    .sort((a, b) => a.year - b.year);
+};
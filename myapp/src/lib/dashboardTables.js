@@ -0,0 +1,171 @@
+import { chartDataToTable, describeRanking, describeTrend } from "./a11y.js";
+import { columnHeader, createTable, describeTable } from "./exporters.js";
+import { toPoints } from "./trends.js";
+import { formatNumber, getDisplayLabel, getDisplayShortLabel, unitSuffix } from "./units.js";
+
+// Tables offered in the export panel. Each is only described here; ExportPanel builds it on demand.
+export const describeExportTables = ({
+  comparedSeries,
+  co2RenewableRows,
+  topPopulations,
+  seaLevelSeries,
+  headers,
+  rows,
+  selectedYear,
+  preferences,
+}) => {
+  const columnTitle = (key) => columnHeader(key, preferences);
+  const countryColumn = { header: "Country", value: (row) => row.Country };
+  const yearColumn = { header: "Year", value: (row) => row.Year };
+  return [
+    describeTable({
+      id: "country-trends",
+      title: "Temperature & rainfall trends",
+      columns: [
+        countryColumn,
+        yearColumn,
+        { header: columnTitle("Avg_Temperature_degC"), value: (row) => row.Avg_Temperature_degC },
+        { header: columnTitle("Rainfall_mm"), value: (row) => row.Rainfall_mm },
+      ],
+      rows: comparedSeries.flatMap((series) => series.rows),
+    }),
+    describeTable({
+      id: "co2-vs-renewables",
+      title: `CO₂ vs renewables (${selectedYear ?? "--"})`,
+      columns: [
+        countryColumn,
+        yearColumn,
+        {
+          header: columnTitle("CO2_Emissions_tons_per_capita"),
+          value: (row) => row.CO2_Emissions_tons_per_capita,
+        },
+        { header: "Renewable energy (%)", value: (row) => row.Renewable_Energy_pct },
+        { header: "Population", value: (row) => row.Population },
+      ],
+      rows: co2RenewableRows,
+    }),
+    describeTable({
+      id: "top-populations",
+      title: `Top populations (${selectedYear ?? "--"})`,
+      columns: [countryColumn, yearColumn, { header: "Population", value: (row) => row.Population }],
+      rows: topPopulations,
+    }),
+    describeTable({
+      id: "global-sea-level",
+      title: "Global sea-level rise",
+      columns: [
+        { header: "Year", value: (point) => point.year },
+        { header: columnTitle("Sea_Level_Rise_mm"), value: (point) => point.value },
+      ],
+      rows: seaLevelSeries,
+    }),
+    describeTable({
+      id: "full-dataset",
+      title: "Full normalized dataset",
+      columns: headers.map((key) => ({
+        header: columnTitle(key),
+        value: (row) => row[key],
+      })),
+      rows,
+    }),
+  ];
+};
+
+// Table views of each chart card, for screen readers and anyone who prefers numbers to shapes.
+export const buildCardTables = ({
+  exportTables,
+  charts,
+  choropleth,
+  mapMetric,
+  selectedYear,
+  preferences,
+}) => {
+  const exportTable = (id) => exportTables.find((table) => table.id === id).build();
+  return {
+    temperature: chartDataToTable("temperature", "Temperature trend", charts.temperature, {
+      labelHeader: "Year",
+    }),
+    rainfall: chartDataToTable("rainfall", "Annual rainfall", charts.rainfall, { labelHeader: "Year" }),
+    resilience: chartDataToTable("resilience", "Resilience profile", charts.resilience, { labelHeader: "Metric" }),
+    energyMix: chartDataToTable("energy-mix", "Energy mix", charts.energyMix, {
+      labelHeader: "Source",
+      valueHeader: "Share (%)",
+    }),
+    seaLevel: exportTable("global-sea-level"),
+    co2Renewables: exportTable("co2-vs-renewables"),
+    population: exportTable("top-populations"),
+    worldMap: createTable({
+      id: "world-map",
+      title: `World map (${selectedYear ?? "--"})`,
+      columns: [
+        { header: "Country", value: (row) => row.Country },
+        { header: columnHeader(mapMetric, preferences), value: (row) => row[mapMetric] },
+      ],
+      rows: choropleth.rows,
+    }),
+  };
+};
+
+// One-paragraph text summaries of each card, read out with the card's table.
+export const buildCardSummaries = ({
+  comparedSeries,
+  resilienceRadar,
+  resilienceIndex,
+  currentDatum,
+  selectedCountry,
+  selectedYear,
+  seaLevelSeries,
+  co2RenewableRows,
+  topPopulations,
+  choropleth,
+  mapMetric,
+  preferences,
+}) => {
+  const year = selectedYear ?? "the focus year";
+  const trend = (subject, points, key) =>
+    describeTrend(subject, points, preferences, key ? unitSuffix(key, preferences) : "");
+  const ranking = (subject, items, key) =>
+    describeRanking(subject, items, preferences, key ? unitSuffix(key, preferences) : "");
+  const seriesTrends = (key, noun) =>
+    comparedSeries
+      .map((series) => trend(`${series.country} ${noun}`, toPoints(series.rows, key), key))
+      .join(" ");
+  const focusProfile = resilienceRadar.datasets[0];
+  const renewableShare = formatNumber(currentDatum?.Renewable_Energy_pct, preferences, { suffix: "%" });
+  return {
+    temperature: seriesTrends("Avg_Temperature_degC", "average temperature"),
+    rainfall: seriesTrends("Rainfall_mm", "rainfall"),
+    resilience: focusProfile
+      ? ranking(
+          `${focusProfile.label} scores`,
+          resilienceRadar.labels.map((label, idx) => ({ label, value: focusProfile.data[idx] }))
+        )
+      : "",
+    energyMix: Number.isFinite(currentDatum?.Renewable_Energy_pct)
+      ? `${selectedCountry} draws ${renewableShare} of its energy from renewables in ${year}.`
+      : `No renewable energy share for ${selectedCountry || "the focus country"} in ${year}.`,
+    seaLevel: trend(
+      "Average sea-level rise",
+      seaLevelSeries.map((point) => ({ x: point.year, y: point.value })),
+      "Sea_Level_Rise_mm"
+    ),
+    co2Renewables: ranking(
+      `${getDisplayShortLabel("CO2_Emissions_tons_per_capita", preferences)} in ${year}`,
+      co2RenewableRows.map((row) => ({ label: row.Country, value: row.CO2_Emissions_tons_per_capita })),
+      "CO2_Emissions_tons_per_capita"
+    ),
+    population: ranking(
+      `Population in ${year}`,
+      topPopulations.map((row) => ({ label: row.Country, value: row.Population }))
+    ),
+    worldMap: ranking(
+      `${getDisplayLabel(mapMetric, preferences)} in ${year}`,
+      choropleth.rows.map((row) => ({ label: row.Country, value: row[mapMetric] })),
+      mapMetric
+    ),
+    leaderboard: ranking(
+      `Resilience index in ${year}`,
+      resilienceIndex.entries.map((entry) => ({ label: entry.country, value: entry.index }))
+    ),
+  };
+};
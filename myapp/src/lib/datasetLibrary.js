@@ -0,0 +1,89 @@
+const DB_NAME = "env-dashboard";
+const DB_VERSION = 1;
+const META_STORE = "datasets";
+const CONTENT_STORE = "datasetContents";
+
+let dbPromise = null;
+
+export const isLibraryAvailable = () => typeof indexedDB !== "undefined";
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(CONTENT_STORE)) {
+          db.createObjectStore(CONTENT_STORE, { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const withStores = async (mode, callback) => {
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, CONTENT_STORE], mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await callback(tx.objectStore(META_STORE), tx.objectStore(CONTENT_STORE));
+  await done;
+  return result;
+};
+
+const createId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const listDatasets = async () => {
+  const entries = await withStores("readonly", (meta) => requestToPromise(meta.getAll()));
+  return entries.sort((a, b) => b.uploadedAt - a.uploadedAt);
+};
+
+export const saveDataset = ({ name, text, rowCount, mapping }) => {
+  const entry = { id: createId(), name, uploadedAt: Date.now(), rowCount, mapping };
+  return withStores("readwrite", (meta, content) => {
+    meta.put(entry);
+    content.put({ id: entry.id, text });
+    return entry;
+  });
+};
+
+export const loadDatasetText = async (id) => {
+  const record = await withStores("readonly", (_, content) => requestToPromise(content.get(id)));
+  return record?.text ?? null;
+};
+
+export const updateDataset = (id, changes) =>
+  withStores("readwrite", async (meta) => {
+    const entry = await requestToPromise(meta.get(id));
+    if (!entry) return null;
+    const next = { ...entry, ...changes, id };
+    meta.put(next);
+    return next;
+  });
+
+export const deleteDataset = (id) =>
+  withStores("readwrite", (meta, content) => {
+    meta.delete(id);
+    content.delete(id);
+  });
@@ -0,0 +1,63 @@
+import { prepareDataset } from "./prepareDataset.js";
+import { unpackPrepared } from "./transferDataset.js";
+
+const createWorker = () => {
+  if (typeof Worker === "undefined") return null;
+  try {
+    return new Worker(new URL("./prepareWorker.js", import.meta.url), { type: "module" });
+  } catch (error) {
+    console.warn("Unable to start the prepare worker; preparing on the main thread", error);
+    return null;
+  }
+};
+
+// Runs prepareDataset() off the main thread when workers are available. Returns the running job in the
+// same { promise, cancel } shape as parseCsv() so a new load can cancel it.
+export const prepareDatasetInWorker = (rows, fields, mapping, options) => {
+  let settled = false;
+  let worker = null;
+  let rejectJob = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject;
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      worker?.terminate();
+      callback();
+    };
+
+    worker = createWorker();
+    if (!worker) {
+      let prepared;
+      try {
+        prepared = prepareDataset(rows, fields, mapping, options);
+      } catch (error) {
+        finish(() => reject(error));
+        return;
+      }
+      finish(() => resolve(prepared));
+      return;
+    }
+    worker.onmessage = ({ data }) => {
+      if (data.type === "complete") finish(() => resolve(unpackPrepared(data.dataset)));
+      if (data.type === "error") finish(() => reject(new Error(data.message)));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(() => reject(new Error(event.message || "The prepare worker failed.")));
+    };
+    worker.postMessage({ rows, fields, mapping, options });
+  });
+
+  const cancel = () => {
+    if (settled) return;
+    settled = true;
+    worker?.terminate();
+    const error = new Error("Preparing the dataset was cancelled.");
+    error.name = "AbortError";
+    rejectJob(error);
+  };
+
+  return { promise, cancel };
+};
@@ -0,0 +1,51 @@
+export const MAX_CHART_POINTS = 1500;
+
+// Largest-Triangle-Three-Buckets: keeps the points that preserve a line's visual shape.
+export const downsampleSeries = (rows, xKey, yKey, threshold = MAX_CHART_POINTS) => {
+  if (rows.length <= threshold || threshold < 3) return rows;
+  const x = (row) => Number(row[xKey]);
+  const y = (row) => (Number.isFinite(row[yKey]) ? row[yKey] : 0);
+  const sampled = [rows[0]];
+  const bucketSize = (rows.length - 2) / (threshold - 2);
+  let anchor = rows[0];
+
+  for (let bucket = 0; bucket < threshold - 2; bucket += 1) {
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.min(Math.floor((bucket + 1) * bucketSize) + 1, rows.length - 1);
+    const nextStart = end;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, rows.length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let idx = nextStart; idx < nextEnd; idx += 1) {
+      avgX += x(rows[idx]);
+      avgY += y(rows[idx]);
+    }
+    const nextCount = Math.max(1, nextEnd - nextStart);
+    avgX /= nextCount;
+    avgY /= nextCount;
+
+    let best = rows[start];
+    let bestArea = -1;
+    for (let idx = start; idx < end; idx += 1) {
+      const area = Math.abs(
+        (x(anchor) - avgX) * (y(rows[idx]) - y(anchor)) - (x(anchor) - x(rows[idx])) * (avgY - y(anchor))
+      );
+      if (area > bestArea) {
+        bestArea = area;
+        best = rows[idx];
+      }
+    }
+    sampled.push(best);
+    anchor = best;
+  }
+
+  sampled.push(rows[rows.length - 1]);
+  return sampled;
+};
+
+// Evenly strided sample for scatter-style charts, where no ordering needs preserving.
+export const sampleRows = (rows, limit = MAX_CHART_POINTS) => {
+  if (rows.length <= limit) return rows;
+  const step = rows.length / limit;
+  return Array.from({ length: limit }, (_, idx) => rows[Math.floor(idx * step)]);
+};
@@ -0,0 +1,71 @@
+export const DUPLICATE_STRATEGIES = [
+  { value: "first", label: "Keep first" },
+  { value: "last", label: "Keep last" },
+  { value: "mean", label: "Average" },
+  { value: "median", label: "Median" },
+  { value: "separate", label: "Separate series" },
+];
+
+const rowKey = (row) => `${row.Country}\u0000${row.Year}`;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const combineGroup = (group, strategy) => {
+  if (strategy === "first" || group.length === 1) return group[0];
+  if (strategy === "last") return group[group.length - 1];
+
+  const reduce = strategy === "median" ? median : mean;
+  const combined = { ...group[0] };
+  Object.keys(combined).forEach((key) => {
+    if (key === "Year" || !group.some((row) => typeof row[key] === "number")) return;
+    const values = group.map((row) => row[key]).filter((value) => Number.isFinite(value));
+    combined[key] = values.length ? reduce(values) : NaN;
+  });
+  return combined;
+};
+
+export const reconcileDuplicates = (rows, strategy = "first") => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = rowKey(row);
+    const group = groups.get(key);
+    if (group) {
+      group.push(row);
+    } else {
+      groups.set(key, [row]);
+    }
+  });
+
+  const conflicts = Array.from(groups.values()).filter((group) => group.length > 1);
+  const summary = {
+    conflictCount: conflicts.length,
+    duplicateRowCount: conflicts.reduce((sum, group) => sum + group.length - 1, 0),
+  };
+  if (!conflicts.length) return { rows, ...summary };
+
+  // Repeats become their own series, "Country (2)" and so on. They keep the original name in `variantOf`
+  // so views that need one row per real country (the map, rankings) can leave them out.
+  if (strategy === "separate") {
+    const occurrences = new Map();
+    const separated = rows.map((row) => {
+      const key = rowKey(row);
+      const occurrence = (occurrences.get(key) || 0) + 1;
+      occurrences.set(key, occurrence);
+      return occurrence === 1
+        ? row
+        : { ...row, Country: `${row.Country} (${occurrence})`, variantOf: row.Country };
+    });
+    return { rows: separated, ...summary };
+  }
+
+  return {
+    rows: Array.from(groups.values()).map((group) => combineGroup(group, strategy)),
+    ...summary,
+  };
+};
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { reconcileDuplicates } from "./duplicates.js";
+
+const rows = [
+  { Country: "Chile", Year: 2000, Rainfall_mm: 300, Population: 15 },
+  { Country: "Peru", Year: 2000, Rainfall_mm: 120, Population: 26 },
+  { Country: "Chile", Year: 2000, Rainfall_mm: 400, Population: NaN },
+  { Country: "Chile", Year: 2000, Rainfall_mm: 320, Population: 17 },
+];
+
+const rainfall = (result) => result.rows.map((row) => [row.Country, row.Rainfall_mm]);
+
+test("without duplicates the rows come back untouched", () => {
+  const unique = rows.slice(0, 2);
+  const result = reconcileDuplicates(unique, "mean");
+  assert.equal(result.rows, unique);
+  assert.equal(result.conflictCount, 0);
+  assert.equal(result.duplicateRowCount, 0);
+});
+
+test("conflicts are counted once per country-year", () => {
+  const result = reconcileDuplicates(rows, "first");
+  assert.equal(result.conflictCount, 1);
+  assert.equal(result.duplicateRowCount, 2);
+});
+
+test("first and last keep one of the repeated rows", () => {
+  const first = reconcileDuplicates(rows, "first");
+  assert.deepEqual(rainfall(first), [
+    ["Chile", 300],
+    ["Peru", 120],
+  ]);
+  assert.equal(first.rows[0], rows[0]);
+  assert.deepEqual(rainfall(reconcileDuplicates(rows, "last")), [
+    ["Chile", 320],
+    ["Peru", 120],
+  ]);
+});
+
+test("mean and median combine numeric columns and skip missing values", () => {
+  const mean = reconcileDuplicates(rows, "mean");
+  assert.deepEqual(mean.rows[0], { Country: "Chile", Year: 2000, Rainfall_mm: 340, Population: 16 });
+  assert.equal(mean.rows[1], rows[1]);
+
+  const median = reconcileDuplicates(rows, "median");
+  assert.deepEqual(median.rows[0], { Country: "Chile", Year: 2000, Rainfall_mm: 320, Population: 16 });
+});
+
+test("separate keeps every row and names repeats after the country they repeat", () => {
+  const result = reconcileDuplicates(rows, "separate");
+  assert.deepEqual(
+    result.rows.map((row) => [row.Country, row.variantOf]),
+    [
+      ["Chile", undefined],
+      ["Peru", undefined],
+      ["Chile (2)", "Chile"],
+      ["Chile (3)", "Chile"],
+    ]
+  );
+  assert.equal(result.rows[0], rows[0]);
+});
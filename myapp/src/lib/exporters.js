@@ -0,0 +1,108 @@
+import Papa from "papaparse";
+import { CANONICAL_COLUMNS, getMetric } from "./metrics.js";
+import { getDisplayLabel, getDisplayUnit } from "./units.js";
+
+export const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "json", label: "JSON" },
+  { value: "xlsx", label: "XLSX" },
+];
+
+const cleanValue = (value) => {
+  if (typeof value === "number" && !Number.isFinite(value)) return null;
+  return value ?? null;
+};
+
+export const columnHeader = (key, preferences) => {
+  const column = CANONICAL_COLUMNS.find((item) => item.key === key);
+  if (!column) return key;
+  const label = getMetric(key) ? getDisplayLabel(key, preferences) : column.label;
+  const unit = getDisplayUnit(key, preferences);
+  return unit ? `${label} (${unit})` : label;
+};
+
+export const createTable = ({ id, title, columns, rows }) => ({
+  id,
+  title,
+  headers: columns.map((column) => column.header),
+  rows: rows.map((row) => columns.map((column) => cleanValue(column.value(row)))),
+});
+
+// The export panel's view of a table: headers and a row count up front, the cells only when build() is
+// called on download, so a large dataset is not copied into a table on every selection change.
+export const describeTable = (spec) => ({
+  id: spec.id,
+  title: spec.title,
+  headers: spec.columns.map((column) => column.header),
+  rowCount: spec.rows.length,
+  build: () => createTable(spec),
+});
+
+export const tableToCsv = (table) =>
+  Papa.unparse({ fields: table.headers, data: table.rows.map((row) => row.map((value) => value ?? "")) });
+
+export const tableToJson = (table) =>
+  JSON.stringify(
+    table.rows.map((row) => Object.fromEntries(table.headers.map((header, idx) => [header, row[idx]]))),
+    null,
+    2
+  );
+
+const sheetName = (title, used) => {
+  const base = title.replace(/[\\/?*[\]:]/g, " ").slice(0, 28).trim() || "Sheet";
+  let name = base;
+  let suffix = 2;
+  while (used.has(name)) {
+    name = `${base} ${suffix}`;
+    suffix += 1;
+  }
+  used.add(name);
+  return name;
+};
+
+export const tablesToXlsx = async (tables) => {
+  const XLSX = await import("xlsx");
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  tables.forEach((table) => {
+    const sheet = XLSX.utils.aoa_to_sheet([table.headers, ...table.rows]);
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName(table.title, used));
+  });
+  const buffer = XLSX.write(workbook, { bookType: "xlsx", type: "array" });
+  return new Blob([buffer], {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const slugify = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+export const exportTables = async (tables, format, baseName) => {
+  const filename = slugify(baseName) || "environment-dashboard";
+  if (format === "xlsx") {
+    downloadBlob(await tablesToXlsx(tables), `${filename}.xlsx`);
+    return;
+  }
+  tables.forEach((table) => {
+    const name = tables.length > 1 ? `${filename}-${table.id}` : filename;
+    if (format === "json") {
+      downloadBlob(new Blob([tableToJson(table)], { type: "application/json" }), `${name}.json`);
+    } else {
+      downloadBlob(new Blob([tableToCsv(table)], { type: "text/csv" }), `${name}.csv`);
+    }
+  });
+};
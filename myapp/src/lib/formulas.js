@@ -0,0 +1,318 @@
+const COURSE_FORMULAS_KEY = "env-dashboard:course-derived-columns";
+
+const COLUMN_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export const FORMULA_FUNCTIONS = {
+  abs: { args: [1, 1], description: "Absolute value" },
+  sqrt: { args: [1, 1], description: "Square root" },
+  log: { args: [1, 1], description: "Natural logarithm" },
+  exp: { args: [1, 1], description: "e raised to a value" },
+  round: { args: [1, 2], description: "round(x, digits)" },
+  min: { args: [2, Infinity], description: "Smallest of the arguments" },
+  max: { args: [2, Infinity], description: "Largest of the arguments" },
+  lag: { args: [1, 2], description: "lag(x, n): the country's value n years earlier (blank if missing)" },
+  lead: { args: [1, 2], description: "lead(x, n): the country's value n years later (blank if missing)" },
+  mean: { args: [1, 1], description: "mean(x): the country's mean across its years" },
+  yearmean: { args: [1, 1], description: "yearmean(x): mean across countries for the same year" },
+};
+
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(text.slice(index));
+      if (!match) throw new Error(`Unexpected "${char}" at position ${index + 1}.`);
+      tokens.push({ type: "number", value: Number(match[0]), position: index });
+      index += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(index));
+      tokens.push({ type: "name", value: match[0], position: index });
+      index += match[0].length;
+    } else if (char === "[") {
+      const end = text.indexOf("]", index);
+      if (end === -1) throw new Error(`Unclosed "[" at position ${index + 1}.`);
+      tokens.push({ type: "name", value: text.slice(index + 1, end).trim(), position: index, quoted: true });
+      index = end + 1;
+    } else if ("+-*/%^(),".includes(char)) {
+      tokens.push({ type: char, position: index });
+      index += 1;
+    } else {
+      throw new Error(`Unexpected "${char}" at position ${index + 1}.`);
+    }
+  }
+  tokens.push({ type: "end", position: text.length });
+  return tokens;
+};
+
+// Recursive-descent parser producing a small AST; nothing in the formula is ever executed as code.
+const parse = (text, columns) => {
+  const tokens = tokenize(text);
+  let cursor = 0;
+  const peek = () => tokens[cursor];
+  const next = () => tokens[cursor++];
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new Error(`Expected "${type}" at position ${token.position + 1}.`);
+    }
+    return token;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (peek().type === "+" || peek().type === "-") {
+      const op = next().type;
+      node = { type: "binary", op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (["*", "/", "%"].includes(peek().type)) {
+      const op = next().type;
+      node = { type: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (peek().type === "-") {
+      next();
+      return { type: "negate", value: parseUnary() };
+    }
+    if (peek().type === "+") {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek().type === "^") {
+      next();
+      return { type: "binary", op: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token.type === "number") return { type: "number", value: token.value };
+    if (token.type === "(") {
+      const node = parseExpression();
+      expect(")");
+      return node;
+    }
+    if (token.type === "name") {
+      const fn = FORMULA_FUNCTIONS[token.value.toLowerCase()];
+      if (!token.quoted && peek().type === "(") {
+        if (!fn) throw new Error(`Unknown function "${token.value}" at position ${token.position + 1}.`);
+        next();
+        const args = [];
+        if (peek().type !== ")") {
+          args.push(parseExpression());
+          while (peek().type === ",") {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(")");
+        const [minArgs, maxArgs] = fn.args;
+        if (args.length < minArgs || args.length > maxArgs) {
+          throw new Error(`Wrong number of arguments for ${token.value.toLowerCase()}().`);
+        }
+        return { type: "call", name: token.value.toLowerCase(), args };
+      }
+      if (!columns.includes(token.value)) {
+        throw new Error(`Unknown column "${token.value}" at position ${token.position + 1}.`);
+      }
+      return { type: "column", name: token.value };
+    }
+    if (token.type === "end") throw new Error("The formula ended unexpectedly.");
+    throw new Error(`Unexpected "${token.type}" at position ${token.position + 1}.`);
+  };
+
+  const ast = parseExpression();
+  if (peek().type !== "end") {
+    throw new Error(`Unexpected "${peek().value ?? peek().type}" at position ${peek().position + 1}.`);
+  }
+  return ast;
+};
+
+const toValue = (value) => (typeof value === "number" && Number.isFinite(value) ? value : NaN);
+
+const BINARY_OPS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => (b === 0 ? NaN : a / b),
+  "%": (a, b) => (b === 0 ? NaN : a % b),
+  "^": (a, b) => a ** b,
+};
+
+const buildContext = (rows) => {
+  const byCountry = new Map();
+  const byYear = new Map();
+  rows.forEach((row, idx) => {
+    const country = byCountry.get(row.Country) || [];
+    country.push(idx);
+    byCountry.set(row.Country, country);
+    const year = byYear.get(row.Year) || [];
+    year.push(idx);
+    byYear.set(row.Year, year);
+  });
+  byCountry.forEach((indexes) => indexes.sort((a, b) => rows[a].Year - rows[b].Year));
+  return { rows, byCountry: Array.from(byCountry.values()), byYear: Array.from(byYear.values()) };
+};
+
+const groupMean = (values, groups) => {
+  const result = new Array(values.length).fill(NaN);
+  groups.forEach((indexes) => {
+    const finite = indexes.map((idx) => values[idx]).filter(Number.isFinite);
+    const average = finite.length ? finite.reduce((sum, value) => sum + value, 0) / finite.length : NaN;
+    indexes.forEach((idx) => {
+      result[idx] = average;
+    });
+  });
+  return result;
+};
+
+// Looks up the value at Year + offset for the same country, so gaps in the years give NaN rather than
+// silently reaching further back.
+const shiftByYear = (values, rows, groups, offset) => {
+  const result = new Array(values.length).fill(NaN);
+  groups.forEach((indexes) => {
+    const byYear = new Map();
+    indexes.forEach((idx) => {
+      if (!byYear.has(rows[idx].Year)) byYear.set(rows[idx].Year, idx);
+    });
+    indexes.forEach((idx) => {
+      const source = byYear.get(rows[idx].Year + offset);
+      if (source !== undefined) result[idx] = values[source];
+    });
+  });
+  return result;
+};
+
+const constantArg = (values, fallback) => (values ? values.find(Number.isFinite) ?? fallback : fallback);
+
+// Evaluates a node to one value per row so that lag/lead and group means can look across rows.
+const evaluate = (node, context) => {
+  const count = context.rows.length;
+  switch (node.type) {
+    case "number":
+      return new Array(count).fill(node.value);
+    case "column":
+      return context.rows.map((row) => toValue(row[node.name]));
+    case "negate":
+      return evaluate(node.value, context).map((value) => -value);
+    case "binary": {
+      const left = evaluate(node.left, context);
+      const right = evaluate(node.right, context);
+      const op = BINARY_OPS[node.op];
+      return left.map((value, idx) => op(value, right[idx]));
+    }
+    case "call": {
+      const args = node.args.map((arg) => evaluate(arg, context));
+      const [first] = args;
+      switch (node.name) {
+        case "abs":
+          return first.map(Math.abs);
+        case "sqrt":
+          return first.map((value) => (value < 0 ? NaN : Math.sqrt(value)));
+        case "log":
+          return first.map((value) => (value <= 0 ? NaN : Math.log(value)));
+        case "exp":
+          return first.map(Math.exp);
+        case "round": {
+          const factor = 10 ** Math.round(constantArg(args[1], 0));
+          return first.map((value) => Math.round(value * factor) / factor);
+        }
+        case "min":
+          return first.map((_, idx) => Math.min(...args.map((arg) => arg[idx])));
+        case "max":
+          return first.map((_, idx) => Math.max(...args.map((arg) => arg[idx])));
+        case "lag":
+          return shiftByYear(first, context.rows, context.byCountry, -Math.round(constantArg(args[1], 1)));
+        case "lead":
+          return shiftByYear(first, context.rows, context.byCountry, Math.round(constantArg(args[1], 1)));
+        case "mean":
+          return groupMean(first, context.byCountry);
+        case "yearmean":
+          return groupMean(first, context.byYear);
+        default:
+          throw new Error(`Unknown function "${node.name}".`);
+      }
+    }
+    default:
+      throw new Error("Unsupported formula.");
+  }
+};
+
+export const validateColumnName = (name, existingHeaders) => {
+  if (!name) return "Give the column a name.";
+  if (!COLUMN_NAME_PATTERN.test(name)) {
+    return "Use letters, digits and underscores only, starting with a letter.";
+  }
+  if (existingHeaders.includes(name)) return `A column named "${name}" already exists.`;
+  if (FORMULA_FUNCTIONS[name.toLowerCase()]) return `"${name}" is reserved for a function.`;
+  return "";
+};
+
+export const compileFormula = (formula, columns) => {
+  if (!String(formula ?? "").trim()) throw new Error("Enter a formula.");
+  return parse(String(formula), columns);
+};
+
+export const evaluateFormula = (formula, rows, columns) =>
+  evaluate(compileFormula(formula, columns), buildContext(rows));
+
+// Applies derived column definitions in order so later formulas can reference earlier ones.
+export const applyDerivedColumns = (rows, headers, definitions) => {
+  if (!definitions.length) return { rows, headers, errors: {} };
+  const context = buildContext(rows);
+  const nextRows = rows.map((row) => ({ ...row }));
+  context.rows = nextRows;
+  const nextHeaders = [...headers];
+  const errors = {};
+  definitions.forEach(({ name, formula }) => {
+    const nameError = validateColumnName(name, nextHeaders);
+    if (nameError) {
+      errors[name] = nameError;
+      return;
+    }
+    try {
+      const values = evaluate(compileFormula(formula, nextHeaders), context);
+      nextRows.forEach((row, idx) => {
+        row[name] = Number.isFinite(values[idx]) ? values[idx] : NaN;
+      });
+      nextHeaders.push(name);
+    } catch (error) {
+      errors[name] = error.message;
+    }
+  });
+  return { rows: nextRows, headers: nextHeaders, errors };
+};
+
+export const loadCourseFormulas = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COURSE_FORMULAS_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveCourseFormulas = (definitions) => {
+  try {
+    localStorage.setItem(COURSE_FORMULAS_KEY, JSON.stringify(definitions));
+  } catch (error) {
+    console.warn("Unable to persist derived columns", error);
+  }
+};
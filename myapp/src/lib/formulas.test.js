@@ -0,0 +1,21 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { evaluateFormula } from "./formulas.js";
+
+const columns = ["Country", "Year", "Value"];
+
+test("lag and lead look up the same country by year, not by row", () => {
+  // Uneven gaps: 2000, 2005, 2006 and 2010 for A; B is listed out of order.
+  const rows = [
+    { Country: "A", Year: 2000, Value: 1 },
+    { Country: "A", Year: 2005, Value: 2 },
+    { Country: "B", Year: 2001, Value: 20 },
+    { Country: "A", Year: 2006, Value: 4 },
+    { Country: "B", Year: 2000, Value: 10 },
+    { Country: "A", Year: 2010, Value: 8 },
+  ];
+
+  assert.deepEqual(evaluateFormula("lag(Value)", rows, columns), [NaN, NaN, 10, 2, NaN, NaN]);
+  assert.deepEqual(evaluateFormula("lead(Value)", rows, columns), [NaN, 4, NaN, NaN, 20, NaN]);
+  assert.deepEqual(evaluateFormula("Value - lag(Value, 5)", rows, columns), [NaN, 1, NaN, NaN, NaN, 6]);
+});
@@ -0,0 +1,101 @@
+import { resolveCountryCode } from "./countryCodes.js";
+import { BUILT_IN_GROUPS } from "./regions.js";
+import { getDisplayAggregation } from "./units.js";
+
+const STORAGE_KEY = "env-dashboard:country-groups";
+
+export const AGGREGATION_RULES = [
+  { value: "weightedMean", label: "Population-weighted mean" },
+  { value: "sum", label: "Sum" },
+  { value: "mean", label: "Mean" },
+];
+
+export const loadGroupSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return {
+      groups: Array.isArray(stored.groups)
+        ? stored.groups.filter((group) => group?.name && Array.isArray(group.members))
+        : [],
+      rules: stored.rules && typeof stored.rules === "object" ? stored.rules : {},
+    };
+  } catch {
+    return { groups: [], rules: {} };
+  }
+};
+
+export const saveGroupSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Unable to persist country groups", error);
+  }
+};
+
+export const getAggregationRule = (key, rules, preferences) =>
+  rules[key] ?? getDisplayAggregation(key, preferences) ?? "mean";
+
+// Matches built-in ISO-code groups and user groups against the dataset's country names.
+// Groups without members in the dataset, or named like a country, are left out.
+export const resolveGroups = (countries, userGroups) => {
+  const countrySet = new Set(countries);
+  const codes = new Map(countries.map((country) => [country, resolveCountryCode(country)]));
+  const builtIn = BUILT_IN_GROUPS.map((group) => ({
+    name: group.name,
+    kind: group.kind,
+    builtIn: true,
+    members: countries.filter((country) => group.codes.includes(codes.get(country))),
+  }));
+  const custom = userGroups.map((group) => ({
+    name: group.name,
+    kind: "Custom",
+    builtIn: false,
+    members: group.members.filter((member) => countrySet.has(member)),
+  }));
+  const seen = new Set();
+  return [...builtIn, ...custom].filter((group) => {
+    if (!group.members.length || countrySet.has(group.name) || seen.has(group.name)) return false;
+    seen.add(group.name);
+    return true;
+  });
+};
+
+const aggregateValues = (memberRows, key, rule) => {
+  const valid = memberRows.filter((row) => Number.isFinite(row[key]));
+  if (!valid.length) return NaN;
+  if (rule === "sum") return valid.reduce((sum, row) => sum + row[key], 0);
+  if (rule === "weightedMean") {
+    const weighted = valid.filter((row) => Number.isFinite(row.Population) && row.Population > 0);
+    const totalWeight = weighted.reduce((sum, row) => sum + row.Population, 0);
+    if (totalWeight) {
+      return weighted.reduce((sum, row) => sum + row[key] * row.Population, 0) / totalWeight;
+    }
+  }
+  return valid.reduce((sum, row) => sum + row[key], 0) / valid.length;
+};
+
+// Builds one synthetic row per group and year, shaped like a country row so charts can plot it. Reads
+// members' rows from the row index (rowIndex.js) rather than scanning every row.
+export const aggregateGroupRows = (rowIndex, groups, metricKeys, rules, preferences) => {
+  const groupRows = [];
+  groups.forEach((group) => {
+    const rowsByYear = new Map();
+    group.members.forEach((member) => {
+      const memberYears = new Map();
+      (rowIndex.byCountry.get(member) ?? []).forEach((row) => memberYears.set(row.Year, row));
+      memberYears.forEach((row, year) => {
+        const yearRows = rowsByYear.get(year);
+        if (yearRows) yearRows.push(row);
+        else rowsByYear.set(year, [row]);
+      });
+    });
+    rowsByYear.forEach((memberRows, year) => {
+      const row = { Country: group.name, Year: year, isGroup: true, memberCount: memberRows.length };
+      metricKeys.forEach((key) => {
+        row[key] = aggregateValues(memberRows, key, getAggregationRule(key, rules, preferences));
+      });
+      groupRows.push(row);
+    });
+  });
+  return groupRows.sort((a, b) => a.Year - b.Year);
+};
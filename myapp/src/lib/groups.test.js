@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { aggregateGroupRows, getAggregationRule, resolveGroups } from "./groups.js";
+import { buildRowIndex } from "./rowIndex.js";
+import { DEFAULT_PREFERENCES } from "./units.js";
+
+const rows = [
+  { Country: "France", Year: 2000, CO2_Emissions_tons_per_capita: 6, Population: 60, Forest_Area_pct: 30 },
+  { Country: "Germany", Year: 2000, CO2_Emissions_tons_per_capita: 10, Population: 80, Forest_Area_pct: 32 },
+  { Country: "Chile", Year: 2000, CO2_Emissions_tons_per_capita: 4, Population: 15, Forest_Area_pct: 23 },
+  { Country: "France", Year: 2001, CO2_Emissions_tons_per_capita: 5, Population: NaN, Forest_Area_pct: 31 },
+  { Country: "Germany", Year: 2001, CO2_Emissions_tons_per_capita: 9, Population: 81, Forest_Area_pct: NaN },
+];
+const metrics = ["CO2_Emissions_tons_per_capita", "Population", "Forest_Area_pct"];
+const groups = [{ name: "Pair", members: ["France", "Germany"] }];
+
+const aggregate = (rules = {}, preferences = DEFAULT_PREFERENCES) =>
+  aggregateGroupRows(buildRowIndex(rows), groups, metrics, rules, preferences);
+
+test("per-capita metrics default to a population-weighted mean, totals to a sum", () => {
+  const [year2000] = aggregate();
+  assert.equal(year2000.Country, "Pair");
+  assert.equal(year2000.isGroup, true);
+  assert.equal(year2000.memberCount, 2);
+  assert.equal(year2000.CO2_Emissions_tons_per_capita, (6 * 60 + 10 * 80) / 140);
+  assert.equal(year2000.Population, 140);
+  assert.equal(year2000.Forest_Area_pct, 31);
+});
+
+test("weighted means use only members with a population and skip missing values", () => {
+  const year2001 = aggregate()[1];
+  assert.equal(year2001.Year, 2001);
+  assert.equal(year2001.CO2_Emissions_tons_per_capita, 9);
+  assert.equal(year2001.Population, 81);
+  assert.equal(year2001.Forest_Area_pct, 31);
+});
+
+test("without any population the weighted mean falls back to a plain mean", () => {
+  const unweighted = rows.map((row) => ({ ...row, Population: NaN }));
+  const [year2000] = aggregateGroupRows(buildRowIndex(unweighted), groups, metrics, {}, DEFAULT_PREFERENCES);
+  assert.equal(year2000.CO2_Emissions_tons_per_capita, 8);
+  assert.ok(Number.isNaN(year2000.Population));
+});
+
+test("chosen rules override the defaults", () => {
+  const [year2000] = aggregate({ CO2_Emissions_tons_per_capita: "mean", Forest_Area_pct: "sum" });
+  assert.equal(year2000.CO2_Emissions_tons_per_capita, 8);
+  assert.equal(year2000.Forest_Area_pct, 62);
+  assert.equal(getAggregationRule("Custom_metric", {}, DEFAULT_PREFERENCES), "mean");
+  const totals = { ...DEFAULT_PREFERENCES, co2: "total" };
+  assert.equal(getAggregationRule("CO2_Emissions_tons_per_capita", {}, totals), "sum");
+});
+
+test("groups keep members found in the dataset and skip empty or clashing ones", () => {
+  const resolved = resolveGroups(
+    ["France", "Germany", "Chile", "Nordics"],
+    [
+      { name: "Pair", members: ["France", "Germany", "Atlantis"] },
+      { name: "Nowhere", members: ["Atlantis"] },
+      { name: "Nordics", members: ["France"] },
+    ]
+  );
+  const pair = resolved.find((group) => group.name === "Pair");
+  assert.deepEqual(pair.members, ["France", "Germany"]);
+  assert.equal(pair.builtIn, false);
+  assert.ok(!resolved.some((group) => group.name === "Nowhere" || group.name === "Nordics"));
+  assert.deepEqual(resolved.find((group) => group.name === "G7").members, ["France", "Germany"]);
+});
@@ -0,0 +1,65 @@
+import {
+  formatInteger,
+  formatNumber,
+  getDisplayShortLabel,
+  getDisplayUnit,
+  unitSuffix,
+} from "./units.js";
+
+// The figures in the dashboard header for the focus year: one value per compared series, with the rate of
+// change from each series' trend insight underneath where the metric has one.
+export const buildHighlightStats = (comparedSeries, trendInsights, preferences) => {
+  const format = (value, options) => formatNumber(value, preferences, options);
+  const formatSigned = (value, suffix) =>
+    Number.isFinite(value) ? `${value > 0 ? "+" : ""}${format(value)}${suffix}` : "--";
+  const temperatureSuffix = unitSuffix("Avg_Temperature_degC", preferences);
+  const co2Key = "CO2_Emissions_tons_per_capita";
+  const statDefinitions = [
+    {
+      label: "Average temperature",
+      format: (datum) => format(datum?.Avg_Temperature_degC, { suffix: temperatureSuffix }),
+      caption: "Surface temperature for the selected country",
+      detail: (insight) => {
+        const rate = formatSigned(
+          insight?.temperaturePerDecade,
+          ` ${getDisplayUnit("Avg_Temperature_degC", preferences)}/decade`
+        );
+        const projection = insight?.temperatureOverlay.forecast.at(-1);
+        if (!projection) return rate;
+        return `${rate} · ${projection.x}: ${format(projection.y, { suffix: temperatureSuffix })} (${format(projection.lower)}–${format(projection.upper)})`;
+      },
+    },
+    {
+      label: getDisplayShortLabel(co2Key, preferences),
+      format: (datum) => format(datum?.[co2Key], { suffix: unitSuffix(co2Key, preferences) }),
+      caption:
+        getDisplayUnit(co2Key, preferences) === "t" ? "Annual emissions intensity" : "Annual national emissions",
+      detail: (insight) => `CAGR ${formatSigned((insight?.co2Growth ?? NaN) * 100, "%/yr")}`,
+    },
+    {
+      label: "Renewable energy share",
+      format: (datum) => format(datum?.Renewable_Energy_pct, { suffix: "%" }),
+      caption: "Percent of energy from renewables",
+    },
+    {
+      label: "Population exposed",
+      format: (datum) => format(datum?.Population, { compact: true }),
+      caption: "Residents during the focus year",
+      detail: (insight) => `CAGR ${formatSigned((insight?.populationGrowth ?? NaN) * 100, "%/yr")}`,
+    },
+    {
+      label: "Extreme weather events",
+      format: (datum) => formatInteger(datum?.Extreme_Weather_Events, preferences),
+      caption: "Reported incidents impacting communities",
+    },
+  ];
+
+  return statDefinitions.map(({ label, caption, format, detail }) => ({
+    label,
+    caption,
+    value: format(comparedSeries[0]?.datum),
+    values: comparedSeries.map((series) => format(series.datum)),
+    detail: detail?.(trendInsights[0]),
+    details: trendInsights.map((insight) => detail?.(insight)),
+  }));
+};
@@ -0,0 +1,148 @@
+import { CHART_STRATEGIES } from "./chartStrategies.js";
+import { scopedKey } from "./storage.js";
+
+const ACTIVE_LAYOUT_KEY = "env-dashboard:layout";
+const PRESETS_KEY = "env-dashboard:layout-presets";
+const LAYOUT_FILE_VERSION = 1;
+
+export const DASHBOARD_CARDS = [
+  { id: "temperature", title: "Temperature trend" },
+  { id: "rainfall", title: "Annual rainfall" },
+  { id: "resilience", title: "Resilience profile" },
+  { id: "energyMix", title: "Energy mix" },
+  { id: "seaLevel", title: "Global sea-level rise" },
+  { id: "co2Renewables", title: "CO₂ vs renewables" },
+  { id: "population", title: "Population exposed to climate risk" },
+  { id: "worldMap", title: "World map" },
+  { id: "correlation", title: "Metric correlations" },
+  { id: "leaderboard", title: "Resilience leaderboard" },
+];
+
+export const CARD_SIZES = {
+  regular: { label: "Half width", className: "" },
+  tall: { label: "Half width, tall", className: "min-h-[620px]" },
+  wide: { label: "Full width", className: "lg:col-span-2" },
+  wideTall: { label: "Full width, tall", className: "lg:col-span-2 min-h-[620px]" },
+};
+
+const CARD_IDS = DASHBOARD_CARDS.map((card) => card.id);
+
+export const DEFAULT_LAYOUT = {
+  order: CARD_IDS,
+  hidden: [],
+  sizes: { worldMap: "wide", correlation: "wide" },
+  customCharts: [],
+};
+
+export const getCardTitle = (id) => DASHBOARD_CARDS.find((card) => card.id === id)?.title ?? id;
+
+const CUSTOM_CHART_SCOPES = ["year", "range"];
+
+// Custom charts are saved with the layout; configs with an unknown chart type or scope are dropped.
+export const normalizeCustomCharts = (charts) =>
+  (Array.isArray(charts) ? charts : [])
+    .filter(
+      (chart) =>
+        typeof chart?.id === "string" &&
+        CHART_STRATEGIES[chart.type] &&
+        CUSTOM_CHART_SCOPES.includes(chart.scope) &&
+        chart.encoding &&
+        typeof chart.encoding === "object"
+    )
+    .map(({ id, type, scope, encoding }) => ({ id, type, scope, encoding: { ...encoding } }));
+
+// Drop unknown cards and append any the layout predates so older presets keep working.
+export const normalizeLayout = (layout) => {
+  const order = Array.isArray(layout?.order) ? layout.order.filter((id) => CARD_IDS.includes(id)) : [];
+  const hidden = Array.isArray(layout?.hidden) ? layout.hidden.filter((id) => CARD_IDS.includes(id)) : [];
+  const sizes = {};
+  Object.entries(layout?.sizes || {}).forEach(([id, size]) => {
+    if (CARD_IDS.includes(id) && CARD_SIZES[size]) sizes[id] = size;
+  });
+  return {
+    order: [...new Set([...order, ...CARD_IDS])],
+    hidden: [...new Set(hidden)],
+    sizes,
+    customCharts: normalizeCustomCharts(layout?.customCharts),
+  };
+};
+
+export const moveCard = (layout, id, targetId) => {
+  if (id === targetId) return layout;
+  const order = layout.order.filter((item) => item !== id);
+  const targetIndex = targetId ? order.indexOf(targetId) : order.length;
+  order.splice(targetIndex === -1 ? order.length : targetIndex, 0, id);
+  return { ...layout, order };
+};
+
+export const shiftCard = (layout, id, offset) => {
+  const visible = layout.order.filter((item) => !layout.hidden.includes(item));
+  const index = visible.indexOf(id);
+  const target = visible[index + offset];
+  if (index === -1 || !target) return layout;
+  const order = [...layout.order];
+  const from = order.indexOf(id);
+  const to = order.indexOf(target);
+  [order[from], order[to]] = [order[to], order[from]];
+  return { ...layout, order };
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn("Unable to persist dashboard layout", error);
+  }
+};
+
+export const loadActiveLayout = (scope) =>
+  normalizeLayout(readJson(scopedKey(ACTIVE_LAYOUT_KEY, scope), DEFAULT_LAYOUT));
+
+export const saveActiveLayout = (layout, scope) => writeJson(scopedKey(ACTIVE_LAYOUT_KEY, scope), layout);
+
+// Named presets are one library shared by every dashboard on the page.
+export const loadLayoutPresets = () => {
+  const presets = readJson(PRESETS_KEY, {});
+  return Object.fromEntries(
+    Object.entries(presets).map(([name, layout]) => [name, normalizeLayout(layout)])
+  );
+};
+
+export const saveLayoutPreset = (name, layout) => {
+  const presets = { ...loadLayoutPresets(), [name]: normalizeLayout(layout) };
+  writeJson(PRESETS_KEY, presets);
+  return presets;
+};
+
+export const deleteLayoutPreset = (name) => {
+  const presets = loadLayoutPresets();
+  delete presets[name];
+  writeJson(PRESETS_KEY, presets);
+  return presets;
+};
+
+export const layoutToJson = (name, layout) =>
+  JSON.stringify({ version: LAYOUT_FILE_VERSION, name, layout: normalizeLayout(layout) }, null, 2);
+
+export const parseLayoutJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("The layout file is not valid JSON.");
+  }
+  const layout = parsed?.layout ?? parsed;
+  if (!Array.isArray(layout?.order)) {
+    throw new Error("The layout file does not contain a card order.");
+  }
+  return { name: typeof parsed.name === "string" ? parsed.name : "", layout: normalizeLayout(layout) };
+};
@@ -0,0 +1,190 @@
+import Papa from "papaparse";
+import { parseCsv } from "./csvParser.js";
+import { prepareDatasetInWorker } from "./datasetPreparer.js";
+
+// Wraps a one-shot async loader in the same { promise, cancel } job shape as the streaming CSV parser.
+const createJob = (run) => {
+  let cancelled = false;
+  let rejectJob = () => {};
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject;
+    run().then(
+      (result) => !cancelled && resolve(result),
+      (error) => !cancelled && reject(error)
+    );
+  });
+  const cancel = () => {
+    if (cancelled) return;
+    cancelled = true;
+    const error = new Error("Loading was cancelled.");
+    error.name = "AbortError";
+    rejectJob(error);
+  };
+  return { promise, cancel };
+};
+
+const readText = (source) => (typeof source === "string" ? Promise.resolve(source) : source.text());
+
+const collectFields = (rows) => {
+  const fields = [];
+  const seen = new Set();
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (seen.has(key)) return;
+      seen.add(key);
+      fields.push(key);
+    });
+  });
+  return fields;
+};
+
+const isRecord = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isRecordArray = (value) => Array.isArray(value) && value.length > 0 && value.every(isRecord);
+
+// { Country: [...], Year: [...] } style column arrays of equal length.
+const columnsToRecords = (value) => {
+  const entries = Object.entries(value);
+  if (!entries.length || !entries.every(([, column]) => Array.isArray(column))) return null;
+  const length = entries[0][1].length;
+  if (!length || entries.some(([, column]) => column.length !== length)) return null;
+  return Array.from({ length }, (_, idx) =>
+    Object.fromEntries(entries.map(([key, column]) => [key, column[idx]]))
+  );
+};
+
+// Parquet INT64 columns arrive as BigInt and date cells as Date; the dashboard works with plain numbers.
+const toPlainValue = (value) => {
+  if (typeof value === "bigint") return Number(value);
+  if (value instanceof Date) return value.getUTCFullYear();
+  return value;
+};
+
+const toPlainRow = (row) =>
+  Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toPlainValue(value)]));
+
+// A table already in memory, in the same shape as a parsed CSV table whose rows wait in the CSV worker.
+// Empty records are dropped.
+export const memoryTable = ({ name = "", rows, fields }) => {
+  const kept = rows.filter((row) => Object.keys(row).length);
+  return {
+    name,
+    fields,
+    rowCount: kept.length,
+    prepare: (mapping, options) => prepareDatasetInWorker(kept, fields, mapping, options),
+    readRows: () => Promise.resolve(kept),
+    release: () => {},
+  };
+};
+
+const csvLoader = (delimiter) => (source, { onProgress } = {}) => {
+  const job = parseCsv(source, { delimiter, onProgress });
+  return {
+    promise: job.promise.then(({ errors, ...table }) => ({ tables: [{ name: "", ...table }], errors })),
+    cancel: job.cancel,
+  };
+};
+
+const loadJson = (source) =>
+  createJob(async () => {
+    let data;
+    try {
+      data = JSON.parse(await readText(source));
+    } catch (error) {
+      throw new Error(`The file is not valid JSON (${error.message}).`);
+    }
+    const tables = [];
+    if (isRecordArray(data)) {
+      tables.push({ name: "", rows: data });
+    } else if (data && typeof data === "object") {
+      const columnar = columnsToRecords(data);
+      if (columnar) {
+        tables.push({ name: "", rows: columnar });
+      } else {
+        Object.entries(data).forEach(([name, value]) => {
+          const rows = isRecordArray(value) ? value : isRecord(value) ? columnsToRecords(value) : null;
+          if (rows) tables.push({ name, rows });
+        });
+      }
+    }
+    if (!tables.length) {
+      throw new Error("Expected an array of records, or an object holding arrays of records.");
+    }
+    return {
+      tables: tables.map((table) => memoryTable({ ...table, fields: collectFields(table.rows) })),
+      errors: [],
+    };
+  });
+
+const loadWorkbook = (source) =>
+  createJob(async () => {
+    const XLSX = await import("xlsx");
+    const workbook = XLSX.read(await source.arrayBuffer(), { type: "array", cellDates: true });
+    const tables = workbook.SheetNames.map((name) => {
+      const sheet = workbook.Sheets[name];
+      const [header = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false });
+      const rows = XLSX.utils.sheet_to_json(sheet, { defval: null, blankrows: false }).map(toPlainRow);
+      const fields = header.map((field) => String(field ?? "")).filter(Boolean);
+      return memoryTable({ name, rows, fields: fields.length ? fields : collectFields(rows) });
+    }).filter((table) => table.rowCount);
+    if (!tables.length) throw new Error("The workbook has no sheets with data.");
+    return { tables, errors: [] };
+  });
+
+const loadParquet = (source) =>
+  createJob(async () => {
+    const { parquetMetadata, parquetReadObjects, parquetSchema } = await import("hyparquet");
+    const file = await source.arrayBuffer();
+    const metadata = parquetMetadata(file);
+    const fields = parquetSchema(metadata).children.map((child) => child.element.name);
+    const rows = (await parquetReadObjects({ file, metadata })).map(toPlainRow);
+    return { tables: [memoryTable({ rows, fields })], errors: [] };
+  });
+
+// Each loader resolves to { tables, errors }, with tables shaped like memoryTable(). Text-based loaders can
+// be saved to the dataset library as-is; the rest are saved as CSV after import.
+export const DATASET_LOADERS = [
+  {
+    id: "csv",
+    label: "CSV (comma or semicolon)",
+    extensions: [".csv", ".txt"],
+    mimeTypes: ["text/csv"],
+    textBased: true,
+    load: csvLoader(""),
+  },
+  {
+    id: "tsv",
+    label: "TSV",
+    extensions: [".tsv", ".tab"],
+    mimeTypes: ["text/tab-separated-values"],
+    textBased: true,
+    load: csvLoader("\t"),
+  },
+  { id: "json", label: "JSON", extensions: [".json"], mimeTypes: ["application/json"], load: loadJson },
+  {
+    id: "xlsx",
+    label: "Excel workbook",
+    extensions: [".xlsx", ".xls", ".ods"],
+    mimeTypes: [],
+    load: loadWorkbook,
+  },
+  { id: "parquet", label: "Parquet", extensions: [".parquet"], mimeTypes: [], load: loadParquet },
+];
+
+export const CSV_LOADER = DATASET_LOADERS[0];
+
+export const ACCEPTED_FILE_TYPES = DATASET_LOADERS.flatMap((loader) => [
+  ...loader.extensions,
+  ...loader.mimeTypes,
+]).join(",");
+
+export const findLoader = (file) => {
+  const name = String(file?.name ?? "").toLowerCase();
+  return (
+    DATASET_LOADERS.find((loader) => loader.extensions.some((extension) => name.endsWith(extension))) ??
+    DATASET_LOADERS.find((loader) => loader.mimeTypes.includes(file?.type)) ??
+    null
+  );
+};
+
+export const tableToCsv = (rows, fields) => Papa.unparse(rows, { columns: fields });
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { findLoader, memoryTable, tableToCsv } from "./loaders.js";
+
+const loadJson = (text) => findLoader({ name: "data.json" }).load(text).promise;
+
+test("files are matched to a loader by extension, then by type", () => {
+  assert.equal(findLoader({ name: "Data.CSV" }).id, "csv");
+  assert.equal(findLoader({ name: "data.tab" }).id, "tsv");
+  assert.equal(findLoader({ name: "book.xlsx" }).id, "xlsx");
+  assert.equal(findLoader({ name: "upload", type: "application/json" }).id, "json");
+  assert.equal(findLoader({ name: "notes.pdf", type: "application/pdf" }), null);
+});
+
+test("JSON loads from records, column arrays and named tables", async () => {
+  const records = await loadJson('[{"Country":"Chile","Year":2000},{"Country":"Peru","Rainfall_mm":5}]');
+  assert.deepEqual(records.tables[0].fields, ["Country", "Year", "Rainfall_mm"]);
+  assert.equal(records.tables[0].rowCount, 2);
+
+  const columns = await loadJson('{"Country":["Chile","Peru"],"Year":[2000,2001]}');
+  assert.deepEqual(await columns.tables[0].readRows(), [
+    { Country: "Chile", Year: 2000 },
+    { Country: "Peru", Year: 2001 },
+  ]);
+
+  const named = await loadJson('{"rain":[{"Country":"Chile"}],"notes":"none","people":{"Country":["Peru"]}}');
+  assert.deepEqual(named.tables.map((table) => table.name), ["rain", "people"]);
+});
+
+test("JSON without records is rejected with a readable message", async () => {
+  await assert.rejects(loadJson("{not json"), /not valid JSON/);
+  await assert.rejects(loadJson('{"count":3}'), /Expected an array of records/);
+});
+
+test("CSV loads through the parser and prepares with the given mapping", async () => {
+  const csv = "Nation,Year,Rainfall_mm\nChile,2000,300\nPeru,2000,120\n";
+  const { tables } = await findLoader({ name: "rain.csv" }).load(csv).promise;
+  assert.deepEqual(tables[0].fields, ["Nation", "Year", "Rainfall_mm"]);
+  assert.equal(tables[0].rowCount, 2);
+
+  const mapping = { Country: "Nation", Year: "Year", Rainfall_mm: "Rainfall_mm" };
+  const prepared = await tables[0].prepare(mapping).promise;
+  assert.deepEqual(prepared.countries, ["Chile", "Peru"]);
+  assert.equal(prepared.rows[0].Rainfall_mm, 300);
+});
+
+test("memory tables drop empty records and export back to CSV", async () => {
+  const table = memoryTable({ rows: [{ Country: "Chile", Year: 2000 }, {}], fields: ["Country", "Year"] });
+  assert.equal(table.rowCount, 1);
+  assert.equal(tableToCsv(await table.readRows(), table.fields), "Country,Year\r\nChile,2000");
+});
@@ -0,0 +1,103 @@
+export const IDENTITY_COLUMNS = [
+  {
+    key: "Country",
+    label: "Country",
+    type: "string",
+    required: true,
+    aliases: ["country", "country name", "nation", "entity", "country or area", "location"],
+  },
+  {
+    key: "Year",
+    label: "Year",
+    type: "number",
+    required: true,
+    aliases: ["year", "yr", "date year", "period", "time"],
+  },
+];
+
+export const METRICS = [
+  {
+    key: "Avg_Temperature_degC",
+    label: "Average temperature",
+    shortLabel: "Avg temp",
+    unit: "°C",
+    aliases: ["avg temperature", "average temperature", "mean temperature", "temperature", "temp", "surface temperature"],
+    unitTokens: ["degc", "c", "celsius"],
+    aggregation: "mean",
+  },
+  {
+    key: "CO2_Emissions_tons_per_capita",
+    label: "CO₂ emissions per capita",
+    shortLabel: "CO₂ per capita",
+    unit: "t",
+    aliases: ["co2 emissions per capita", "co2 per capita", "co2 emissions", "carbon emissions", "co2", "emissions"],
+    unitTokens: ["tons", "tonnes", "t", "per capita", "pc"],
+    aggregation: "weightedMean",
+  },
+  {
+    key: "Sea_Level_Rise_mm",
+    label: "Sea-level rise",
+    shortLabel: "Sea level",
+    unit: "mm",
+    aliases: ["sea level rise", "sea level", "slr", "sea level change"],
+    unitTokens: ["mm", "millimetres", "millimeters"],
+    aggregation: "mean",
+  },
+  {
+    key: "Rainfall_mm",
+    label: "Rainfall",
+    shortLabel: "Rainfall",
+    unit: "mm",
+    aliases: ["rainfall", "precipitation", "annual rainfall", "annual precipitation", "rain"],
+    unitTokens: ["mm", "millimetres", "millimeters"],
+    aggregation: "mean",
+  },
+  {
+    key: "Population",
+    label: "Population",
+    shortLabel: "Population",
+    unit: "",
+    aliases: ["population", "pop", "total population", "inhabitants", "residents"],
+    unitTokens: ["people", "persons"],
+    aggregation: "sum",
+    min: 0,
+  },
+  {
+    key: "Renewable_Energy_pct",
+    label: "Renewable energy share",
+    shortLabel: "Renewables",
+    unit: "%",
+    aliases: ["renewable energy", "renewables", "renewable share", "renewable energy share", "renewable"],
+    unitTokens: ["pct", "percent", "%", "share"],
+    aggregation: "mean",
+    min: 0,
+    max: 100,
+  },
+  {
+    key: "Extreme_Weather_Events",
+    label: "Extreme weather events",
+    shortLabel: "Extreme events",
+    unit: "",
+    aliases: ["extreme weather events", "extreme events", "weather events", "disasters", "extreme weather"],
+    unitTokens: ["count", "n"],
+    aggregation: "sum",
+    min: 0,
+  },
+  {
+    key: "Forest_Area_pct",
+    label: "Forest area",
+    shortLabel: "Forest area",
+    unit: "%",
+    aliases: ["forest area", "forest cover", "forest", "forested area", "tree cover"],
+    unitTokens: ["pct", "percent", "%", "share"],
+    aggregation: "mean",
+    min: 0,
+    max: 100,
+  },
+];
+
+export const CANONICAL_COLUMNS = [...IDENTITY_COLUMNS, ...METRICS.map((metric) => ({ ...metric, type: "number" }))];
+
+export const METRIC_KEYS = METRICS.map((metric) => metric.key);
+
+export const getMetric = (key) => METRICS.find((metric) => metric.key === key);
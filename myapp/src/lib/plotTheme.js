@@ -0,0 +1,38 @@
+// Plotly layout pieces in the colours and font of the theme a dashboard renders with.
+export const plotFont = (theme) => ({ family: theme.fontFamily, color: theme.chart.text });
+
+export const axisBase = ({ chart }) => ({
+  tickfont: { color: chart.mutedText },
+  gridcolor: chart.grid,
+  zerolinecolor: chart.grid,
+  linecolor: chart.axisLine,
+  ticks: "outside",
+  tickcolor: chart.grid,
+  mirror: true,
+});
+
+export const hoverLabelTheme = (theme) => ({
+  bgcolor: theme.chart.tooltipBackground,
+  bordercolor: theme.chart.tooltipBackground,
+  font: { family: theme.fontFamily, size: 11, color: theme.chart.tooltipText },
+});
+
+export const titleFont = (theme, size = 13) => ({ color: theme.chart.text, size });
+
+// Three-stop Plotly colour scale from the theme's "sequential" or "diverging" colours.
+export const colorScale = (theme, name) => theme.scales[name].map((color, idx) => [idx / 2, color]);
+
+export const plotConfig = {
+  displaylogo: false,
+  responsive: true,
+  modeBarButtonsToRemove: [
+    "zoomOut2d",
+    "autoScale2d",
+    "toggleSpikelines",
+  ],
+  toImageButtonOptions: {
+    format: "png",
+    filename: "environment-dashboard-chart",
+    scale: 2,
+  },
+};
@@ -0,0 +1,49 @@
+import { applyColumnMapping } from "./columnMapping.js";
+import { reconcileDuplicates } from "./duplicates.js";
+import { METRIC_KEYS } from "./metrics.js";
+import { buildRowIndex } from "./rowIndex.js";
+import { getErrorRowIndexes, toNumber, validateRows } from "./validation.js";
+
+const normalizeRow = (row) => {
+  const next = {
+    ...row,
+    Country: row.Country === null || row.Country === undefined ? "" : String(row.Country).trim(),
+    Year: toNumber(row.Year),
+  };
+  METRIC_KEYS.forEach((key) => {
+    next[key] = toNumber(row[key]);
+  });
+  return next;
+};
+
+// Everything between a parsed table and the dashboard's state: column mapping, validation, numeric
+// normalization, leaving out rows with errors, duplicate reconciliation and the country/year index of the
+// rows the dashboard shows. Runs in the prepare worker, so a load leaves the page little to do; only a
+// later change of exclusions or duplicate strategy reconciles and indexes on the page. The index is posted
+// in the same message as the rows, so its entries still point at the returned row objects.
+export const prepareDataset = (rows, fields, mapping, { duplicateStrategy = "first" } = {}) => {
+  const mapped = applyColumnMapping(rows, fields, mapping);
+  const issues = validateRows(mapped.rows, mapped.headers);
+  const normalizedRows = mapped.rows.map(normalizeRow);
+  const excludedRows = getErrorRowIndexes(issues);
+  const includedRows = excludedRows.size
+    ? normalizedRows.filter((_, index) => !excludedRows.has(index))
+    : normalizedRows;
+  const reconciled = reconcileDuplicates(includedRows, duplicateStrategy);
+  const rowIndex = buildRowIndex(reconciled.rows);
+  const years = Array.from(rowIndex.byYear.keys()).sort((a, b) => a - b);
+  const countries = Array.from(rowIndex.byCountry.keys())
+    .filter(Boolean)
+    .sort((a, b) => a.localeCompare(b));
+  return {
+    rows: normalizedRows,
+    headers: mapped.headers,
+    issues,
+    excludedRows,
+    duplicateStrategy,
+    reconciled,
+    rowIndex,
+    years,
+    countries,
+  };
+};
@@ -0,0 +1,12 @@
+import { prepareDataset } from "./prepareDataset.js";
+import { packPrepared } from "./transferDataset.js";
+
+self.onmessage = (event) => {
+  const { rows, fields, mapping, options } = event.data;
+  try {
+    const { message, transfer } = packPrepared(prepareDataset(rows, fields, mapping, options));
+    self.postMessage({ type: "complete", dataset: message }, transfer);
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
@@ -0,0 +1,60 @@
+export const BUILT_IN_GROUPS = [
+  { name: "G7", kind: "Bloc", codes: ["CAN", "FRA", "DEU", "ITA", "JPN", "GBR", "USA"] },
+  { name: "BRICS", kind: "Bloc", codes: ["BRA", "RUS", "IND", "CHN", "ZAF", "EGY", "ETH", "IRN", "ARE", "IDN"] },
+  {
+    name: "European Union",
+    kind: "Bloc",
+    codes: [
+      "AUT", "BEL", "BGR", "HRV", "CYP", "CZE", "DNK", "EST", "FIN", "FRA", "DEU", "GRC", "HUN", "IRL",
+      "ITA", "LVA", "LTU", "LUX", "MLT", "NLD", "POL", "PRT", "ROU", "SVK", "SVN", "ESP", "SWE",
+    ],
+  },
+  {
+    name: "Africa",
+    kind: "Continent",
+    codes: [
+      "DZA", "AGO", "BEN", "BWA", "BFA", "BDI", "CPV", "CMR", "CAF", "TCD", "COM", "COG", "COD", "CIV",
+      "DJI", "EGY", "GNQ", "ERI", "SWZ", "ETH", "GAB", "GMB", "GHA", "GIN", "GNB", "KEN", "LSO", "LBR",
+      "LBY", "MDG", "MWI", "MLI", "MRT", "MUS", "MAR", "MOZ", "NAM", "NER", "NGA", "RWA", "STP", "SEN",
+      "SYC", "SLE", "SOM", "ZAF", "SSD", "SDN", "TZA", "TGO", "TUN", "UGA", "ESH", "ZMB", "ZWE",
+    ],
+  },
+  {
+    name: "Asia",
+    kind: "Continent",
+    codes: [
+      "AFG", "ARM", "AZE", "BHR", "BGD", "BTN", "BRN", "KHM", "CHN", "GEO", "HKG", "IND", "IDN", "IRN",
+      "IRQ", "ISR", "JPN", "JOR", "KAZ", "PRK", "KOR", "KWT", "KGZ", "LAO", "LBN", "MYS", "MDV", "MNG",
+      "MMR", "NPL", "OMN", "PAK", "PSE", "PHL", "QAT", "SAU", "SGP", "LKA", "SYR", "TWN", "TJK", "THA",
+      "TLS", "TUR", "TKM", "ARE", "UZB", "VNM", "YEM",
+    ],
+  },
+  {
+    name: "Europe",
+    kind: "Continent",
+    codes: [
+      "ALB", "AND", "AUT", "BLR", "BEL", "BIH", "BGR", "HRV", "CYP", "CZE", "DNK", "EST", "FIN", "FRA",
+      "DEU", "GRC", "HUN", "ISL", "IRL", "ITA", "XKX", "LVA", "LIE", "LTU", "LUX", "MLT", "MDA", "MCO",
+      "MNE", "NLD", "MKD", "NOR", "POL", "PRT", "ROU", "RUS", "SMR", "SRB", "SVK", "SVN", "ESP", "SWE",
+      "CHE", "UKR", "GBR",
+    ],
+  },
+  {
+    name: "North America",
+    kind: "Continent",
+    codes: [
+      "ATG", "BHS", "BRB", "BLZ", "CAN", "CRI", "CUB", "DMA", "DOM", "SLV", "GRL", "GRD", "GTM", "HTI",
+      "HND", "JAM", "MEX", "NIC", "PAN", "PRI", "KNA", "LCA", "VCT", "TTO", "USA",
+    ],
+  },
+  {
+    name: "South America",
+    kind: "Continent",
+    codes: ["ARG", "BOL", "BRA", "CHL", "COL", "ECU", "GUY", "PRY", "PER", "SUR", "URY", "VEN"],
+  },
+  {
+    name: "Oceania",
+    kind: "Continent",
+    codes: ["AUS", "FJI", "KIR", "MHL", "FSM", "NRU", "NZL", "PLW", "PNG", "WSM", "SLB", "TON", "TUV", "VUT"],
+  },
+];
@@ -0,0 +1,98 @@
+const STORAGE_KEY = "env-dashboard:remote-source";
+
+export const REFRESH_INTERVALS = [
+  { value: 0, label: "No automatic refresh" },
+  { value: 15, label: "Every 15 seconds" },
+  { value: 30, label: "Every 30 seconds" },
+  { value: 60, label: "Every minute" },
+  { value: 300, label: "Every 5 minutes" },
+  { value: 900, label: "Every 15 minutes" },
+];
+
+const fileNameFromUrl = (url) => {
+  try {
+    const name = new URL(url, window.location.href).pathname.split("/").pop();
+    return name ? decodeURIComponent(name) : "dataset";
+  } catch {
+    return "dataset";
+  }
+};
+
+// Absolute http(s) URL for user input such as "/api/environment", or null when it is not one.
+export const resolveRemoteUrl = (value) => {
+  try {
+    const url = new URL(String(value ?? "").trim(), window.location.href);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+const sameBytes = (a, b) => {
+  if (!a || !b || a.byteLength !== b.byteLength) return false;
+  const left = new Uint8Array(a);
+  const right = new Uint8Array(b);
+  for (let idx = 0; idx < left.length; idx += 1) {
+    if (left[idx] !== right[idx]) return false;
+  }
+  return true;
+};
+
+// Fetches a dataset as a File so it goes through the same loaders as an upload. The file name comes from
+// the URL path; endpoints without an extension are matched on the response content type instead.
+// Passing the validators from the previous response makes the request conditional, and passing its body
+// catches servers that send no validators: a 304 or an identical body both resolve to
+// { notModified: true } so nothing is parsed again.
+export const fetchRemoteDataset = async (url, { signal, validators, previousBody } = {}) => {
+  const headers = {};
+  if (validators?.etag) headers["If-None-Match"] = validators.etag;
+  if (validators?.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+  let response;
+  try {
+    // Conditional requests bypass the HTTP cache so the 304 reaches us rather than a cached 200.
+    response = await fetch(url, { signal, headers, cache: validators ? "no-store" : "no-cache" });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw new Error("the server could not be reached (network error, or cross-origin requests are blocked)");
+  }
+  if (response.status === 304) return { notModified: true, validators, body: previousBody };
+  if (!response.ok) {
+    throw new Error(`the server responded ${response.status} ${response.statusText}`.trim());
+  }
+  const body = await response.arrayBuffer();
+  const nextValidators = {
+    etag: response.headers.get("ETag"),
+    lastModified: response.headers.get("Last-Modified"),
+  };
+  if (sameBytes(body, previousBody)) {
+    return { notModified: true, validators: nextValidators, body: previousBody };
+  }
+  const type = (response.headers.get("Content-Type") || "").split(";")[0].trim();
+  return {
+    notModified: false,
+    file: new File([body], fileNameFromUrl(url), { type }),
+    body,
+    validators: nextValidators,
+  };
+};
+
+// The last URL and interval used, to prefill the form; polling itself does not resume on reload.
+export const loadRemoteSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return {
+      url: typeof stored.url === "string" ? stored.url : "",
+      interval: REFRESH_INTERVALS.some((item) => item.value === stored.interval) ? stored.interval : 0,
+    };
+  } catch {
+    return { url: "", interval: 0 };
+  }
+};
+
+export const saveRemoteSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Unable to persist the remote source", error);
+  }
+};
@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import {
+  fetchRemoteDataset,
+  loadRemoteSettings,
+  resolveRemoteUrl,
+  saveRemoteSettings,
+} from "./remoteDataset.js";
+
+// Stand-ins for the browser globals the module reads: the page location, fetch and localStorage.
+globalThis.window = { location: { href: "https://example.org/dashboard/" } };
+
+let requests = [];
+const respondWith = (...responses) => {
+  requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, options });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  };
+};
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+};
+
+beforeEach(() => store.clear());
+
+test("URLs resolve against the page and only http(s) is accepted", () => {
+  assert.equal(resolveRemoteUrl(" /api/environment "), "https://example.org/api/environment");
+  assert.equal(resolveRemoteUrl("data.csv"), "https://example.org/dashboard/data.csv");
+  assert.equal(resolveRemoteUrl("ftp://example.org/data.csv"), null);
+  assert.equal(resolveRemoteUrl("javascript:alert(1)"), null);
+  assert.equal(resolveRemoteUrl(null), "https://example.org/dashboard/");
+});
+
+test("a response becomes a file named after the URL, typed from the response", async () => {
+  respondWith(
+    new Response("Country,Year\nChile,2000\n", {
+      headers: { "Content-Type": "text/csv; charset=utf-8", ETag: '"v1"' },
+    })
+  );
+  const result = await fetchRemoteDataset("https://example.org/data/rain%20fall.csv");
+
+  assert.equal(result.notModified, false);
+  assert.equal(result.file.name, "rain fall.csv");
+  assert.equal(result.file.type, "text/csv");
+  assert.equal(await result.file.text(), "Country,Year\nChile,2000\n");
+  assert.deepEqual(result.validators, { etag: '"v1"', lastModified: null });
+  assert.equal(requests[0].options.cache, "no-cache");
+});
+
+test("validators make the request conditional and a 304 reuses the previous body", async () => {
+  const previousBody = new TextEncoder().encode("a,b").buffer;
+  const validators = { etag: '"v1"', lastModified: "Mon, 01 Jan 2024 00:00:00 GMT" };
+  respondWith(new Response(null, { status: 304 }));
+  const result = await fetchRemoteDataset("https://example.org/api", { validators, previousBody });
+
+  assert.deepEqual(requests[0].options.headers, {
+    "If-None-Match": '"v1"',
+    "If-Modified-Since": "Mon, 01 Jan 2024 00:00:00 GMT",
+  });
+  assert.equal(requests[0].options.cache, "no-store");
+  assert.deepEqual(result, { notModified: true, validators, body: previousBody });
+});
+
+test("an identical body counts as not modified when the server sends no validators", async () => {
+  const previousBody = new TextEncoder().encode("a,b\n1,2").buffer;
+  respondWith(new Response("a,b\n1,2"), new Response("a,b\n1,3"));
+
+  assert.equal((await fetchRemoteDataset("https://example.org/api", { previousBody })).notModified, true);
+  const changed = await fetchRemoteDataset("https://example.org/api", { previousBody });
+  assert.equal(changed.notModified, false);
+  assert.equal(changed.file.name, "api");
+});
+
+test("failures explain what went wrong, and cancelling is passed through", async () => {
+  respondWith(new Response("missing", { status: 404, statusText: "Not Found" }));
+  await assert.rejects(fetchRemoteDataset("https://example.org/x.csv"), {
+    message: "the server responded 404 Not Found",
+  });
+
+  respondWith(new TypeError("Failed to fetch"));
+  await assert.rejects(fetchRemoteDataset("https://example.org/x.csv"), /could not be reached/);
+
+  const abort = new Error("aborted");
+  abort.name = "AbortError";
+  respondWith(abort);
+  await assert.rejects(fetchRemoteDataset("https://example.org/x.csv"), abort);
+});
+
+test("saved settings prefill the form and unknown intervals fall back to none", () => {
+  assert.deepEqual(loadRemoteSettings(), { url: "", interval: 0 });
+  saveRemoteSettings({ url: "https://example.org/api", interval: 60 });
+  assert.deepEqual(loadRemoteSettings(), { url: "https://example.org/api", interval: 60 });
+  saveRemoteSettings({ url: 42, interval: 7 });
+  assert.deepEqual(loadRemoteSettings(), { url: "", interval: 0 });
+});
@@ -0,0 +1,103 @@
+import { downloadBlob } from "./exporters.js";
+
+const CAPTURE_SCALE = 2;
+const PAGE_MARGIN_MM = 12;
+const HEADER_HEIGHT_MM = 14;
+const FOOTER_HEIGHT_MM = 8;
+
+const collectBreakpoints = (element) => {
+  const origin = element.getBoundingClientRect().top;
+  return Array.from(element.querySelectorAll("header, section, article, footer"))
+    .map((node) => Math.round((node.getBoundingClientRect().top - origin) * CAPTURE_SCALE))
+    .filter((offset) => offset > 0)
+    .sort((a, b) => a - b);
+};
+
+// `background` fills the page behind the capture; pass the theme's page colour.
+export const captureElement = async (element, background) => {
+  const { default: html2canvas } = await import("html2canvas");
+  const breakpoints = collectBreakpoints(element);
+  const canvas = await html2canvas(element, {
+    scale: CAPTURE_SCALE,
+    backgroundColor: background,
+    useCORS: true,
+    ignoreElements: (node) => node.dataset?.reportExclude !== undefined,
+  });
+  return { canvas, breakpoints };
+};
+
+const canvasToBlob = (canvas) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+  });
+
+const sliceCanvas = (canvas, top, height) => {
+  const slice = document.createElement("canvas");
+  slice.width = canvas.width;
+  slice.height = height;
+  slice.getContext("2d").drawImage(canvas, 0, top, canvas.width, height, 0, 0, canvas.width, height);
+  return slice;
+};
+
+const planPages = (totalHeight, pageHeight, breakpoints) => {
+  const pages = [];
+  let top = 0;
+  while (top < totalHeight) {
+    const limit = top + pageHeight;
+    if (limit >= totalHeight) {
+      pages.push([top, totalHeight - top]);
+      break;
+    }
+    // Break at the last card boundary that fits, unless that would leave a mostly empty page.
+    const boundary = breakpoints.filter((offset) => offset > top && offset <= limit).pop();
+    const bottom = boundary && boundary - top > pageHeight * 0.4 ? boundary : limit;
+    pages.push([top, bottom - top]);
+    top = bottom;
+  }
+  return pages;
+};
+
+export const buildPdf = async ({ canvas, breakpoints }, { title, subtitle }) => {
+  const { jsPDF } = await import("jspdf");
+  const pdf = new jsPDF({ orientation: "portrait", unit: "mm", format: "a4" });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN_MM * 2;
+  const contentHeight = pageHeight - PAGE_MARGIN_MM * 2 - HEADER_HEIGHT_MM - FOOTER_HEIGHT_MM;
+  const pxPerMm = canvas.width / contentWidth;
+  const pages = planPages(canvas.height, Math.floor(contentHeight * pxPerMm), breakpoints);
+
+  pages.forEach(([top, height], index) => {
+    if (index > 0) pdf.addPage();
+    pdf.setFontSize(12);
+    pdf.setTextColor(15, 23, 42);
+    pdf.text(title, PAGE_MARGIN_MM, PAGE_MARGIN_MM + 5);
+    pdf.setFontSize(8);
+    pdf.setTextColor(100, 116, 139);
+    pdf.text(subtitle, PAGE_MARGIN_MM, PAGE_MARGIN_MM + 10);
+    pdf.text(
+      `Page ${index + 1} of ${pages.length}`,
+      pageWidth - PAGE_MARGIN_MM,
+      pageHeight - PAGE_MARGIN_MM,
+      { align: "right" }
+    );
+
+    const slice = sliceCanvas(canvas, top, height);
+    pdf.addImage(
+      slice.toDataURL("image/png"),
+      "PNG",
+      PAGE_MARGIN_MM,
+      PAGE_MARGIN_MM + HEADER_HEIGHT_MM,
+      contentWidth,
+      height / pxPerMm
+    );
+  });
+
+  return pdf.output("blob");
+};
+
+export const generateReport = async (element, { title, subtitle, filename, background }) => {
+  const capture = await captureElement(element, background);
+  downloadBlob(await canvasToBlob(capture.canvas), `${filename}.png`);
+  downloadBlob(await buildPdf(capture, { title, subtitle }), `${filename}.pdf`);
+};
@@ -0,0 +1,86 @@
+const YEAR_HEADER_PATTERN = /^\s*(?:[A-Za-z]{1,4}[ _-]?)?(\d{4})(?:\s*\[[^\]]*\])?\s*$/;
+const COUNTRY_HEADER_PATTERN = /country|nation|entity|economy|region|area|location|name/i;
+const YEAR_FIELD_PATTERN = /^(year|yr|date|time|period)$/i;
+
+// Reads a year out of headers such as "1990", "Y1990", "YR1990" or "1990 [YR1990]".
+export const yearFromHeader = (header) => {
+  const match = YEAR_HEADER_PATTERN.exec(String(header ?? ""));
+  if (!match) return null;
+  const year = Number(match[1]);
+  return year >= 1000 && year <= 2999 ? year : null;
+};
+
+export const findYearColumns = (fields) => fields.filter((field) => yearFromHeader(field) !== null);
+
+// Wide tables keep one row per country with a column per year.
+export const detectTableLayout = (fields) => (findYearColumns(fields).length >= 2 ? "wide" : "long");
+
+export const guessCountryColumn = (fields) => {
+  const candidates = fields.filter((field) => yearFromHeader(field) === null);
+  return candidates.find((field) => COUNTRY_HEADER_PATTERN.test(field)) ?? candidates[0] ?? "";
+};
+
+export const guessYearColumn = (fields) => fields.find((field) => YEAR_FIELD_PATTERN.test(field.trim())) ?? "";
+
+export const wideToLong = (rows, fields, { countryColumn, valueName }) => {
+  const yearColumns = findYearColumns(fields).map((field) => [field, yearFromHeader(field)]);
+  const longRows = [];
+  rows.forEach((row) => {
+    const country = row[countryColumn];
+    if (country === null || country === undefined || country === "") return;
+    yearColumns.forEach(([field, year]) => {
+      const value = row[field];
+      if (value === null || value === undefined || value === "") return;
+      longRows.push({ Country: country, Year: year, [valueName]: value });
+    });
+  });
+  return { rows: longRows, fields: ["Country", "Year", valueName] };
+};
+
+// Leftover columns that are themselves named "Country" or "Year" are dropped so they cannot overwrite the
+// chosen identity columns.
+export const renameIdentityColumns = (rows, fields, { countryColumn, yearColumn }) => {
+  const rest = fields.filter(
+    (field) => field !== countryColumn && field !== yearColumn && field !== "Country" && field !== "Year"
+  );
+  return {
+    rows: rows.map((row) => {
+      const next = { Country: row[countryColumn], Year: row[yearColumn] };
+      rest.forEach((field) => {
+        next[field] = row[field];
+      });
+      return next;
+    }),
+    fields: ["Country", "Year", ...rest],
+  };
+};
+
+// Joins long tables on Country and Year; later tables win when they share a column. Only rows from
+// different tables are joined: a Country-Year repeated inside one table stays as separate rows (the nth
+// repeat joins the nth row from earlier tables) so duplicate reconciliation still sees it.
+export const mergeLongTables = (tables) => {
+  const merged = new Map();
+  const rows = [];
+  const fields = [];
+  tables.forEach((table) => {
+    table.fields.forEach((field) => {
+      if (!fields.includes(field)) fields.push(field);
+    });
+    const occurrences = new Map();
+    table.rows.forEach((row) => {
+      const key = `${String(row.Country).trim()}\u0000${Number(row.Year)}`;
+      const occurrence = occurrences.get(key) ?? 0;
+      occurrences.set(key, occurrence + 1);
+      const matches = merged.get(key) ?? [];
+      if (occurrence < matches.length) {
+        Object.assign(matches[occurrence], row);
+        return;
+      }
+      const next = { ...row };
+      matches.push(next);
+      merged.set(key, matches);
+      rows.push(next);
+    });
+  });
+  return { rows, fields };
+};
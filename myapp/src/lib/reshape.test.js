@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  detectTableLayout,
+  guessCountryColumn,
+  guessYearColumn,
+  mergeLongTables,
+  renameIdentityColumns,
+  wideToLong,
+  yearFromHeader,
+} from "./reshape.js";
+
+test("years are read from the usual wide-table headers", () => {
+  assert.equal(yearFromHeader("1990"), 1990);
+  assert.equal(yearFromHeader("Y1990"), 1990);
+  assert.equal(yearFromHeader("YR1990"), 1990);
+  assert.equal(yearFromHeader("1990 [YR1990]"), 1990);
+  assert.equal(yearFromHeader("Population"), null);
+  assert.equal(yearFromHeader("0999"), null);
+});
+
+test("layout and identity columns are guessed from the headers", () => {
+  const wide = ["Country Name", "Country Code", "2000", "2001"];
+  assert.equal(detectTableLayout(wide), "wide");
+  assert.equal(detectTableLayout(["Country", "Year", "2000"]), "long");
+  assert.equal(guessCountryColumn(wide), "Country Name");
+  assert.equal(guessYearColumn(["Nation", " Year ", "Value"]), " Year ");
+  assert.equal(guessYearColumn(["Nation", "Value"]), "");
+});
+
+test("wide tables become one row per country and year, skipping blank cells", () => {
+  const rows = [
+    { Nation: "Chile", 2000: "1.5", 2001: "" },
+    { Nation: "", 2000: "9", 2001: "9" },
+    { Nation: "Peru", 2000: "2", 2001: "3" },
+  ];
+  const result = wideToLong(rows, ["Nation", "2000", "2001"], {
+    countryColumn: "Nation",
+    valueName: "Rainfall_mm",
+  });
+
+  assert.deepEqual(result.fields, ["Country", "Year", "Rainfall_mm"]);
+  assert.deepEqual(result.rows, [
+    { Country: "Chile", Year: 2000, Rainfall_mm: "1.5" },
+    { Country: "Peru", Year: 2000, Rainfall_mm: "2" },
+    { Country: "Peru", Year: 2001, Rainfall_mm: "3" },
+  ]);
+});
+
+test("leftover Country and Year columns do not overwrite the chosen identity columns", () => {
+  const rows = [{ Nation: "Chile", Period: "2000", Country: "CL", Year: "FY00", Value: "4" }];
+  const result = renameIdentityColumns(rows, ["Nation", "Period", "Country", "Year", "Value"], {
+    countryColumn: "Nation",
+    yearColumn: "Period",
+  });
+
+  assert.deepEqual(result.fields, ["Country", "Year", "Value"]);
+  assert.deepEqual(result.rows, [{ Country: "Chile", Year: "2000", Value: "4" }]);
+});
+
+test("merging joins tables on country and year but keeps repeats inside one table", () => {
+  const result = mergeLongTables([
+    {
+      fields: ["Country", "Year", "Rainfall_mm"],
+      rows: [
+        { Country: "Chile", Year: 2000, Rainfall_mm: 300 },
+        { Country: "Chile", Year: 2000, Rainfall_mm: 320 },
+      ],
+    },
+    {
+      fields: ["Country", "Year", "Population"],
+      rows: [
+        { Country: " Chile", Year: "2000", Population: 15 },
+        { Country: "Peru", Year: 2000, Population: 26 },
+      ],
+    },
+  ]);
+
+  assert.deepEqual(result.fields, ["Country", "Year", "Rainfall_mm", "Population"]);
+  assert.equal(result.rows.length, 3);
+  assert.deepEqual(result.rows[0], { Country: " Chile", Year: "2000", Rainfall_mm: 300, Population: 15 });
+  assert.deepEqual(result.rows[1], { Country: "Chile", Year: 2000, Rainfall_mm: 320 });
+  assert.deepEqual(result.rows[2], { Country: "Peru", Year: 2000, Population: 26 });
+});
@@ -0,0 +1,152 @@
+import { METRICS } from "./metrics.js";
+
+const STORAGE_KEY = "env-dashboard:resilience-index";
+
+export const NORMALIZATION_METHODS = [
+  { value: "minmax", label: "Min-max (0–100)" },
+  { value: "zscore", label: "Z-score" },
+];
+
+export const DIRECTIONS = [
+  { value: "better", label: "Higher is better" },
+  { value: "worse", label: "Higher is worse" },
+];
+
+const DEFAULT_DIRECTIONS = {
+  Avg_Temperature_degC: "worse",
+  CO2_Emissions_tons_per_capita: "worse",
+  Sea_Level_Rise_mm: "worse",
+  Rainfall_mm: "better",
+  Population: "worse",
+  Renewable_Energy_pct: "better",
+  Extreme_Weather_Events: "worse",
+  Forest_Area_pct: "better",
+};
+
+const DEFAULT_WEIGHTED = [
+  "Avg_Temperature_degC",
+  "Renewable_Energy_pct",
+  "Forest_Area_pct",
+  "Extreme_Weather_Events",
+];
+
+export const DEFAULT_RESILIENCE_CONFIG = {
+  method: "minmax",
+  metrics: METRICS.map((metric) => ({
+    key: metric.key,
+    direction: DEFAULT_DIRECTIONS[metric.key] ?? "better",
+    weight: DEFAULT_WEIGHTED.includes(metric.key) ? 1 : 0,
+  })),
+};
+
+export const normalizeResilienceConfig = (config) => {
+  const method = NORMALIZATION_METHODS.some((item) => item.value === config?.method)
+    ? config.method
+    : DEFAULT_RESILIENCE_CONFIG.method;
+  const stored = new Map((config?.metrics || []).map((metric) => [metric.key, metric]));
+  const defaultKeys = DEFAULT_RESILIENCE_CONFIG.metrics.map((metric) => metric.key);
+  const extraMetrics = Array.from(stored.values())
+    .filter((metric) => typeof metric?.key === "string" && !defaultKeys.includes(metric.key))
+    .map((metric) => ({ key: metric.key, direction: "better", weight: 0 }));
+  return {
+    method,
+    metrics: [...DEFAULT_RESILIENCE_CONFIG.metrics, ...extraMetrics].map((fallback) => {
+      const metric = stored.get(fallback.key);
+      const weight = Number(metric?.weight);
+      return {
+        key: fallback.key,
+        direction: ["better", "worse"].includes(metric?.direction) ? metric.direction : fallback.direction,
+        weight: Number.isFinite(weight) && weight >= 0 ? weight : fallback.weight,
+      };
+    }),
+  };
+};
+
+// Settings for a metric, falling back to a neutral entry for derived columns the defaults don't cover.
+export const getResilienceMetric = (config, key) =>
+  config.metrics.find((metric) => metric.key === key) ??
+  DEFAULT_RESILIENCE_CONFIG.metrics.find((metric) => metric.key === key) ?? {
+    key,
+    direction: "better",
+    weight: 0,
+  };
+
+export const loadResilienceConfig = () => {
+  try {
+    return normalizeResilienceConfig(JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"));
+  } catch {
+    return DEFAULT_RESILIENCE_CONFIG;
+  }
+};
+
+export const saveResilienceConfig = (config) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (error) {
+    console.warn("Unable to persist resilience index settings", error);
+  }
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const buildScaler = (values, method) => {
+  if (method === "zscore") {
+    const average = mean(values);
+    const sd = Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+    return (value) => (sd ? (value - average) / sd : 0);
+  }
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return (value) => (max > min ? ((value - min) / (max - min)) * 100 : 50);
+};
+
+// Scores every country in `yearRows` so that a larger score always means more resilient.
+// Extra rows (e.g. country groups) are scored on the countries' scale without shifting it or the average;
+// min-max scores are clamped since summed metrics can fall outside the countries' range.
+export const computeResilienceIndex = (yearRows, config, availableKeys, extraRows = []) => {
+  const metrics = config.metrics.filter(
+    (metric) => metric.weight > 0 && availableKeys.includes(metric.key)
+  );
+  const scalers = new Map();
+  metrics.forEach((metric) => {
+    const values = yearRows.map((row) => row[metric.key]).filter((value) => Number.isFinite(value));
+    if (values.length) scalers.set(metric.key, buildScaler(values, config.method));
+  });
+
+  const orient = (score, direction) => {
+    if (direction === "better") return score;
+    return config.method === "zscore" ? -score : 100 - score;
+  };
+
+  const clamp = (score) => (config.method === "minmax" ? Math.min(100, Math.max(0, score)) : score);
+
+  const scoreRow = (row, isExtra = false) => {
+    const scores = {};
+    let weighted = 0;
+    let usedWeight = 0;
+    metrics.forEach((metric) => {
+      const scale = scalers.get(metric.key);
+      if (!scale || !Number.isFinite(row[metric.key])) {
+        scores[metric.key] = null;
+        return;
+      }
+      const scaled = scale(row[metric.key]);
+      scores[metric.key] = orient(isExtra ? clamp(scaled) : scaled, metric.direction);
+      weighted += scores[metric.key] * metric.weight;
+      usedWeight += metric.weight;
+    });
+    return { country: row.Country, scores, index: usedWeight ? weighted / usedWeight : null };
+  };
+  const entries = yearRows.map((row) => scoreRow(row));
+  const extraEntries = extraRows.map((row) => scoreRow(row, true));
+
+  const average = { scores: {}, index: null };
+  metrics.forEach((metric) => {
+    const values = entries.map((entry) => entry.scores[metric.key]).filter((value) => value !== null);
+    average.scores[metric.key] = values.length ? mean(values) : null;
+  });
+  const indexes = entries.map((entry) => entry.index).filter((value) => value !== null);
+  average.index = indexes.length ? mean(indexes) : null;
+
+  return { metrics, entries, extraEntries, average };
+};
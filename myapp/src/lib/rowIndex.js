@@ -0,0 +1,27 @@
+const EMPTY = [];
+
+// Groups rows by country (sorted by year) and by year once, so selection lookups skip full scans.
+export const buildRowIndex = (rows) => {
+  const byCountry = new Map();
+  const byYear = new Map();
+  rows.forEach((row) => {
+    const countryRows = byCountry.get(row.Country);
+    if (countryRows) countryRows.push(row);
+    else byCountry.set(row.Country, [row]);
+    const year = Number(row.Year);
+    if (!Number.isFinite(year)) return;
+    const yearRows = byYear.get(year);
+    if (yearRows) yearRows.push(row);
+    else byYear.set(year, [row]);
+  });
+  byCountry.forEach((countryRows) => countryRows.sort((a, b) => Number(a.Year) - Number(b.Year)));
+  return { byCountry, byYear };
+};
+
+export const rowsForCountry = (index, country, yearRange = null) => {
+  const countryRows = index.byCountry.get(country) ?? EMPTY;
+  if (!yearRange) return countryRows;
+  return countryRows.filter((row) => row.Year >= yearRange[0] && row.Year <= yearRange[1]);
+};
+
+export const rowsForYear = (index, year) => (year === null ? EMPTY : index.byYear.get(Number(year)) ?? EMPTY);
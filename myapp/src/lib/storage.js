@@ -0,0 +1,3 @@
+// localStorage key for one dashboard's copy of a setting. Dashboards given a `storageKey` keep their own
+// theme, preferences and layout; the rest share the unscoped key, as the standalone app always has.
+export const scopedKey = (key, scope) => (scope ? `${key}:${scope}` : key);
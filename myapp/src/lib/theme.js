@@ -0,0 +1,285 @@
+import { scopedKey } from "./storage.js";
+
+const STORAGE_KEY = "env-dashboard:theme";
+
+const SHADES = ["50", "100", "200", "300", "400", "500", "600", "700", "800", "900", "950"];
+
+// Tailwind's default scales for the colour families the dashboard uses. Themes remap them through CSS
+// variables (see tailwind.config.js), so every utility class follows the active theme.
+const TAILWIND_SCALES = {
+  slate: ["#f8fafc", "#f1f5f9", "#e2e8f0", "#cbd5e1", "#94a3b8", "#64748b", "#475569", "#334155", "#1e293b", "#0f172a", "#020617"],
+  sky: ["#f0f9ff", "#e0f2fe", "#bae6fd", "#7dd3fc", "#38bdf8", "#0ea5e9", "#0284c7", "#0369a1", "#075985", "#0c4a6e", "#082f49"],
+  emerald: ["#ecfdf5", "#d1fae5", "#a7f3d0", "#6ee7b7", "#34d399", "#10b981", "#059669", "#047857", "#065f46", "#064e3b", "#022c22"],
+  amber: ["#fffbeb", "#fef3c7", "#fde68a", "#fcd34d", "#fbbf24", "#f59e0b", "#d97706", "#b45309", "#92400e", "#78350f", "#451a03"],
+  red: ["#fef2f2", "#fee2e2", "#fecaca", "#fca5a5", "#f87171", "#ef4444", "#dc2626", "#b91c1c", "#991b1b", "#7f1d1d", "#450a0a"],
+  violet: ["#f5f3ff", "#ede9fe", "#ddd6fe", "#c4b5fd", "#a78bfa", "#8b5cf6", "#7c3aed", "#6d28d9", "#5b21b6", "#4c1d95", "#2e1065"],
+};
+
+export const THEME_FAMILIES = Object.keys(TAILWIND_SCALES);
+
+const toScale = (values) => Object.fromEntries(SHADES.map((shade, idx) => [shade, values[idx]]));
+
+const mapScales = (transform) =>
+  Object.fromEntries(
+    Object.entries(TAILWIND_SCALES).map(([family, values]) => [family, toScale(transform(values, family))])
+  );
+
+const FONT_FAMILY = '"Inter", system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+
+const LIGHT_THEME = {
+  name: "Light",
+  scheme: "light",
+  fontFamily: FONT_FAMILY,
+  palette: { white: "#ffffff", ...mapScales((values) => values) },
+  chart: {
+    text: "#0f172a",
+    mutedText: "#475569",
+    grid: "rgba(148, 163, 184, 0.25)",
+    axisLine: "rgba(203, 213, 225, 0.45)",
+    tooltipBackground: "#0f172a",
+    tooltipText: "#f8fafc",
+    land: "#f1f5f9",
+    outline: "#ffffff",
+    markerOutline: "#0f172a",
+  },
+  series: {
+    primary: "#2563eb",
+    primaryStrong: "#1e3a8a",
+    secondary: "#0ea5e9",
+    secondaryStrong: "#0369a1",
+    secondaryDeep: "#0c4a6e",
+    accent: "#f97316",
+    accentSoft: "#fb923c",
+    accentStrong: "#c2410c",
+    positive: "#22c55e",
+    positiveStrong: "#16a34a",
+    neutral: "#64748b",
+    neutralSoft: "#cbd5e1",
+  },
+  scales: {
+    sequential: ["#e0f2fe", "#38bdf8", "#0369a1"],
+    diverging: ["#b91c1c", "#f8fafc", "#0369a1"],
+  },
+};
+
+// Dark mode flips each scale end for end, so "slate-900 text on white" becomes light text on slate.
+const DARK_THEME = {
+  ...LIGHT_THEME,
+  name: "Dark",
+  scheme: "dark",
+  palette: { white: "#0f172a", ...mapScales((values) => [...values].reverse()) },
+  chart: {
+    text: "#f1f5f9",
+    mutedText: "#cbd5e1",
+    grid: "rgba(148, 163, 184, 0.2)",
+    axisLine: "rgba(71, 85, 105, 0.6)",
+    tooltipBackground: "#f8fafc",
+    tooltipText: "#0f172a",
+    land: "#1e293b",
+    outline: "#0f172a",
+    markerOutline: "#f8fafc",
+  },
+  series: {
+    primary: "#60a5fa",
+    primaryStrong: "#bfdbfe",
+    secondary: "#38bdf8",
+    secondaryStrong: "#7dd3fc",
+    secondaryDeep: "#bae6fd",
+    accent: "#fb923c",
+    accentSoft: "#fdba74",
+    accentStrong: "#fed7aa",
+    positive: "#4ade80",
+    positiveStrong: "#22c55e",
+    neutral: "#94a3b8",
+    neutralSoft: "#334155",
+  },
+  scales: {
+    sequential: ["#0c4a6e", "#0ea5e9", "#bae6fd"],
+    diverging: ["#f87171", "#1e293b", "#38bdf8"],
+  },
+};
+
+// Black text and borders on white; accent tints stay light while their text and border shades darken.
+const HIGH_CONTRAST_THEME = {
+  ...LIGHT_THEME,
+  name: "High contrast",
+  palette: {
+    white: "#ffffff",
+    ...mapScales((values, family) =>
+      family === "slate"
+        ? ["#ffffff", "#f1f5f9", ...new Array(9).fill("#000000")]
+        : [values[0], values[1], ...new Array(3).fill(values[8]), ...new Array(6).fill(values[9])]
+    ),
+  },
+  chart: {
+    text: "#000000",
+    mutedText: "#000000",
+    grid: "rgba(0, 0, 0, 0.35)",
+    axisLine: "#000000",
+    tooltipBackground: "#000000",
+    tooltipText: "#ffffff",
+    land: "#ffffff",
+    outline: "#000000",
+    markerOutline: "#000000",
+  },
+  series: {
+    primary: "#1d4ed8",
+    primaryStrong: "#000000",
+    secondary: "#0369a1",
+    secondaryStrong: "#000000",
+    secondaryDeep: "#000000",
+    accent: "#c2410c",
+    accentSoft: "#ea580c",
+    accentStrong: "#000000",
+    positive: "#15803d",
+    positiveStrong: "#000000",
+    neutral: "#000000",
+    neutralSoft: "#d4d4d4",
+  },
+  scales: {
+    sequential: ["#ffffff", "#0284c7", "#082f49"],
+    diverging: ["#b91c1c", "#ffffff", "#1d4ed8"],
+  },
+};
+
+export const BUILT_IN_THEMES = { light: LIGHT_THEME, dark: DARK_THEME, highContrast: HIGH_CONTRAST_THEME };
+
+export const THEME_MODES = [
+  { value: "system", label: "Match system" },
+  { value: "light", label: "Light" },
+  { value: "dark", label: "Dark" },
+  { value: "highContrast", label: "High contrast" },
+  { value: "custom", label: "Custom theme" },
+];
+
+const HEX_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const expandHex = (hex) =>
+  hex.length === 4 ? `#${hex.slice(1).split("").map((char) => char + char).join("")}` : hex.toLowerCase();
+
+const requireHex = (value, path) => {
+  if (typeof value !== "string" || !HEX_PATTERN.test(value)) {
+    throw new Error(`"${path}" must be a hex colour such as "#1d4ed8".`);
+  }
+  return expandHex(value);
+};
+
+const requireString = (value, path) => {
+  if (typeof value !== "string" || !value.trim()) throw new Error(`"${path}" must be a CSS colour string.`);
+  return value.trim();
+};
+
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Overrides known keys of a section; unknown keys are ignored so themes survive future additions.
+const mergeSection = (base, overrides, name, check) => {
+  if (overrides === undefined) return base;
+  if (!isObject(overrides)) throw new Error(`"${name}" must be an object.`);
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (key in base) merged[key] = check(value, `${name}.${key}`);
+  });
+  return merged;
+};
+
+// A brand theme is partial JSON layered over a built-in base:
+// { "name": "Acme", "base": "dark", "palette": { "sky": { "600": "#7c3aed" } }, "series": { ... } }
+export const parseThemeJson = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The theme is not valid JSON (${error.message}).`);
+  }
+  if (!isObject(raw)) throw new Error("A theme must be a JSON object.");
+  const base = BUILT_IN_THEMES[raw.base ?? "light"];
+  if (!base) throw new Error(`"base" must be one of ${Object.keys(BUILT_IN_THEMES).join(", ")}.`);
+
+  const palette = { ...base.palette };
+  if (raw.palette !== undefined) {
+    if (!isObject(raw.palette)) throw new Error('"palette" must be an object.');
+    Object.entries(raw.palette).forEach(([family, value]) => {
+      if (family === "white") palette.white = requireHex(value, "palette.white");
+      else if (THEME_FAMILIES.includes(family)) {
+        palette[family] = mergeSection(base.palette[family], value, `palette.${family}`, requireHex);
+      }
+    });
+  }
+
+  const scales = { ...base.scales };
+  if (raw.scales !== undefined) {
+    if (!isObject(raw.scales)) throw new Error('"scales" must be an object.');
+    Object.entries(raw.scales).forEach(([key, value]) => {
+      if (!(key in base.scales)) return;
+      if (!Array.isArray(value) || value.length !== 3) {
+        throw new Error(`"scales.${key}" must list three colours: low, middle and high.`);
+      }
+      scales[key] = value.map((color, idx) => requireHex(color, `scales.${key}[${idx}]`));
+    });
+  }
+
+  return {
+    name: typeof raw.name === "string" && raw.name.trim() ? raw.name.trim() : "Custom",
+    scheme: base.scheme,
+    fontFamily: typeof raw.fontFamily === "string" && raw.fontFamily.trim() ? raw.fontFamily.trim() : base.fontFamily,
+    palette,
+    chart: mergeSection(base.chart, raw.chart, "chart", requireString),
+    series: mergeSection(base.series, raw.series, "series", requireHex),
+    scales,
+  };
+};
+
+export const themeToJson = (theme) => JSON.stringify(theme, null, 2);
+
+export const loadThemeSettings = (scope) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(scopedKey(STORAGE_KEY, scope)) || "{}");
+    const mode = THEME_MODES.some((item) => item.value === stored.mode) ? stored.mode : "system";
+    return { mode, customJson: typeof stored.customJson === "string" ? stored.customJson : "" };
+  } catch {
+    return { mode: "system", customJson: "" };
+  }
+};
+
+export const saveThemeSettings = (settings, scope) => {
+  try {
+    localStorage.setItem(scopedKey(STORAGE_KEY, scope), JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Unable to persist theme settings", error);
+  }
+};
+
+export const prefersDarkScheme = () =>
+  typeof window !== "undefined" && Boolean(window.matchMedia?.("(prefers-color-scheme: dark)").matches);
+
+// A stored custom theme that no longer parses falls back to the system theme.
+export const resolveTheme = ({ mode, customJson }, systemDark) => {
+  if (mode === "custom" && customJson) {
+    try {
+      return parseThemeJson(customJson);
+    } catch (error) {
+      console.warn("Ignoring invalid custom theme", error);
+    }
+  }
+  if (BUILT_IN_THEMES[mode]) return BUILT_IN_THEMES[mode];
+  return systemDark ? DARK_THEME : LIGHT_THEME;
+};
+
+const toRgbTriplet = (hex) => {
+  const value = expandHex(hex).slice(1);
+  return [0, 2, 4].map((offset) => parseInt(value.slice(offset, offset + 2), 16)).join(" ");
+};
+
+// Publishes the theme to CSS (Tailwind utilities and native controls) under `root`. Chart helpers take
+// the theme as an argument instead.
+export const applyTheme = (theme, root = document.documentElement) => {
+  root.style.setProperty("--color-white", toRgbTriplet(theme.palette.white));
+  THEME_FAMILIES.forEach((family) => {
+    SHADES.forEach((shade) => {
+      root.style.setProperty(`--color-${family}-${shade}`, toRgbTriplet(theme.palette[family][shade]));
+    });
+  });
+  root.style.setProperty("--font-family", theme.fontFamily);
+  root.style.colorScheme = theme.scheme;
+  root.dataset.theme = theme.scheme;
+};
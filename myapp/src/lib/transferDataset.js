@@ -0,0 +1,146 @@
+// Prepared datasets leave their worker as columns rather than row objects: numbers in Float64Arrays, any
+// other column as its distinct values plus a code per row, and the row index as row positions. The typed
+// arrays are transferred, not copied, and rebuilding the rows on the page costs a fraction of what
+// structured-cloning a million row objects does (see scripts/benchmark-pipeline.js).
+
+// Plain loops: the callback forms of TypedArray.from and forEach are much slower on a million rows.
+const encodeColumn = (rows, key) => {
+  const values = new Float64Array(rows.length);
+  let idx = 0;
+  for (; idx < rows.length && typeof rows[idx][key] === "number"; idx += 1) values[idx] = rows[idx][key];
+  if (idx === rows.length) return { values };
+
+  const distinct = [];
+  const lookup = new Map();
+  const codes = new Uint32Array(rows.length);
+  for (idx = 0; idx < rows.length; idx += 1) {
+    const value = rows[idx][key];
+    let code = lookup.get(value);
+    if (code === undefined) {
+      code = distinct.length;
+      distinct.push(value);
+      lookup.set(value, code);
+    }
+    codes[idx] = code;
+  }
+  return { distinct, codes };
+};
+
+const encodeRows = (rows) => {
+  const keys = rows.length ? Object.keys(rows[0]) : [];
+  return { length: rows.length, columns: keys.map((key) => [key, encodeColumn(rows, key)]) };
+};
+
+// Rows start as copies of one template so they share a shape, then are filled a column at a time, which
+// keeps each inner loop on a single key: about twice as fast as building each row key by key.
+const decodeRows = ({ length, columns }) => {
+  const template = Object.fromEntries(columns.map(([key]) => [key, undefined]));
+  const rows = new Array(length);
+  for (let idx = 0; idx < length; idx += 1) rows[idx] = { ...template };
+  columns.forEach(([key, { values, distinct, codes }]) => {
+    if (values) {
+      for (let idx = 0; idx < length; idx += 1) rows[idx][key] = values[idx];
+    } else {
+      for (let idx = 0; idx < length; idx += 1) rows[idx][key] = distinct[codes[idx]];
+    }
+  });
+  return rows;
+};
+
+const rowBuffers = ({ columns }) => columns.map(([, column]) => (column.values ?? column.codes).buffer);
+
+const positionsOf = (rows) => {
+  const positions = new Map();
+  for (let idx = 0; idx < rows.length; idx += 1) positions.set(rows[idx], idx);
+  return positions;
+};
+
+// Reconciled rows that are dataset rows travel as their position in it. Rows the reconciliation made
+// (averages, renamed repeats) travel as columns of their own and are referenced as -1 - their position.
+const encodeReconciled = (reconciledRows, positions) => {
+  const refs = new Int32Array(reconciledRows.length);
+  const made = [];
+  for (let idx = 0; idx < reconciledRows.length; idx += 1) {
+    const position = positions.get(reconciledRows[idx]);
+    if (position === undefined) {
+      refs[idx] = -1 - made.length;
+      made.push(reconciledRows[idx]);
+    } else {
+      refs[idx] = position;
+    }
+  }
+  return { refs, made: encodeRows(made) };
+};
+
+const decodeReconciled = ({ refs, made }, rows) => {
+  const madeRows = decodeRows(made);
+  const reconciledRows = new Array(refs.length);
+  for (let idx = 0; idx < refs.length; idx += 1) {
+    reconciledRows[idx] = refs[idx] < 0 ? madeRows[-1 - refs[idx]] : rows[refs[idx]];
+  }
+  return reconciledRows;
+};
+
+const encodeGroups = (groups, positions) =>
+  Array.from(groups, ([key, groupRows]) => {
+    const encoded = new Uint32Array(groupRows.length);
+    for (let idx = 0; idx < groupRows.length; idx += 1) encoded[idx] = positions.get(groupRows[idx]);
+    return [key, encoded];
+  });
+
+const decodeGroups = (groups, rows) =>
+  new Map(
+    groups.map(([key, positions]) => {
+      const groupRows = new Array(positions.length);
+      for (let idx = 0; idx < positions.length; idx += 1) groupRows[idx] = rows[positions[idx]];
+      return [key, groupRows];
+    })
+  );
+
+// Returns the message to post and the buffers to transfer with it. The row index points into the
+// reconciled rows, which are the rows it was built from.
+export const packPrepared = ({ rows, excludedRows, reconciled, rowIndex, ...rest }) => {
+  const encodedRows = encodeRows(rows);
+  const { rows: reconciledRows, ...summary } = reconciled;
+  const encodedReconciled = encodeReconciled(reconciledRows, positionsOf(rows));
+  const reconciledPositions = positionsOf(reconciledRows);
+  const index = {
+    byCountry: encodeGroups(rowIndex.byCountry, reconciledPositions),
+    byYear: encodeGroups(rowIndex.byYear, reconciledPositions),
+  };
+  const excluded = Uint32Array.from(excludedRows);
+  const transfer = [
+    ...rowBuffers(encodedRows),
+    encodedReconciled.refs.buffer,
+    ...rowBuffers(encodedReconciled.made),
+    excluded.buffer,
+    ...index.byCountry.map(([, group]) => group.buffer),
+    ...index.byYear.map(([, group]) => group.buffer),
+  ];
+  const message = {
+    ...rest,
+    rows: encodedRows,
+    excluded,
+    reconciled: { ...summary, ...encodedReconciled },
+    index,
+  };
+  return { message, transfer };
+};
+
+// The inverse of packPrepared(): the prepareDataset() result, with the reconciled rows and the index
+// pointing at the new rows.
+export const unpackPrepared = ({ rows: encodedRows, excluded, reconciled, index, ...rest }) => {
+  const rows = decodeRows(encodedRows);
+  const { refs, made, ...summary } = reconciled;
+  const reconciledRows = decodeReconciled({ refs, made }, rows);
+  return {
+    ...rest,
+    rows,
+    excludedRows: new Set(excluded),
+    reconciled: { rows: reconciledRows, ...summary },
+    rowIndex: {
+      byCountry: decodeGroups(index.byCountry, reconciledRows),
+      byYear: decodeGroups(index.byYear, reconciledRows),
+    },
+  };
+};
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { reconcileDuplicates } from "./duplicates.js";
+import { buildRowIndex } from "./rowIndex.js";
+import { packPrepared, unpackPrepared } from "./transferDataset.js";
+
+const roundTrip = (prepared) => {
+  const { message, transfer } = packPrepared(prepared);
+  return unpackPrepared(structuredClone(message, { transfer }));
+};
+
+const prepare = (rows, excludedRows, strategy) => {
+  const reconciled = reconcileDuplicates(
+    rows.filter((_, index) => !excludedRows.has(index)),
+    strategy
+  );
+  return { rows, excludedRows, reconciled, rowIndex: buildRowIndex(reconciled.rows) };
+};
+
+test("rows and index survive the trip through columns", () => {
+  const rows = [
+    { Country: "Chile", Year: 2001, Rainfall_mm: 310.5, Note: "estimate" },
+    { Country: "Peru", Year: 2000, Rainfall_mm: NaN, Note: null },
+    { Country: "Chile", Year: 2000, Rainfall_mm: 298, Note: "estimate" },
+  ];
+  const unpacked = roundTrip({
+    ...prepare(rows, new Set(), "first"),
+    headers: ["Country", "Year"],
+    years: [2000, 2001],
+  });
+
+  assert.deepEqual(unpacked.rows, rows);
+  assert.deepEqual(unpacked.headers, ["Country", "Year"]);
+  assert.deepEqual(unpacked.years, [2000, 2001]);
+  assert.equal(unpacked.reconciled.rows[0], unpacked.rows[0]);
+  const chile = unpacked.rowIndex.byCountry.get("Chile");
+  assert.deepEqual(chile.map((row) => row.Year), [2000, 2001]);
+  assert.equal(chile[0], unpacked.rows[2]);
+  assert.equal(unpacked.rowIndex.byYear.get(2000).length, 2);
+});
+
+test("exclusions, reconciled rows and their index survive the trip", () => {
+  const rows = [
+    { Country: "Chile", Year: 2000, Rainfall_mm: 300 },
+    { Country: "Chile", Year: 2000, Rainfall_mm: 400 },
+    { Country: "Peru", Year: 2000, Rainfall_mm: -5 },
+    { Country: "Peru", Year: 2001, Rainfall_mm: 120 },
+  ];
+  const unpacked = roundTrip(prepare(rows, new Set([2]), "mean"));
+
+  assert.deepEqual(unpacked.excludedRows, new Set([2]));
+  assert.equal(unpacked.reconciled.conflictCount, 1);
+  assert.deepEqual(
+    unpacked.reconciled.rows.map((row) => [row.Country, row.Year, row.Rainfall_mm]),
+    [
+      ["Chile", 2000, 350],
+      ["Peru", 2001, 120],
+    ]
+  );
+  assert.equal(unpacked.reconciled.rows[1], unpacked.rows[3]);
+  assert.equal(unpacked.rowIndex.byCountry.get("Chile")[0], unpacked.reconciled.rows[0]);
+  assert.equal(unpacked.rowIndex.byYear.get(2000).length, 1);
+});
+
+test("an empty dataset packs to no columns", () => {
+  const unpacked = roundTrip(prepare([], new Set(), "first"));
+  assert.deepEqual(unpacked.rows, []);
+  assert.deepEqual(unpacked.reconciled.rows, []);
+});
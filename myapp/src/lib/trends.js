@@ -0,0 +1,152 @@
+export const TREND_METHODS = [
+  { value: "none", label: "No trend line" },
+  { value: "linear", label: "Linear regression" },
+  { value: "loess", label: "LOESS (smoothed)" },
+];
+
+export const FORECAST_YEARS = [2030, 2035, 2040, 2050];
+
+const Z_95 = 1.96;
+
+export const toPoints = (rows, key) =>
+  rows
+    .map((row) => ({ x: Number(row.Year), y: row[key] }))
+    .filter((point) => Number.isFinite(point.x) && Number.isFinite(point.y))
+    .sort((a, b) => a.x - b.x);
+
+export const linearRegression = (points) => {
+  const n = points.length;
+  if (n < 2) return null;
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(({ x, y }) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  });
+  if (!sxx) return null;
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  return {
+    slope,
+    intercept,
+    r2: syy ? (sxy * sxy) / (sxx * syy) : 1,
+    predict: (x) => intercept + slope * x,
+  };
+};
+
+// Locally weighted linear fit with tricube weights over the nearest `bandwidth` share of points.
+export const loess = (points, bandwidth = 0.5) => {
+  const n = points.length;
+  if (n < 3) return points.map((point) => ({ ...point }));
+  const span = Math.min(n, Math.max(3, Math.ceil(bandwidth * n)));
+  return points.map(({ x }) => {
+    const distances = points.map((point) => Math.abs(point.x - x));
+    const radius = [...distances].sort((a, b) => a - b)[span - 1] || 1;
+    let sw = 0;
+    let swx = 0;
+    let swy = 0;
+    let swxx = 0;
+    let swxy = 0;
+    points.forEach((point, idx) => {
+      const u = distances[idx] / (radius * 1.0001);
+      if (u >= 1) return;
+      const w = (1 - u ** 3) ** 3;
+      sw += w;
+      swx += w * point.x;
+      swy += w * point.y;
+      swxx += w * point.x * point.x;
+      swxy += w * point.x * point.y;
+    });
+    if (!sw) return { x, y: NaN };
+    const denominator = sw * swxx - swx * swx;
+    if (Math.abs(denominator) < 1e-12) return { x, y: swy / sw };
+    const slope = (sw * swxy - swx * swy) / denominator;
+    return { x, y: (swy - slope * swx) / sw + slope * x };
+  });
+};
+
+export const fitTrend = (points, method) => {
+  if (method === "linear") {
+    const model = linearRegression(points);
+    return model ? points.map(({ x }) => ({ x, y: model.predict(x) })) : [];
+  }
+  if (method === "loess") return loess(points);
+  return [];
+};
+
+export const ratePerDecade = (points) => {
+  const model = linearRegression(points);
+  return model ? model.slope * 10 : NaN;
+};
+
+// Compound annual growth between the first and last positive observations.
+export const cagr = (points) => {
+  const positive = points.filter((point) => point.y > 0);
+  if (positive.length < 2) return NaN;
+  const first = positive[0];
+  const last = positive[positive.length - 1];
+  const years = last.x - first.x;
+  return years > 0 ? (last.y / first.y) ** (1 / years) - 1 : NaN;
+};
+
+const runHolt = (values, alpha, beta) => {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let sse = 0;
+  for (let i = 1; i < values.length; i += 1) {
+    const error = values[i] - (level + trend);
+    sse += error * error;
+    const previousLevel = level;
+    level = alpha * values[i] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+  return { level, trend, sse };
+};
+
+// Holt's linear exponential smoothing with smoothing weights picked by grid search on in-sample SSE.
+// Observations may be several years apart, so horizons are measured in typical steps between them.
+export const holtForecast = (points, targetYear) => {
+  if (points.length < 3) return [];
+  const lastYear = points[points.length - 1].x;
+  if (!Number.isFinite(targetYear) || targetYear <= lastYear) return [];
+
+  const values = points.map((point) => point.y);
+  const grid = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+  let best = null;
+  grid.forEach((alpha) => {
+    grid.forEach((beta) => {
+      const fit = runHolt(values, alpha, beta);
+      if (!best || fit.sse < best.sse) best = { ...fit, alpha, beta };
+    });
+  });
+
+  const gaps = points.slice(1).map((point, idx) => point.x - points[idx].x).sort((a, b) => a - b);
+  const step = Math.max(1, gaps[Math.floor(gaps.length / 2)]);
+  const sigma = Math.sqrt(best.sse / Math.max(1, values.length - 3));
+  const forecast = [];
+  for (let year = lastYear + 1; year <= targetYear; year += 1) {
+    const h = (year - lastYear) / step;
+    let variance = 1;
+    for (let j = 1; j < Math.ceil(h); j += 1) {
+      variance += (best.alpha * (1 + j * best.beta)) ** 2;
+    }
+    const value = best.level + h * best.trend;
+    const margin = Z_95 * sigma * Math.sqrt(variance);
+    forecast.push({ x: year, y: value, lower: value - margin, upper: value + margin });
+  }
+  return forecast;
+};
+
+// Fitted trend over the observed years plus a forecast path that starts at the last observation.
+export const buildTrendOverlay = (points, method, forecastYear) => {
+  const forecast = holtForecast(points, forecastYear);
+  const last = points[points.length - 1];
+  return {
+    fitted: fitTrend(points, method),
+    forecast: forecast.length ? [{ ...last, lower: last.y, upper: last.y }, ...forecast] : [],
+  };
+};
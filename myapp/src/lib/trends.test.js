@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  buildTrendOverlay,
+  cagr,
+  fitTrend,
+  holtForecast,
+  linearRegression,
+  ratePerDecade,
+  toPoints,
+} from "./trends.js";
+
+const line = (years, slope, intercept) => years.map((x) => ({ x, y: intercept + slope * x }));
+const range = (from, to, step = 1) =>
+  Array.from({ length: Math.floor((to - from) / step) + 1 }, (_, idx) => from + idx * step);
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test("points are sorted by year and skip missing values", () => {
+  const rows = [
+    { Year: "2002", Value: 3 },
+    { Year: 2000, Value: 1 },
+    { Year: 2001, Value: NaN },
+    { Year: "n/a", Value: 5 },
+  ];
+  assert.deepEqual(toPoints(rows, "Value"), [
+    { x: 2000, y: 1 },
+    { x: 2002, y: 3 },
+  ]);
+});
+
+test("regression recovers an exact line and its rate per decade", () => {
+  const points = line(range(2000, 2010), 0.25, -400);
+  const model = linearRegression(points);
+  close(model.slope, 0.25);
+  close(model.intercept, -400);
+  close(model.r2, 1);
+  close(model.predict(2020), 105);
+  close(ratePerDecade(points), 2.5);
+  assert.deepEqual(fitTrend(points, "linear").map((point) => point.x), range(2000, 2010));
+});
+
+test("regression needs two distinct years", () => {
+  assert.equal(linearRegression([{ x: 2000, y: 1 }]), null);
+  assert.equal(linearRegression([{ x: 2000, y: 1 }, { x: 2000, y: 2 }]), null);
+  assert.ok(Number.isNaN(ratePerDecade([])));
+  assert.deepEqual(fitTrend([{ x: 2000, y: 1 }], "linear"), []);
+});
+
+test("growth compounds between the first and last positive values", () => {
+  close(cagr([{ x: 2000, y: 100 }, { x: 2001, y: -5 }, { x: 2002, y: 121 }]), 0.1);
+  close(cagr([{ x: 2000, y: 0 }, { x: 2010, y: 50 }, { x: 2020, y: 50 * 2 ** 10 }]), 1, 1e-12);
+  assert.ok(Number.isNaN(cagr([{ x: 2000, y: 0 }, { x: 2001, y: 5 }])));
+});
+
+test("Holt continues a steady trend with no uncertainty", () => {
+  const forecast = holtForecast(line(range(2000, 2009), 2, -3990), 2012);
+  assert.deepEqual(forecast.map((point) => point.x), [2010, 2011, 2012]);
+  forecast.forEach((point) => {
+    close(point.y, 2 * point.x - 3990, 1e-6);
+    close(point.lower, point.y, 1e-6);
+    close(point.upper, point.y, 1e-6);
+  });
+});
+
+test("Holt measures horizons in the usual gap between observations", () => {
+  const forecast = holtForecast(line(range(2000, 2010, 2), 1, 0), 2013);
+  close(forecast[0].y, 2011, 1e-6);
+  close(forecast[2].y, 2013, 1e-6);
+});
+
+test("Holt widens its band with the horizon on noisy data", () => {
+  const points = range(2000, 2015).map((x, idx) => ({ x, y: x + (idx % 2 ? 1.5 : -1.5) }));
+  const forecast = holtForecast(points, 2020);
+  const widths = forecast.map((point) => point.upper - point.lower);
+  assert.ok(widths[0] > 0);
+  widths.slice(1).forEach((width, idx) => assert.ok(width >= widths[idx]));
+});
+
+test("no forecast for short series or targets that are not ahead", () => {
+  const points = line(range(2000, 2005), 1, 0);
+  assert.deepEqual(holtForecast(points.slice(0, 2), 2010), []);
+  assert.deepEqual(holtForecast(points, 2005), []);
+  assert.deepEqual(holtForecast(points, null), []);
+});
+
+test("the forecast path starts at the last observation", () => {
+  const points = line(range(2000, 2005), 1, 0);
+  const overlay = buildTrendOverlay(points, "none", 2007);
+  assert.deepEqual(overlay.fitted, []);
+  assert.deepEqual(overlay.forecast[0], { x: 2005, y: 2005, lower: 2005, upper: 2005 });
+  assert.equal(overlay.forecast.length, 3);
+  assert.deepEqual(buildTrendOverlay(points, "linear", null).forecast, []);
+});
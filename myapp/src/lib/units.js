@@ -0,0 +1,198 @@
+import { getMetric } from "./metrics.js";
+import { scopedKey } from "./storage.js";
+
+const STORAGE_KEY = "env-dashboard:display-preferences";
+
+export const UNIT_SYSTEMS = [
+  { value: "metric", label: "Metric (°C, mm)" },
+  { value: "us", label: "US customary (°F, in)" },
+];
+
+export const CO2_MODES = [
+  { value: "perCapita", label: "Per capita (t per person)" },
+  { value: "total", label: "National total (Mt)" },
+];
+
+export const LOCALES = [
+  { value: "auto", label: "Browser default" },
+  { value: "en-US", label: "English (US) · 1,234.5" },
+  { value: "en-GB", label: "English (UK) · 1,234.5" },
+  { value: "de-DE", label: "Deutsch · 1.234,5" },
+  { value: "fr-FR", label: "Français · 1 234,5" },
+  { value: "es-ES", label: "Español · 1234,5" },
+  { value: "it-IT", label: "Italiano · 1.234,5" },
+  { value: "nl-NL", label: "Nederlands · 1.234,5" },
+  { value: "sv-SE", label: "Svenska · 1 234,5" },
+  { value: "pt-BR", label: "Português (BR) · 1.234,5" },
+  { value: "ja-JP", label: "日本語 · 1,234.5" },
+];
+
+export const PRECISION_OPTIONS = [0, 1, 2, 3];
+
+export const PALETTE_OPTIONS = [
+  { value: "default", label: "Default" },
+  { value: "colorBlind", label: "Colour-blind safe (Okabe–Ito)" },
+];
+
+export const DEFAULT_PREFERENCES = {
+  unitSystem: "metric",
+  co2: "perCapita",
+  locale: "auto",
+  precision: 1,
+  palette: "default",
+};
+
+// Display conversions keyed by metric, then by the preference value that triggers them. Values are
+// stored in the dataset's metric units and converted on the way to charts, stat cards and exports.
+const CONVERSIONS = {
+  Avg_Temperature_degC: {
+    us: { unit: "°F", convert: (value) => (value * 9) / 5 + 32 },
+  },
+  Sea_Level_Rise_mm: {
+    us: { unit: "in", convert: (value) => value / 25.4 },
+  },
+  Rainfall_mm: {
+    us: { unit: "in", convert: (value) => value / 25.4 },
+  },
+  CO2_Emissions_tons_per_capita: {
+    total: {
+      unit: "Mt",
+      label: "CO₂ emissions (national total)",
+      shortLabel: "CO₂ total",
+      aggregation: "sum",
+      convert: (value, row) => (Number.isFinite(row.Population) ? (value * row.Population) / 1e6 : NaN),
+    },
+  },
+};
+
+export const normalizePreferences = (value) => {
+  const stored = value && typeof value === "object" ? value : {};
+  return {
+    unitSystem: UNIT_SYSTEMS.some((item) => item.value === stored.unitSystem)
+      ? stored.unitSystem
+      : DEFAULT_PREFERENCES.unitSystem,
+    co2: CO2_MODES.some((item) => item.value === stored.co2) ? stored.co2 : DEFAULT_PREFERENCES.co2,
+    locale: LOCALES.some((item) => item.value === stored.locale) ? stored.locale : DEFAULT_PREFERENCES.locale,
+    precision: PRECISION_OPTIONS.includes(stored.precision) ? stored.precision : DEFAULT_PREFERENCES.precision,
+    palette: PALETTE_OPTIONS.some((item) => item.value === stored.palette) ? stored.palette : DEFAULT_PREFERENCES.palette,
+  };
+};
+
+export const loadPreferences = (scope) => {
+  try {
+    return normalizePreferences(JSON.parse(localStorage.getItem(scopedKey(STORAGE_KEY, scope)) || "null"));
+  } catch {
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+export const savePreferences = (preferences, scope) => {
+  try {
+    localStorage.setItem(scopedKey(STORAGE_KEY, scope), JSON.stringify(preferences));
+  } catch (error) {
+    console.warn("Unable to persist display preferences", error);
+  }
+};
+
+// Labels, units and formatters take the preferences of the dashboard they render for, so two dashboards on
+// one page can show different units and locales.
+const getConversion = (key, preferences) => {
+  const conversions = CONVERSIONS[key];
+  if (!conversions) return null;
+  return conversions[preferences.unitSystem] ?? conversions[preferences.co2] ?? null;
+};
+
+export const getDisplayUnit = (key, preferences) =>
+  getConversion(key, preferences)?.unit ?? getMetric(key)?.unit ?? "";
+
+export const getDisplayLabel = (key, preferences) =>
+  getConversion(key, preferences)?.label ?? getMetric(key)?.label ?? key;
+
+export const getDisplayShortLabel = (key, preferences) =>
+  getConversion(key, preferences)?.shortLabel ?? getMetric(key)?.shortLabel ?? key.replace(/_/g, " ");
+
+export const getDisplayAggregation = (key, preferences) =>
+  getConversion(key, preferences)?.aggregation ?? getMetric(key)?.aggregation;
+
+// "°C" and "%" attach to the number; other units are separated by a space.
+export const unitSuffix = (key, preferences) => {
+  const unit = getDisplayUnit(key, preferences);
+  if (!unit) return "";
+  return unit.startsWith("°") || unit === "%" ? unit : ` ${unit}`;
+};
+
+export const convertRows = (rows, preferences) => {
+  const active = Object.keys(CONVERSIONS)
+    .map((key) => [key, getConversion(key, preferences)])
+    .filter(([, conversion]) => conversion);
+  if (!active.length) return rows;
+  return rows.map((row) => {
+    const next = { ...row };
+    active.forEach(([key, conversion]) => {
+      if (Number.isFinite(row[key])) next[key] = conversion.convert(row[key], row);
+    });
+    return next;
+  });
+};
+
+export const resolveLocale = (preferences) => {
+  if (preferences.locale !== "auto") return preferences.locale;
+  return (typeof navigator !== "undefined" && navigator.language) || "en-US";
+};
+
+const formatterCache = new Map();
+
+const getFormatter = (locale, options) => {
+  const cacheKey = `${locale}|${JSON.stringify(options)}`;
+  if (!formatterCache.has(cacheKey)) {
+    let formatter;
+    try {
+      formatter = new Intl.NumberFormat(locale, options);
+    } catch {
+      formatter = new Intl.NumberFormat("en-US", options);
+    }
+    formatterCache.set(cacheKey, formatter);
+  }
+  return formatterCache.get(cacheKey);
+};
+
+export const formatNumber = (value, preferences, { compact = false, suffix = "", digits } = {}) => {
+  if (!Number.isFinite(value)) return "--";
+  const formatter = getFormatter(resolveLocale(preferences), {
+    maximumFractionDigits: digits ?? preferences.precision,
+    ...(compact ? { notation: "compact" } : {}),
+  });
+  return `${formatter.format(value)}${suffix}`;
+};
+
+export const formatInteger = (value, preferences) => {
+  if (!Number.isFinite(value)) return "--";
+  return getFormatter(resolveLocale(preferences), { maximumFractionDigits: 0 }).format(value);
+};
+
+const dateTimeCache = new Map();
+
+export const formatDateTime = (value, preferences) => {
+  const locale = resolveLocale(preferences);
+  if (!dateTimeCache.has(locale)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" });
+    } catch {
+      formatter = new Intl.DateTimeFormat("en-US", { dateStyle: "medium", timeStyle: "short" });
+    }
+    dateTimeCache.set(locale, formatter);
+  }
+  return dateTimeCache.get(locale).format(value);
+};
+
+// Plotly's layout.separators takes the decimal mark followed by the thousands separator.
+export const plotSeparators = (preferences) => {
+  const parts = getFormatter(resolveLocale(preferences), {}).formatToParts(12345.6);
+  const decimal = parts.find((part) => part.type === "decimal")?.value ?? ".";
+  const group = parts.find((part) => part.type === "group")?.value ?? ",";
+  return `${decimal}${group}`;
+};
+
+// d3-format specifier for hovertemplates, e.g. "%{y:,.1f}".
+export const plotValueFormat = (preferences) => `,.${preferences.precision}f`;
@@ -0,0 +1,116 @@
+export const COURSE_DATASET_PARAM = "course";
+
+const URL_STATE_KEYS = [
+  "dataset",
+  "countries",
+  "year",
+  "range",
+  "metrics",
+  "duplicates",
+  "trend",
+  "forecast",
+  "charts",
+];
+
+const decodeItem = (value) => {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  } catch {
+    return value;
+  }
+};
+
+// List items are encoded one by one and joined with a literal comma, so a comma inside a name such as
+// "Korea, Republic of" stays encoded as %2C and is not read as a separator.
+const encodeList = (items) => items.map((item) => encodeURIComponent(item)).join(",");
+
+const readList = (search, key) => {
+  const part = search
+    .replace(/^\?/, "")
+    .split("&")
+    .find((item) => item.split("=")[0] === key);
+  if (!part) return [];
+  return part
+    .slice(key.length + 1)
+    .split(",")
+    .map((item) => decodeItem(item).trim())
+    .filter(Boolean);
+};
+
+// Custom charts travel as JSON of their type, scope and encoding; ids are assigned on the way in.
+const readCharts = (value) => {
+  if (value === null) return null;
+  try {
+    const charts = JSON.parse(value);
+    if (!Array.isArray(charts)) return null;
+    return charts.map((chart, idx) => ({ ...chart, id: `chart-link-${idx}` }));
+  } catch {
+    return null;
+  }
+};
+
+const encodeCharts = (charts) =>
+  JSON.stringify(
+    charts.map(({ type, scope, encoding }) => ({
+      type,
+      scope,
+      encoding: Object.fromEntries(Object.entries(encoding).filter(([, value]) => value)),
+    }))
+  );
+
+// An empty value ("year=") reads as missing, not as 0.
+const readNumber = (params, key) => {
+  const value = params.get(key);
+  return value && Number.isFinite(Number(value)) ? Number(value) : null;
+};
+
+export const readUrlState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const range = (params.get("range") || "").split("-").map(Number);
+  return {
+    countries: readList(search, "countries"),
+    year: readNumber(params, "year"),
+    yearRange:
+      range.length === 2 && range.every(Number.isFinite) && range[0] <= range[1] ? range : null,
+    metrics: readList(search, "metrics"),
+    duplicates: params.get("duplicates") || null,
+    dataset: params.get("dataset") || null,
+    trend: params.get("trend") || null,
+    forecast: readNumber(params, "forecast"),
+    charts: readCharts(params.get("charts")),
+  };
+};
+
+export const buildUrlSearch = ({
+  countries = [],
+  year,
+  yearRange,
+  metrics = [],
+  duplicates,
+  dataset,
+  trend,
+  forecast,
+  charts = [],
+}) => {
+  const parts = [];
+  const add = (key, value) => parts.push(`${key}=${encodeURIComponent(value)}`);
+  if (dataset) add("dataset", dataset);
+  if (countries.length) parts.push(`countries=${encodeList(countries)}`);
+  if (year !== null && year !== undefined) add("year", String(year));
+  if (yearRange) add("range", yearRange.join("-"));
+  if (metrics.length) parts.push(`metrics=${encodeList(metrics)}`);
+  if (duplicates) add("duplicates", duplicates);
+  if (trend) add("trend", trend);
+  if (forecast !== null && forecast !== undefined) add("forecast", String(forecast));
+  if (charts.length) add("charts", encodeCharts(charts));
+  return parts.length ? `?${parts.join("&")}` : "";
+};
+
+// Puts the dashboard's parameters (from buildUrlSearch) into `search` and keeps the host page's own. The
+// two halves are joined as strings: URLSearchParams would encode the commas in the dashboard's lists.
+export const mergeUrlSearch = (search, dashboardSearch) => {
+  const params = new URLSearchParams(search);
+  URL_STATE_KEYS.forEach((key) => params.delete(key));
+  const parts = [params.toString(), dashboardSearch.replace(/^\?/, "")].filter(Boolean);
+  return parts.length ? `?${parts.join("&")}` : "";
+};
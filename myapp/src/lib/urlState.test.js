@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildUrlSearch, mergeUrlSearch, readUrlState } from "./urlState.js";
+
+test("every synced setting survives a round trip", () => {
+  const state = {
+    dataset: "3f2a-library-id",
+    countries: ["Korea, Republic of", "Côte d'Ivoire", "United States"],
+    year: 2015,
+    yearRange: [2000, 2020],
+    metrics: ["CO2_Emissions_tons_per_capita"],
+    duplicates: "mean",
+    trend: "holt",
+    forecast: 2030,
+    charts: [{ type: "scatter", scope: "selected", encoding: { x: "Rainfall_mm", y: "", color: null } }],
+  };
+  const restored = readUrlState(buildUrlSearch(state));
+
+  assert.equal(restored.dataset, state.dataset);
+  assert.deepEqual(restored.countries, state.countries);
+  assert.equal(restored.year, 2015);
+  assert.deepEqual(restored.yearRange, [2000, 2020]);
+  assert.deepEqual(restored.metrics, state.metrics);
+  assert.equal(restored.duplicates, "mean");
+  assert.equal(restored.trend, "holt");
+  assert.equal(restored.forecast, 2030);
+  assert.deepEqual(restored.charts, [
+    { type: "scatter", scope: "selected", encoding: { x: "Rainfall_mm" }, id: "chart-link-0" },
+  ]);
+});
+
+test("empty settings leave the query string empty and read back as defaults", () => {
+  assert.equal(buildUrlSearch({ year: null, yearRange: null }), "");
+  const restored = readUrlState("");
+  assert.deepEqual(restored.countries, []);
+  assert.equal(restored.year, null);
+  assert.equal(restored.yearRange, null);
+  assert.equal(restored.charts, null);
+});
+
+test("malformed values are ignored rather than misread", () => {
+  const restored = readUrlState("?year=abc&range=2020-2000&forecast=&charts=%7Bnot-json");
+  assert.equal(restored.year, null);
+  assert.equal(restored.yearRange, null);
+  assert.equal(restored.forecast, null);
+  assert.equal(restored.charts, null);
+});
+
+test("merging keeps the host page's parameters and replaces the dashboard's", () => {
+  const dashboard = buildUrlSearch({ countries: ["Chile", "Peru"], year: 2010 });
+  const merged = mergeUrlSearch("?tab=climate&year=1999&countries=France&utm_source=mail", dashboard);
+
+  assert.equal(merged, "?tab=climate&utm_source=mail&countries=Chile,Peru&year=2010");
+  assert.deepEqual(readUrlState(merged).countries, ["Chile", "Peru"]);
+  assert.equal(mergeUrlSearch("?tab=climate&year=1999", ""), "?tab=climate");
+  assert.equal(mergeUrlSearch("", ""), "");
+});
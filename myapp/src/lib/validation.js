@@ -0,0 +1,76 @@
+import { METRICS } from "./metrics.js";
+
+const isBlank = (value) =>
+  value === null || value === undefined || (typeof value === "string" && !value.trim());
+
+export const toNumber = (value) => {
+  if (isBlank(value)) return NaN;
+  return Number(typeof value === "string" ? value.trim() : value);
+};
+
+const formatRaw = (value) => (typeof value === "string" ? `"${value}"` : String(value));
+
+export const validateRows = (rows, headers) => {
+  const activeMetrics = METRICS.filter((metric) => headers.includes(metric.key));
+  const issues = [];
+  const report = (rowIndex, column, severity, message) =>
+    issues.push({ rowIndex, column, severity, message });
+
+  rows.forEach((row, rowIndex) => {
+    if (isBlank(row.Country)) {
+      report(rowIndex, "Country", "error", "Country is required");
+    }
+
+    if (isBlank(row.Year)) {
+      report(rowIndex, "Year", "error", "Year is required");
+    } else if (!Number.isInteger(toNumber(row.Year))) {
+      report(rowIndex, "Year", "error", `Year must be a whole number, got ${formatRaw(row.Year)}`);
+    }
+
+    activeMetrics.forEach((metric) => {
+      const raw = row[metric.key];
+      if (isBlank(raw)) {
+        report(rowIndex, metric.key, "warning", `${metric.label} is missing`);
+        return;
+      }
+      const value = toNumber(raw);
+      if (!Number.isFinite(value)) {
+        report(rowIndex, metric.key, "error", `${metric.label} must be a number, got ${formatRaw(raw)}`);
+        return;
+      }
+      if (metric.min !== undefined && value < metric.min) {
+        report(rowIndex, metric.key, "error", `${metric.label} must be at least ${metric.min}, got ${value}`);
+      } else if (metric.max !== undefined && value > metric.max) {
+        report(rowIndex, metric.key, "error", `${metric.label} must be at most ${metric.max}, got ${value}`);
+      }
+    });
+  });
+
+  return issues;
+};
+
+export const parseErrorsToIssues = (errors = []) =>
+  errors.map((error) => ({
+    rowIndex: Number.isInteger(error.row) ? error.row : null,
+    column: null,
+    severity: "warning",
+    message: error.message,
+  }));
+
+export const groupIssuesByRow = (issues) => {
+  const grouped = new Map();
+  issues.forEach((issue) => {
+    if (issue.rowIndex === null) return;
+    const entry = grouped.get(issue.rowIndex) || [];
+    entry.push(issue);
+    grouped.set(issue.rowIndex, entry);
+  });
+  return grouped;
+};
+
+export const getErrorRowIndexes = (issues) =>
+  new Set(
+    issues
+      .filter((issue) => issue.severity === "error" && issue.rowIndex !== null)
+      .map((issue) => issue.rowIndex)
+  );
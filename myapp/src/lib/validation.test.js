@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  getErrorRowIndexes,
+  groupIssuesByRow,
+  parseErrorsToIssues,
+  toNumber,
+  validateRows,
+} from "./validation.js";
+
+const headers = ["Country", "Year", "Rainfall_mm", "Renewable_Energy_pct"];
+
+test("numbers are read from trimmed text and blanks are not zero", () => {
+  assert.equal(toNumber(" 12.5 "), 12.5);
+  assert.equal(toNumber(7), 7);
+  assert.ok(Number.isNaN(toNumber("  ")));
+  assert.ok(Number.isNaN(toNumber(null)));
+});
+
+test("a valid row reports nothing", () => {
+  const rows = [{ Country: "Chile", Year: "2000", Rainfall_mm: "300", Renewable_Energy_pct: "45" }];
+  assert.deepEqual(validateRows(rows, headers), []);
+});
+
+test("identity columns, types and ranges are checked per cell", () => {
+  const rows = [
+    { Country: " ", Year: "2000.5", Rainfall_mm: "300", Renewable_Energy_pct: "45" },
+    { Country: "Peru", Year: "", Rainfall_mm: "wet", Renewable_Energy_pct: "140" },
+  ];
+  const issues = validateRows(rows, headers);
+
+  assert.deepEqual(
+    issues.map(({ rowIndex, column, severity }) => [rowIndex, column, severity]),
+    [
+      [0, "Country", "error"],
+      [0, "Year", "error"],
+      [1, "Year", "error"],
+      [1, "Rainfall_mm", "error"],
+      [1, "Renewable_Energy_pct", "error"],
+    ]
+  );
+  assert.equal(issues[1].message, 'Year must be a whole number, got "2000.5"');
+  assert.equal(issues[4].message, "Renewable energy share must be at most 100, got 140");
+});
+
+test("a missing metric is a warning and metrics without a column are not checked", () => {
+  const rows = [{ Country: "Chile", Year: 2000, Rainfall_mm: "", Forest_Area_pct: "900" }];
+  const issues = validateRows(rows, ["Country", "Year", "Rainfall_mm"]);
+  assert.deepEqual(
+    issues.map(({ column, severity, message }) => [column, severity, message]),
+    [["Rainfall_mm", "warning", "Rainfall is missing"]]
+  );
+});
+
+test("only rows with errors are excluded, and issues group by row", () => {
+  const issues = [
+    { rowIndex: 0, column: "Year", severity: "error", message: "" },
+    { rowIndex: 0, column: "Rainfall_mm", severity: "warning", message: "" },
+    { rowIndex: 2, column: "Rainfall_mm", severity: "warning", message: "" },
+    ...parseErrorsToIssues([{ row: 3, message: "Too many fields" }, { message: "Unknown delimiter" }]),
+  ];
+
+  assert.deepEqual(getErrorRowIndexes(issues), new Set([0]));
+  const grouped = groupIssuesByRow(issues);
+  assert.deepEqual(Array.from(grouped.keys()), [0, 2, 3]);
+  assert.equal(grouped.get(0).length, 2);
+  assert.equal(issues[4].rowIndex, null);
+  assert.equal(issues[4].severity, "warning");
+});
@@ -1,3 +1,13 @@
+import colors from "tailwindcss/colors";
+
+const toTriplet = (hex) => [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16)).join(" ");
+
+// Colour families driven by the runtime theme (src/lib/theme.js); Tailwind's defaults are the fallback.
+const themed = (variable, hex) => `rgb(var(--color-${variable}, ${toTriplet(hex)}) / <alpha-value>)`;
+
+const themedFamily = (family) =>
+  Object.fromEntries(Object.entries(colors[family]).map(([shade, hex]) => [shade, themed(`${family}-${shade}`, hex)]));
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -5,8 +15,17 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        white: themed("white", "#ffffff"),
+        slate: themedFamily("slate"),
+        sky: themedFamily("sky"),
+        emerald: themedFamily("emerald"),
+        amber: themedFamily("amber"),
+        red: themedFamily("red"),
+        violet: themedFamily("violet"),
+      },
+    },
   },
   plugins: [],
 }
-
@@ -0,0 +1,10 @@
+import baseConfig from "./tailwind.config.js";
+
+// Build for the <env-dashboard> element (src/element.css): no global preflight, and every utility is
+// scoped to the element so the host page's own markup is left alone.
+/** @type {import('tailwindcss').Config} */
+export default {
+  ...baseConfig,
+  important: "[data-env-dashboard]",
+  corePlugins: { preflight: false },
+}
@@ -1,7 +1,36 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
-  plugins: [react()],
-})
+// Library builds, both ES modules in dist-lib/:
+// - `vite build --mode lib` packages src/index.js, the React component and element class, as
+//   env-dashboard.js. React stays external; the host app provides it.
+// - `vite build --mode element` packages src/element.js, which registers <env-dashboard> on import, as
+//   env-dashboard-element.js with React bundled, for pages without React.
+const LIBRARY_BUILDS = {
+  lib: {
+    entry: 'src/index.js',
+    fileName: 'env-dashboard.js',
+    external: ['react', 'react-dom', /^react\//, /^react-dom\//],
+  },
+  element: { entry: 'src/element.js', fileName: 'env-dashboard-element.js', external: [] },
+}
 
+export default defineConfig(({ mode }) => {
+  const library = LIBRARY_BUILDS[mode]
+  return {
+    plugins: [react()],
+    ...(library && {
+      define: { 'process.env.NODE_ENV': JSON.stringify('production') },
+      build: {
+        outDir: 'dist-lib',
+        emptyOutDir: mode === 'lib',
+        lib: {
+          entry: library.entry,
+          formats: ['es'],
+          fileName: () => library.fileName,
+        },
+        rollupOptions: { external: library.external },
+      },
+    }),
+  }
+})